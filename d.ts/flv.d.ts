@@ -23,6 +23,10 @@ declare namespace FlvJs {
         duration: number;
         filesize?: number;
         url: string;
+        /**
+         * @desc Mirrors of url in order of preference, switched to on network errors or stalls
+         */
+        alternateURLs?: string[];
     }
 
     interface MediaDataSource {
@@ -37,6 +41,10 @@ declare namespace FlvJs {
         duration?: number;
         filesize?: number;
         url?: string;
+        /**
+         * @desc Mirrors of url in order of preference, switched to on network errors or stalls
+         */
+        alternateURLs?: string[];
 
         segments?: MediaSegment[];
     }
@@ -114,6 +122,81 @@ declare namespace FlvJs {
          */
         fixAudioTimestampGap?: boolean;
 
+        /**
+         * @desc Output path of decoded PCM audio (Linear PCM, G.711). 'mse' appends an 'ipcm' track to MediaSource,
+         *          'webaudio' plays it through WebAudio following the media element clock, or driven by AudioContext
+         *          clock for audio-only stream, whose position is reported by FlvPlayer.currentTime,
+         *          'auto' uses 'mse' if supported by the browser, otherwise 'webaudio'.
+         *          Known limitation: audio switching between PCM rendered by WebAudio and other codecs rendered by
+         *          MediaSource within a stream is unsupported and reported as MEDIA_ERROR / MediaCodecUnsupported.
+         * @defaultvalue 'auto'
+         */
+        pcmAudioOutput?: 'auto' | 'mse' | 'webaudio';
+
+        /**
+         * @desc Byte order of 16-bit Linear PCM in platform endian (SoundFormat 0), which depends on the machine
+         *          producing the stream. Linear PCM in little endian (SoundFormat 3) is not affected.
+         * @defaultvalue 'little'
+         */
+        pcmPlatformEndian?: 'little' | 'big';
+
+        /**
+         * @desc Decode CEA-608/708 closed captions carried in H.264 SEI into TextTracks of the media element
+         *          (labeled as CC1 ~ CC4, SERVICE1 ~ SERVICE63), cues are also emitted by CAPTION_CUE_ARRIVED event.
+         * @defaultvalue false
+         */
+        enableClosedCaptions?: boolean;
+
+        /**
+         * @desc Expose timed script data (onCuePoint, onTextData, etc.) as cues of a metadata TextTrack
+         *          labeled as scriptdata, cue.value holds {name, data}.
+         * @defaultvalue false
+         */
+        enableMetadataTextTrack?: boolean;
+
+        /**
+         * @desc Validate every FLV tag boundary (tag type, DataSize, StreamID, timestamp continuity,
+         *          and PreviousTagSize or the following tag header), and scan forward for next plausible tag on mismatch. Skipped bytes are reported by WARNING event.
+         * @defaultvalue false
+         */
+        resyncCorruptedTags?: boolean;
+
+        /**
+         * @desc Decide track presence from tags actually seen within the probe window, overriding wrong hasAudio / hasVideo
+         *          flags of FLV header or onMetaData. The correction is reported by WARNING event.
+         *          Flags specified in MediaDataSource are always respected.
+         * @defaultvalue false
+         */
+        autoDetectTracks?: boolean;
+
+        /**
+         * @desc Probe window for autoDetectTracks, in milliseconds of tag timestamp since the first audio / video tag
+         * @defaultvalue 3000
+         */
+        trackProbeDuration?: number;
+
+        /**
+         * @desc Probe window for autoDetectTracks, in bytes. The window closes when either limit is reached
+         * @defaultvalue 4194304
+         */
+        trackProbeSize?: number;
+
+        /**
+         * @desc Rebuild keyframes index from parsed video keyframes if onMetaData.keyframes is absent,
+         *          which makes seeking available on any FLV file. Not available for live stream.
+         * @defaultvalue false
+         */
+        rebuildKeyframesIndex?: boolean;
+
+        /**
+         * @desc Scan the whole file for keyframes in background by a separate request, for seeking into the part
+         *          not yet loaded. The whole file is downloaded once more for parsing tag headers, scanning stops
+         *          at the first timestamp discontinuity. Requires rebuildKeyframesIndex, not available for WebSocket.
+         *          The scan requests the primary url only, without retrying or requestInterceptor.
+         * @defaultvalue false
+         */
+        scanKeyframesIndex?: boolean;
+
         /**
          * @desc Accurate seek to any frame, not limited to video IDR frame, but may a bit slower.
          *          Available on Chrome > 50, FireFox and Safari.
@@ -155,18 +238,129 @@ declare namespace FlvJs {
          * @defaultvalue 'no-referrer-when-downgrade' (from docs)
          */
         referrerPolicy?: ReferrerPolicy;
+        /**
+         * @desc Abort the request and report ConnectingTimeout if not connected in time, in milliseconds. 0 to disable
+         * @defaultvalue 10000
+         */
+        connectTimeout?: number;
+        /**
+         * @desc Abort the request and report ConnectingTimeout if the first byte is not received in time after connected,
+         *          in milliseconds. 0 to disable
+         * @defaultvalue 10000
+         */
+        firstByteTimeout?: number;
+        /**
+         * @desc Abort the request and report ConnectingTimeout if no data is received in time since the last chunk,
+         *          in milliseconds. 0 to disable
+         * @defaultvalue 10000
+         */
+        idleTimeout?: number;
+        /**
+         * @desc Retry policy applied on loader errors of non-live stream, resumes from the next byte.
+         *          Fields not specified fall back to defaults
+         * @defaultvalue {maxAttempts: 3, initialDelay: 1000, maxDelay: 8000, backoffFactor: 2, jitter: 0.2,
+         *          retryableErrors: ['EarlyEof', 'ConnectingTimeout', 'Exception'], retryableHttpCodes: [408, 429, 500, 502, 503, 504]}
+         */
+        retryPolicy?: Partial<RetryPolicy>;
+        /**
+         * @desc Retry policy applied on loader errors of live stream, reopens the stream and continues the timeline
+         *          after buffered media. Closing by remote is treated as EarlyEof. Fields not specified fall back to defaults
+         * @defaultvalue Same as retryPolicy except maxAttempts: 5
+         */
+        liveRetryPolicy?: Partial<RetryPolicy>;
+        /**
+         * @desc A host which failed to serve data is avoided when choosing mirror of alternateURLs,
+         *          until this time passed, in milliseconds
+         * @defaultvalue 60000
+         */
+        hostFailureExpireTime?: number;
         /**
          * @desc Indicates additional headers that will be added to request
          */
         headers?: {
             [k: string]: string
         }
+        /**
+         * @desc Called before every open / seek / reconnect request, may return (or resolve to) a rewritten url
+         *          and headers, e.g. for signing urls or refreshing tokens. A request failed with HTTP 401 / 403 is
+         *          retried once with the error passed in, regardless of retryPolicy. Transmuxing runs in main thread
+         *          even if `enableWorker` is set, as functions can't be passed into worker
+         */
+        requestInterceptor?: RequestInterceptor;
         /**
          * @desc Should implement `BaseLoader` interface
          */
         customLoader?: CustomLoaderConstructor;
     }
 
+    interface InterceptedRequest {
+        /**
+         * @desc URL to be requested, before applying seekHandler
+         */
+        url: string;
+        range: Range;
+        /**
+         * @desc Retry attempt of this request, 0 for the first request
+         */
+        attempt: number;
+        /**
+         * @desc Loader error being retried by this request
+         */
+        error?: {
+            type: string;
+            code: number;
+            msg: string;
+        };
+    }
+
+    interface InterceptedRequestResult {
+        /**
+         * @desc Replaces url of the request
+         */
+        url?: string;
+        /**
+         * @desc Merged over config.headers. Not supported by WebSocket
+         */
+        headers?: {
+            [k: string]: string
+        };
+    }
+
+    type RequestInterceptor = (request: InterceptedRequest) =>
+        InterceptedRequestResult | void | Promise<InterceptedRequestResult | void>;
+
+    interface RetryPolicy {
+        /**
+         * @desc Max retry attempts before reporting the error, 0 to disable retrying
+         */
+        maxAttempts: number;
+        /**
+         * @desc Delay before the first retry, in milliseconds
+         */
+        initialDelay: number;
+        /**
+         * @desc Upper bound of the delay, in milliseconds
+         */
+        maxDelay: number;
+        /**
+         * @desc Delay of the nth retry is initialDelay * backoffFactor ^ (n - 1)
+         */
+        backoffFactor: number;
+        /**
+         * @desc Randomize the delay by +/- jitter (0 ~ 1) of itself
+         */
+        jitter: number;
+        /**
+         * @desc LoaderErrors which could be retried
+         */
+        retryableErrors: string[];
+        /**
+         * @desc HTTP status codes which could be retried for HttpStatusCodeInvalid.
+         *          401 / 403 are retried once with requestInterceptor configured
+         */
+        retryableHttpCodes: number[];
+    }
+
     interface CustomSeekHandlerConstructor {
         new(): SeekHandler;
     }
@@ -287,6 +481,7 @@ declare namespace FlvJs {
 
     interface FlvPlayerReportStatisticsInfo {
         url: string;
+        host: string;
         hasRedirect: boolean;
         redirectedURL?: string;
         speed: number; // KB/s
@@ -351,11 +546,20 @@ declare namespace FlvJs {
 
     interface Events {
         ERROR: string;
+        WARNING: string;
         LOADING_COMPLETE: string;
         RECOVERED_EARLY_EOF: string;
+        RETRYING: string;
+        RECOVERED: string;
         MEDIA_INFO: string;
+        MEDIA_INFO_CHANGED: string;
         METADATA_ARRIVED: string;
         SCRIPTDATA_ARRIVED: string;
+        SEIDATA_ARRIVED: string;
+        CAPTION_CUE_ARRIVED: string;
+        CUE_POINT: string;
+        TEXT_DATA: string;
+        TIMED_SCRIPTDATA: string;
         STATISTICS_INFO: string;
     }
 
@@ -376,6 +580,8 @@ declare namespace FlvJs {
         MEDIA_FORMAT_ERROR: string;
         MEDIA_FORMAT_UNSUPPORTED: string;
         MEDIA_CODEC_UNSUPPORTED: string;
+        MEDIA_DATA_CORRUPTED: string;
+        MEDIA_TRACK_MISSING: string;
     }
 }
 
@@ -16,6 +16,8 @@
  * limitations under the License.
  */
 
+import {LoaderErrors} from './io/loader.js';
+
 export const defaultConfig = {
     enableWorker: false,
     enableStashBuffer: true,
@@ -35,6 +37,17 @@ export const defaultConfig = {
     statisticsInfoReportInterval: 600,
 
     fixAudioTimestampGap: true,
+    pcmAudioOutput: 'auto',  // [auto, mse, webaudio]
+    pcmPlatformEndian: 'little',  // [little, big], byte order of 16-bit PCM with SoundFormat 0
+    enableClosedCaptions: false,
+    enableMetadataTextTrack: false,
+    resyncCorruptedTags: false,
+    autoDetectTracks: false,
+    trackProbeDuration: 3000,  // in milliseconds
+    trackProbeSize: 4 * 1024 * 1024,  // in bytes
+
+    rebuildKeyframesIndex: false,
+    scanKeyframesIndex: false,
 
     accurateSeek: false,
     seekType: 'range',  // [range, param, custom]
@@ -45,7 +58,39 @@ export const defaultConfig = {
     reuseRedirectedURL: false,
     // referrerPolicy: leave as unspecified
 
+    connectTimeout: 10000,  // in milliseconds, 0 to disable
+    firstByteTimeout: 10000,  // in milliseconds, 0 to disable
+    idleTimeout: 10000,  // in milliseconds, 0 to disable
+
+    // Retry on loader errors with exponential backoff:
+    //     delay = min(initialDelay * backoffFactor ^ (attempt - 1), maxDelay), randomized by +/- jitter
+    // HttpStatusCodeInvalid is retryable only for codes in retryableHttpCodes,
+    // except 401 / 403 which are retried once with requestInterceptor
+    retryPolicy: {
+        maxAttempts: 3,
+        initialDelay: 1000,  // in milliseconds
+        maxDelay: 8000,  // in milliseconds
+        backoffFactor: 2,
+        jitter: 0.2,
+        retryableErrors: [LoaderErrors.EARLY_EOF, LoaderErrors.CONNECTING_TIMEOUT, LoaderErrors.EXCEPTION],
+        retryableHttpCodes: [408, 429, 500, 502, 503, 504]
+    },
+    // Used instead of retryPolicy for live stream, which is reopened and continues the timeline on retrying
+    liveRetryPolicy: {
+        maxAttempts: 5,
+        initialDelay: 1000,  // in milliseconds
+        maxDelay: 8000,  // in milliseconds
+        backoffFactor: 2,
+        jitter: 0.2,
+        retryableErrors: [LoaderErrors.EARLY_EOF, LoaderErrors.CONNECTING_TIMEOUT, LoaderErrors.EXCEPTION],
+        retryableHttpCodes: [408, 429, 500, 502, 503, 504]
+    },
+    // A host failed to serve data is avoided when choosing mirror of alternateURLs, until this time passed
+    hostFailureExpireTime: 60000,  // in milliseconds
+
     headers: undefined,
+    // function (request: {url, range, attempt, error}): {url, headers} | Promise, called before every request
+    requestInterceptor: undefined,
     customLoader: undefined
 };
 
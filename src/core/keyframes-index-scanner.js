@@ -0,0 +1,266 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger.js';
+import IOController from '../io/io-controller.js';
+
+// Same as FLVDemuxer, timestamp steps beyond these are treated as wrap-around or discontinuity
+const MaxTimestampBackwardJump = 5000;
+const MaxTimestampForwardJump = 30000;
+const MaxTrackTimestampJitter = 500;
+
+// Scan an FLV file in background for video keyframes, by parsing tag headers of the whole file downloaded.
+// Used for building keyframes index of files without onMetaData.keyframes
+class KeyframesIndexScanner {
+
+    constructor(dataSource, config, timestampBase) {
+        this.TAG = 'KeyframesIndexScanner';
+
+        // Scanning is best-effort, don't inherit mirrors, retrying and request interception of main stream
+        this._dataSource = Object.assign({}, dataSource, {alternateURLs: undefined});
+        this._config = Object.assign({}, config, {
+            isLive: false,
+            retryPolicy: {maxAttempts: 0},
+            requestInterceptor: undefined
+        });
+        this._timestampBase = timestampBase;
+
+        this._ioctl = null;
+        this._nextTagPosition = -1;  // -1 before FLV header parsed
+
+        // Raw tag timestamps are mapped the same way as FLVDemuxer._unwrapTagTimestamp() for sequential parsing
+        this._lastRawTimestamp = -1;
+        this._timestampOffset = 0;
+        this._lastTrackTimestamps = {audio: -1, video: -1};
+
+        this._onKeyframes = null;
+        this._onComplete = null;
+    }
+
+    destroy() {
+        if (this._ioctl) {
+            this._ioctl.destroy();
+            this._ioctl = null;
+        }
+        this._onKeyframes = null;
+        this._onComplete = null;
+    }
+
+    /* prototype: function onKeyframes(times: number[], filepositions: number[]): void
+       times: original dts of keyframes in milliseconds, same as MediaInfo.keyframesIndex
+       Scanning stops at the first timestamp discontinuity, which FLVDemuxer rebases depending on frame rate
+    */
+    get onKeyframes() {
+        return this._onKeyframes;
+    }
+
+    set onKeyframes(callback) {
+        this._onKeyframes = callback;
+    }
+
+    /* prototype: function onComplete(succeeded: boolean): void */
+    get onComplete() {
+        return this._onComplete;
+    }
+
+    set onComplete(callback) {
+        this._onComplete = callback;
+    }
+
+    start() {
+        let ioctl = this._ioctl = new IOController(this._dataSource, this._config);
+        ioctl.reportHostHealth = false;
+        ioctl.onDataArrival = this._onDataArrival.bind(this);
+        ioctl.onComplete = this._onIOComplete.bind(this);
+        ioctl.onError = this._onIOError.bind(this);
+        ioctl.open();
+    }
+
+    _onDataArrival(chunk, byteStart) {
+        let bytes = new Uint8Array(chunk);
+        let offset = 0;
+
+        if (this._ioctl == null) {
+            return bytes.byteLength;  // finished, IOController is being destroyed
+        }
+
+        if (this._nextTagPosition === -1) {
+            if (bytes.byteLength < 9) {
+                return 0;
+            }
+            if (bytes[0] !== 0x46 || bytes[1] !== 0x4C || bytes[2] !== 0x56) {
+                this._finish(false, 'Not an FLV file');
+                return bytes.byteLength;
+            }
+            let dataOffset = ((bytes[5] << 24) | (bytes[6] << 16) | (bytes[7] << 8) | bytes[8]) >>> 0;
+            this._nextTagPosition = byteStart + dataOffset + 4;  // skip PreviousTagSize0
+        }
+
+        if (byteStart + bytes.byteLength <= this._nextTagPosition) {
+            return bytes.byteLength;  // within tag body being skipped
+        }
+        offset = Math.max(this._nextTagPosition - byteStart, 0);
+
+        let times = [];
+        let filepositions = [];
+
+        // Tag header plus first 2 bytes of tag body (frame type, AVCPacketType or enhanced PacketType)
+        let discontinuous = false;
+        while (offset + 11 + 2 <= bytes.byteLength) {
+            let tagType = bytes[offset];
+            let dataSize = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+            let timestamp = ((bytes[offset + 7] << 24) | (bytes[offset + 4] << 16) |
+                             (bytes[offset + 5] << 8) | bytes[offset + 6]) >>> 0;
+
+            if (tagType !== 8 && tagType !== 9 && tagType !== 18) {
+                this._finish(false, `Invalid tag type ${tagType} at position ${byteStart + offset}`);
+                return bytes.byteLength;
+            }
+
+            if (this._isCodedFrameTag(tagType, dataSize, bytes[offset + 11], bytes[offset + 12])) {
+                let track = tagType === 8 ? 'audio' : 'video';
+                let mapped = this._unwrapTagTimestamp(timestamp, track);
+                if (mapped === -1) {
+                    discontinuous = true;
+                    break;
+                }
+                if (track === 'video' && this._isKeyframe(bytes[offset + 11], bytes[offset + 12])) {
+                    times.push(this._timestampBase + mapped);
+                    filepositions.push(byteStart + offset);
+                }
+            }
+
+            offset += 11 + dataSize + 4;  // tagHeader + dataSize + prevTagSize
+        }
+
+        this._nextTagPosition = byteStart + offset;
+
+        if (times.length && this._onKeyframes) {
+            this._onKeyframes(times, filepositions);
+        }
+
+        if (discontinuous) {
+            this._finish(false, `Timestamp discontinuity at position ${byteStart + offset}`);
+            return bytes.byteLength;
+        }
+        if (offset > bytes.byteLength) {
+            return bytes.byteLength;  // inside tag body, dropped until next tag
+        }
+        return offset;
+    }
+
+    // Returns -1 on discontinuity which cannot be explained by wrap-around
+    _unwrapTagTimestamp(timestamp, track) {
+        let last = this._lastRawTimestamp;
+        this._lastRawTimestamp = timestamp;
+
+        let delta = timestamp - last;
+        if (last !== -1 && (delta < -MaxTimestampBackwardJump || delta > MaxTimestampForwardJump)) {
+            if (delta + 0x100000000 >= 0 && delta + 0x100000000 <= MaxTimestampForwardJump) {
+                this._timestampOffset += 0x100000000;
+            } else if (last <= 0xFFFFFF && delta + 0x1000000 >= 0 && delta + 0x1000000 <= MaxTimestampForwardJump) {
+                this._timestampOffset += 0x1000000;
+            } else {
+                return -1;
+            }
+        }
+
+        let result = timestamp + this._timestampOffset;
+        let lastTrackTimestamp = this._lastTrackTimestamps[track];
+        if (lastTrackTimestamp !== -1 && result <= lastTrackTimestamp) {
+            if (lastTrackTimestamp - result > MaxTrackTimestampJitter) {
+                return -1;
+            }
+            result = lastTrackTimestamp + 1;
+        }
+        this._lastTrackTimestamps[track] = result;
+        return result;
+    }
+
+    // Same as FLVDemuxer._isCodedFrameTag(), only coded frames drive the timeline
+    _isCodedFrameTag(tagType, dataSize, flags, packetType) {
+        if (dataSize < 2 || tagType === 18) {
+            return false;
+        }
+        if (tagType === 8) {
+            let soundFormat = flags >>> 4;
+            if (soundFormat === 9) {  // ExHeader, CodedFrames
+                return (flags & 0x0F) === 1;
+            }
+            return soundFormat !== 10 || packetType === 1;  // AAC raw
+        }
+        if (flags & 0x80) {  // IsExHeader, CodedFrames or CodedFramesX
+            return (flags & 0x0F) === 1 || (flags & 0x0F) === 3;
+        }
+        let frameType = flags >>> 4;
+        let codecId = flags & 0x0F;
+        if (frameType === 5) {  // video info / command frame
+            return false;
+        }
+        return (codecId !== 7 && codecId !== 12) || packetType === 1;  // AVC / HEVC NALU
+    }
+
+    _isKeyframe(flags, packetType) {
+        if (flags & 0x80) {  // Enhanced FLV, IsExHeader
+            let frameType = (flags >>> 4) & 0x07;
+            let exPacketType = flags & 0x0F;
+            return frameType === 1 && (exPacketType === 1 || exPacketType === 3);  // CodedFrames(X)
+        }
+        let frameType = flags >>> 4;
+        let codecId = flags & 0x0F;
+        if (codecId === 7 || codecId === 12) {  // AVC / HEVC, skip sequence header
+            return frameType === 1 && packetType === 1;
+        }
+        return frameType === 1;
+    }
+
+    _onIOComplete() {
+        if (this._ioctl == null) {
+            return;  // already finished
+        }
+        this._finish(true);
+    }
+
+    _onIOError(type, info) {
+        if (this._ioctl == null) {
+            return;
+        }
+        this._finish(false, `${type}: ${info.msg}`);
+    }
+
+    _finish(succeeded, reason) {
+        if (succeeded) {
+            Log.v(this.TAG, 'Keyframes scan completed');
+        } else {
+            Log.w(this.TAG, `Keyframes scan aborted, ${reason}`);
+        }
+        if (this._ioctl) {
+            let ioctl = this._ioctl;
+            this._ioctl = null;
+            Promise.resolve().then(() => {
+                ioctl.destroy();
+            });
+        }
+        if (this._onComplete) {
+            this._onComplete(succeeded);
+        }
+    }
+
+}
+
+export default KeyframesIndexScanner;
@@ -78,6 +78,11 @@ class MSEController {
         };
         this._idrList = new IDRSampleList();
 
+        // Codec switching which requires a new MediaSource, waits for playback reaching buffered end,
+        // {type, timer}. After reattached, {currentTime, paused} of the element to be restored
+        this._pendingReattach = null;
+        this._reattachedState = null;
+
 
         this.firstDuration = true;
     }
@@ -159,6 +164,8 @@ class MSEController {
             this._idrList.clear();
             this._mediaSource = null;
         }
+        this._cancelPendingReattach();
+        this._reattachedState = null;
 
         if (this._mediaElement) {
             this._mediaElement.src = '';
@@ -191,15 +198,11 @@ class MSEController {
         }
 
         let is = initSegment;
-        let mimeType = `${is.container}`;// video/mp4  audio/mp4
-        if (is.codec && is.codec.length > 0) {
-            mimeType += `;codecs=${is.codec}`;
-        }
+        let mimeType = this._getMimeType(is);  // video/mp4  audio/mp4
         // 假设不是第一次创建sourcebuffer
         let firstInitSegment = false;
 
         Log.v(this.TAG, 'Received Initialization Segment, mimeType: ' + mimeType);
-        this._lastInitSegments[is.type] = is;
 
         if (mimeType !== this._mimeTypes[is.type]) {
             if (!this._mimeTypes[is.type]) {  //为null 是为_sourceBuffers中的video和audio第一次创建sourcebuffer
@@ -214,12 +217,15 @@ class MSEController {
                     this._emitter.emit(MSEEvents.ERROR, {code: error.code, msg: error.message});
                     return;
                 }
+                this._mimeTypes[is.type] = mimeType;
             } else {
+                // SourceBuffer is switched when this InitSegment is going to be appended, see _doAppendSegments()
                 Log.v(this.TAG, `Notice: ${is.type} mimeType changed, origin: ${this._mimeTypes[is.type]}, target: ${mimeType}`);
             }
-            this._mimeTypes[is.type] = mimeType;
         }
 
+        this._lastInitSegments[is.type] = is;
+
         if (!deferred) {
             // deferred means this InitSegment has been pushed to pendingSegments queue
             this._pendingSegments[is.type].push(is);
@@ -244,7 +250,7 @@ class MSEController {
          let _mediaSource = this._mediaSource;
          let rangevideo  = sourceBuffers.video;
          let rangeaudio  = sourceBuffers.audio;
-         if(rangevideo.buffered.length>0&&rangeaudio.buffered.length>0){
+         if(rangevideo&&rangeaudio&&rangevideo.buffered.length>0&&rangeaudio.buffered.length>0){
              let rangevideoend = rangevideo.buffered.end(0);
              let currentTime = _mediaElement.currentTime;
              let duration = _mediaSource.duration;
@@ -279,6 +285,18 @@ class MSEController {
     }
 
     seek(seconds) {
+        // Data before the switching point is abandoned by seeking, switch to a new MediaSource right now.
+        // Pending segments are discarded, it starts from the last InitSegments
+        if (this._pendingReattach) {
+            this._cancelPendingReattach();
+            for (let type in this._pendingSegments) {
+                let ps = this._pendingSegments[type];
+                ps.splice(0, ps.length);
+            }
+            this._reattachMediaSource();
+        }
+        this._reattachedState = null;
+
         // remove all appended buffers
         for (let type in this._sourceBuffers) {
             if (!this._sourceBuffers[type]) {
@@ -324,8 +342,9 @@ class MSEController {
             // Safari 10 may get InvalidStateError in the later appendBuffer() after SourceBuffer.remove() call
             // Internal parser's state may be invalid at this time. Re-append last InitSegment to workaround.
             // Related issue: https://bugs.webkit.org/show_bug.cgi?id=159230
-            if (Browser.safari) {
-                let lastInitSegment = this._lastInitSegments[type];
+            // Also re-append it if a pending codec switch has just been discarded
+            let lastInitSegment = this._lastInitSegments[type];
+            if (Browser.safari || (lastInitSegment && this._getMimeType(lastInitSegment) !== this._mimeTypes[type])) {
                 if (lastInitSegment) {
                     this._pendingSegments[type].push(lastInitSegment);
                     if (!sb.updating) {
@@ -339,6 +358,11 @@ class MSEController {
     endOfStream() {
         let ms = this._mediaSource;
         let sb = this._sourceBuffers;
+        if (this._pendingReattach) {
+            // Remaining segments go to the new MediaSource, end it after them
+            this._hasPendingEos = true;
+            return;
+        }
         if (!ms || ms.readyState !== 'open') {
             if (ms && ms.readyState === 'closed' && this._hasPendingSegments()) {
                 // If MediaSource hasn't turned into open state, and there're pending segments
@@ -459,6 +483,9 @@ class MSEController {
 
     _doAppendSegments() {
         let pendingSegments = this._pendingSegments;
+        if (this._pendingReattach) {
+            return;  // segments after codec switching go to the new MediaSource
+        }
         // console.log("_pendingSegments的缓存",JSON.parse(JSON.stringify(this._pendingSegments)));
         for (let type in pendingSegments) {
             if (!this._sourceBuffers[type] || this._sourceBuffers[type].updating) {
@@ -483,6 +510,13 @@ class MSEController {
                     delete segment.timestampOffset;
                 }
 
+                if (segment.container && this._getMimeType(segment) !== this._mimeTypes[type]) {
+                    // InitSegment in another codec, all segments in previous codec have been appended
+                    if (!this._changeSourceBufferType(type, segment)) {
+                        return;
+                    }
+                }
+
                 if (!segment.data || segment.data.byteLength === 0) {
                     // Ignore empty buffer
                     continue;
@@ -530,6 +564,198 @@ class MSEController {
         
     }
 
+    _getMimeType(initSegment) {
+        let mimeType = initSegment.container;
+        if (initSegment.codec && initSegment.codec.length > 0) {
+            mimeType += `;codecs=${initSegment.codec}`;
+        }
+        return mimeType;
+    }
+
+    // Codec without parameters, e.g. 'video/mp4;codecs=avc1' for 'video/mp4;codecs=avc1.640028'
+    _getCodecFamily(mimeType) {
+        return mimeType.replace(/\.[^,;"]*/g, '');
+    }
+
+    // Switch codec of SourceBuffer in place by changeType(), or tear down and recreate it as fallback.
+    // Returns false if the InitSegment is put back to wait for a new MediaSource
+    _changeSourceBufferType(type, initSegment) {
+        let ms = this._mediaSource;
+        let sb = this._sourceBuffers[type];
+        let mimeType = this._getMimeType(initSegment);
+        let fromMpeg = this._mimeTypes[type].indexOf('audio/mpeg') === 0;
+        let toMpeg = mimeType.indexOf('audio/mpeg') === 0;
+
+        Log.v(this.TAG, `Switch ${type} SourceBuffer from ${this._mimeTypes[type]} to ${mimeType}`);
+
+        if (typeof sb.changeType === 'function') {
+            try {
+                sb.changeType(mimeType);
+                if (fromMpeg && !toMpeg) {
+                    // Raw MPEG audio has forced 'sequence' mode, while fragmented MP4 carries its own timestamps
+                    sb.mode = 'segments';
+                    sb.timestampOffset = 0;
+                }
+                this._mimeTypes[type] = mimeType;
+                return true;
+            } catch (error) {
+                Log.w(this.TAG, `SourceBuffer.changeType() failed: ${error.message}, recreate SourceBuffer instead`);
+            }
+        } else if (this._getCodecFamily(mimeType) === this._getCodecFamily(this._mimeTypes[type])) {
+            // Same codec with different parameters, InitSegment is appended as is
+            this._mimeTypes[type] = mimeType;
+            return true;
+        }
+
+        // Buffered data in previous codec is lost, new data continues from the end of it
+        let resumeTime = sb.buffered.length > 0 ? sb.buffered.end(sb.buffered.length - 1) : 0;
+        try {
+            if (this._mediaElement.readyState >= 1 && this._hasOtherSourceBuffer(type)) {
+                // HAVE_METADATA reached, adding SourceBuffer would be refused after the current one removed
+                throw new Error('MediaElement has got metadata');
+            }
+            sb.removeEventListener('error', this.e.onSourceBufferError);
+            sb.removeEventListener('updateend', this.e.onSourceBufferUpdateEnd);
+            this._sourceBuffers[type] = null;
+            this._pendingRemoveRanges[type] = [];
+            ms.removeSourceBuffer(sb);
+
+            sb = this._sourceBuffers[type] = ms.addSourceBuffer(mimeType);
+            sb.addEventListener('error', this.e.onSourceBufferError);
+            sb.addEventListener('updateend', this.e.onSourceBufferUpdateEnd);
+            if (toMpeg) {
+                sb.timestampOffset = resumeTime;
+            }
+        } catch (error) {
+            // Browsers refuse adding SourceBuffer once the element has got metadata, switch to a new MediaSource
+            // when playback reaches the switching point, so that data buffered before it is not lost
+            Log.w(this.TAG, `Failed to recreate ${type} SourceBuffer: ${error.message}, reattach MediaSource instead`);
+            this._pendingSegments[type].unshift(initSegment);
+            this._waitForReattach(type);
+            return false;
+        }
+        this._mimeTypes[type] = mimeType;
+        return true;
+    }
+
+    _hasOtherSourceBuffer(type) {
+        for (let t in this._sourceBuffers) {
+            if (t !== type && this._sourceBuffers[t]) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    _waitForReattach(type) {
+        if (this._pendingReattach) {
+            return;
+        }
+        this._pendingReattach = {type: type, timer: null};
+        this._pendingReattach.timer = self.setInterval(() => {
+            if (this._isBufferedEndReached()) {
+                this._cancelPendingReattach();
+                this._reattachMediaSource();
+            }
+        }, 100);
+    }
+
+    _cancelPendingReattach() {
+        if (this._pendingReattach) {
+            self.clearInterval(this._pendingReattach.timer);
+            this._pendingReattach = null;
+        }
+    }
+
+    // Whether playback has consumed buffered data around currentTime of any remaining SourceBuffer
+    _isBufferedEndReached() {
+        let currentTime = this._mediaElement.currentTime;
+        for (let type in this._sourceBuffers) {
+            let sb = this._sourceBuffers[type];
+            if (!sb) {
+                continue;
+            }
+            let buffered = sb.buffered;
+            let end = -1;
+            for (let i = 0; i < buffered.length; i++) {
+                if (buffered.start(i) <= currentTime && currentTime < buffered.end(i)) {
+                    end = buffered.end(i);
+                    break;
+                }
+            }
+            if (end < 0 || currentTime >= end - 0.3) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Attach a new MediaSource to the element for codec switching, and append pending segments to it
+    // starting with the last InitSegment of each type. Playback position is restored once data appended
+    _reattachMediaSource() {
+        let mediaElement = this._mediaElement;
+        let ms = this._mediaSource;
+
+        Log.w(this.TAG, `Reattach MediaSource at ${mediaElement.currentTime}s for codec switching`);
+        this._reattachedState = {currentTime: mediaElement.currentTime, paused: mediaElement.paused};
+
+        for (let type in this._sourceBuffers) {
+            let sb = this._sourceBuffers[type];
+            if (sb) {
+                sb.removeEventListener('error', this.e.onSourceBufferError);
+                sb.removeEventListener('updateend', this.e.onSourceBufferUpdateEnd);
+            }
+            this._sourceBuffers[type] = null;
+            this._mimeTypes[type] = null;
+            this._pendingRemoveRanges[type] = [];
+
+            let ps = this._pendingSegments[type];
+            let is = this._lastInitSegments[type];
+            if (is && (ps.length === 0 || !ps[0].container)) {
+                ps.unshift(is);
+            }
+            if (ps.length > 0 && ps[0].container) {
+                // SourceBuffer is created by it in _onSourceOpen()
+                this._pendingSourceBufferInit.push(ps[0]);
+            }
+        }
+
+        ms.removeEventListener('sourceopen', this.e.onSourceOpen);
+        ms.removeEventListener('sourceended', this.e.onSourceEnded);
+        ms.removeEventListener('sourceclose', this.e.onSourceClose);
+        window.URL.revokeObjectURL(this._mediaSourceObjectURL);
+        this._mediaSourceObjectURL = null;
+        this._mediaSource = null;
+        this._isBufferFull = false;
+        this._idrList.clear();
+
+        this.attachMediaElement(mediaElement);
+    }
+
+    // Restore playback position and state after MediaSource reattached, once the element has data buffered
+    _restoreReattachedState() {
+        let state = this._reattachedState;
+        let media = this._mediaElement;
+        let buffered = media.buffered;
+        if (buffered.length === 0) {
+            return;
+        }
+        this._reattachedState = null;
+
+        let start = buffered.start(0);
+        let end = buffered.end(0);
+        // Data before the switching point has been dropped with the previous MediaSource
+        media.currentTime = (state.currentTime >= start && state.currentTime < end) ? state.currentTime : start;
+        if (!state.paused) {
+            let promise = media.play();
+            if (promise && promise.catch) {
+                promise.catch((error) => {
+                    Log.w(this.TAG, `Failed to resume playback after MediaSource reattached: ${error.message}`);
+                });
+            }
+        }
+    }
+
     _onSourceOpen() {
         
         this.firstDuration = true;// 测试添加
@@ -585,6 +811,9 @@ class MSEController {
     }
 
     _onSourceBufferUpdateEnd() {
+        if (this._reattachedState) {
+            this._restoreReattachedState();
+        }
         if (this._requireSetMediaDuration) {
             this._updateMediaSourceDuration();
         } else if (this._hasPendingRemoveRanges()) {
@@ -0,0 +1,411 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger.js';
+import {IllegalStateException} from '../utils/exception.js';
+
+// Play raw PCM segments ('audio/pcm' container) through WebAudio,
+// following the clock of the attached HTMLMediaElement which is driven by MSE video track.
+// Without video track, HTMLMediaElement never reaches HAVE_CURRENT_DATA and its clock doesn't advance,
+// then playback position is driven by AudioContext instead (audioOnly), controlled by play / pause of the element
+class PCMAudioRenderer {
+
+    constructor(config) {
+        this.TAG = 'PCMAudioRenderer';
+
+        this._config = config;
+
+        this.e = {
+            onvPlay: this._onvPlay.bind(this),
+            onvPlaying: this._onvPlaying.bind(this),
+            onvPause: this._onvPause.bind(this),
+            onvSeeking: this._onvSeeking.bind(this),
+            onvRateChange: this._onvRateChange.bind(this),
+            onvTimeUpdate: this._onvTimeUpdate.bind(this),
+            onvVolumeChange: this._onvVolumeChange.bind(this)
+        };
+
+        this._mediaElement = null;
+        this._audioContext = null;
+        this._gainNode = null;
+
+        this._audioSampleRate = 0;
+        this._channelCount = 0;
+
+        this._segments = [];  // {begin, end (in seconds), data: Uint8Array, scheduled: boolean}
+        this._sources = [];  // scheduled AudioBufferSourceNode
+        this._scheduledEndTime = 0;  // in AudioContext time
+
+        // Clock of audioOnly mode: playback position is clockMediaTime at AudioContext time clockContextTime,
+        // clockContextTime is -1 while not playing
+        this._audioOnly = false;
+        this._clockMediaTime = 0;
+        this._clockContextTime = -1;
+        this._clockTimer = null;
+
+        // Schedule a bit ahead of playback position, timeupdate is fired every 250ms at most
+        this._scheduleAheadTime = 1.0;
+        // Drop appended segments which are too far behind playback position
+        this._maxBackwardDuration = this._config.autoCleanupMinBackwardDuration || 2 * 60;
+    }
+
+    destroy() {
+        if (this._mediaElement) {
+            this.detachMediaElement();
+        }
+        this.e = null;
+    }
+
+    attachMediaElement(mediaElement) {
+        if (this._mediaElement) {
+            throw new IllegalStateException('PCMAudioRenderer has been attached to an HTMLMediaElement!');
+        }
+
+        let AudioContext = self.AudioContext || self.webkitAudioContext;
+        this._audioContext = new AudioContext();
+        this._gainNode = this._audioContext.createGain();
+        this._gainNode.connect(this._audioContext.destination);
+
+        this._mediaElement = mediaElement;
+        mediaElement.addEventListener('play', this.e.onvPlay);
+        mediaElement.addEventListener('playing', this.e.onvPlaying);
+        mediaElement.addEventListener('pause', this.e.onvPause);
+        mediaElement.addEventListener('seeking', this.e.onvSeeking);
+        mediaElement.addEventListener('ratechange', this.e.onvRateChange);
+        mediaElement.addEventListener('timeupdate', this.e.onvTimeUpdate);
+        mediaElement.addEventListener('volumechange', this.e.onvVolumeChange);
+        this._onvVolumeChange();
+    }
+
+    detachMediaElement() {
+        if (this._mediaElement) {
+            let mediaElement = this._mediaElement;
+            mediaElement.removeEventListener('play', this.e.onvPlay);
+            mediaElement.removeEventListener('playing', this.e.onvPlaying);
+            mediaElement.removeEventListener('pause', this.e.onvPause);
+            mediaElement.removeEventListener('seeking', this.e.onvSeeking);
+            mediaElement.removeEventListener('ratechange', this.e.onvRateChange);
+            mediaElement.removeEventListener('timeupdate', this.e.onvTimeUpdate);
+            mediaElement.removeEventListener('volumechange', this.e.onvVolumeChange);
+            this._mediaElement = null;
+        }
+        this._stopClock();
+        this._stopScheduledSources();
+        this._segments = [];
+        if (this._audioContext) {
+            this._gainNode.disconnect();
+            this._gainNode = null;
+            this._audioContext.close();
+            this._audioContext = null;
+        }
+    }
+
+    get audioOnly() {
+        return this._audioOnly;
+    }
+
+    // Set by player according to whether the stream has video track
+    set audioOnly(audioOnly) {
+        if (this._audioOnly === audioOnly) {
+            return;
+        }
+        this._audioOnly = audioOnly;
+        this._stopClock();
+        this._stopScheduledSources();
+        if (audioOnly) {
+            this._clockMediaTime = this._mediaElement ? this._mediaElement.currentTime : 0;
+            if (this._mediaElement && !this._mediaElement.paused) {
+                this._startClock();
+            }
+        } else {
+            this._schedule();
+        }
+    }
+
+    // Playback position in seconds, which is used instead of HTMLMediaElement.currentTime in audioOnly mode
+    get currentTime() {
+        if (!this._audioOnly) {
+            return this._mediaElement ? this._mediaElement.currentTime : 0;
+        }
+        if (this._clockContextTime < 0) {
+            return this._clockMediaTime;
+        }
+        let time = this._clockMediaTime + (this._audioContext.currentTime - this._clockContextTime);
+        return Math.min(time, Math.max(this.bufferedEnd, this._clockMediaTime));
+    }
+
+    // End of appended segments in seconds
+    get bufferedEnd() {
+        let segments = this._segments;
+        return segments.length > 0 ? segments[segments.length - 1].end : 0;
+    }
+
+    appendInitSegment(initSegment) {
+        if (initSegment.audioSampleRate !== this._audioSampleRate ||
+            initSegment.channelCount !== this._channelCount) {
+            Log.v(this.TAG, `PCM audio format: ${initSegment.audioSampleRate}Hz, ${initSegment.channelCount} channels`);
+        }
+        this._audioSampleRate = initSegment.audioSampleRate;
+        this._channelCount = initSegment.channelCount;
+    }
+
+    appendMediaSegment(mediaSegment) {
+        if (this._audioSampleRate === 0) {
+            throw new IllegalStateException('PCMAudioRenderer: InitSegment must be appended before MediaSegment!');
+        }
+
+        // Clock has been held at the end of appended data on underrun, restart it from there
+        this._updateClock();
+
+        let data = new Uint8Array(mediaSegment.data);
+        let frames = data.byteLength / 2 / this._channelCount;
+        let begin = mediaSegment.info.beginDts / 1000;
+
+        this._segments.push({
+            begin: begin,
+            end: begin + frames / this._audioSampleRate,
+            data: data,
+            audioSampleRate: this._audioSampleRate,
+            channelCount: this._channelCount,
+            scheduled: false
+        });
+        this._schedule();
+    }
+
+    seek(seconds) {
+        // Discard all appended segments, new segments will come from the seek point
+        this._stopScheduledSources();
+        this._segments = [];
+        if (this._audioOnly) {
+            this._clockMediaTime = seconds;
+            if (this._clockContextTime >= 0) {
+                this._clockContextTime = this._audioContext.currentTime;
+            }
+        }
+    }
+
+    _startClock() {
+        let ctx = this._audioContext;
+        if (this._clockContextTime >= 0 || ctx.state !== 'running') {
+            return;
+        }
+        this._clockContextTime = ctx.currentTime;
+        // No timeupdate from the element in audioOnly mode, schedule by a timer at the same pace
+        this._clockTimer = self.setInterval(() => {
+            this._updateClock();
+            this._schedule();
+        }, 250);
+        this._schedule();
+    }
+
+    _stopClock() {
+        if (this._clockTimer != null) {
+            self.clearInterval(this._clockTimer);
+            this._clockTimer = null;
+        }
+        if (this._clockContextTime >= 0) {
+            this._clockMediaTime = this.currentTime;
+            this._clockContextTime = -1;
+        }
+    }
+
+    // Rebase the clock to current position, which is held at the end of appended data on underrun
+    _updateClock() {
+        if (this._audioOnly && this._clockContextTime >= 0) {
+            this._clockMediaTime = this.currentTime;
+            this._clockContextTime = this._audioContext.currentTime;
+        }
+    }
+
+    _schedule() {
+        let media = this._mediaElement;
+        let ctx = this._audioContext;
+
+        if (this._audioOnly) {
+            if (this._clockContextTime < 0) {  // not playing
+                return;
+            }
+        } else if (!media || media.paused || media.seeking || media.readyState < 2) {  // HAVE_CURRENT_DATA
+            return;
+        }
+        if (media.playbackRate !== 1) {
+            // Changing playback rate of PCM without pitch correction is not supported, keep silent
+            return;
+        }
+
+        let currentTime = this.currentTime;
+        let segments = this._segments;
+
+        // Drop outdated segments
+        while (segments.length > 0 && segments[0].end < currentTime - this._maxBackwardDuration) {
+            segments.shift();
+        }
+
+        for (let i = 0; i < segments.length; i++) {
+            let segment = segments[i];
+            if (segment.scheduled || segment.end <= currentTime) {
+                continue;
+            }
+            if (segment.begin > currentTime + this._scheduleAheadTime) {
+                break;
+            }
+
+            let when = ctx.currentTime + (segment.begin - currentTime);
+            let offset = 0;
+
+            if (Math.abs(when - this._scheduledEndTime) < 0.05) {
+                // Continuous with previous segment, avoid glitches caused by clock jitter
+                when = this._scheduledEndTime;
+            }
+            if (when < ctx.currentTime) {
+                offset = ctx.currentTime - when;
+                when = ctx.currentTime;
+            }
+
+            let source = ctx.createBufferSource();
+            source.buffer = this._createAudioBuffer(segment);
+            if (offset >= source.buffer.duration) {
+                segment.scheduled = true;
+                continue;
+            }
+            source.connect(this._gainNode);
+            source.onended = this._onSourceEnded.bind(this, source);
+            source.start(when, offset);
+
+            this._sources.push(source);
+            this._scheduledEndTime = when + source.buffer.duration - offset;
+            segment.scheduled = true;
+        }
+    }
+
+    // Convert signed 16-bit little-endian interleaved samples into AudioBuffer
+    _createAudioBuffer(segment) {
+        let channelCount = segment.channelCount;
+        let frames = segment.data.byteLength / 2 / channelCount;
+        let buffer = this._audioContext.createBuffer(channelCount, frames, segment.audioSampleRate);
+        let v = new DataView(segment.data.buffer, segment.data.byteOffset, segment.data.byteLength);
+
+        for (let c = 0; c < channelCount; c++) {
+            let channelData = buffer.getChannelData(c);
+            for (let i = 0; i < frames; i++) {
+                channelData[i] = v.getInt16((i * channelCount + c) * 2, true) / 32768;
+            }
+        }
+
+        return buffer;
+    }
+
+    _stopScheduledSources() {
+        for (let i = 0; i < this._sources.length; i++) {
+            let source = this._sources[i];
+            source.onended = null;
+            try {
+                source.stop();
+            } catch (error) {
+                // Ignore InvalidStateError for sources which have not been started
+            }
+            source.disconnect();
+        }
+        this._sources = [];
+        this._scheduledEndTime = 0;
+
+        for (let i = 0; i < this._segments.length; i++) {
+            this._segments[i].scheduled = false;
+        }
+    }
+
+    _onSourceEnded(source) {
+        let index = this._sources.indexOf(source);
+        if (index !== -1) {
+            this._sources.splice(index, 1);
+        }
+        source.disconnect();
+    }
+
+    _onvPlay(e) {
+        if (!this._audioOnly) {
+            return;  // wait for playing event, when the element's clock starts advancing
+        }
+        let ctx = this._audioContext;
+        if (ctx.state === 'suspended') {
+            let promise = ctx.resume();
+            if (promise) {
+                promise.then(() => {
+                    if (this._mediaElement && !this._mediaElement.paused) {
+                        this._startClock();
+                    }
+                }).catch((error) => {
+                    Log.w(this.TAG, `Failed to resume AudioContext: ${error.message}`);
+                });
+            }
+            return;
+        }
+        this._startClock();
+    }
+
+    _onvPlaying(e) {
+        if (this._audioOnly) {
+            return;
+        }
+        let ctx = this._audioContext;
+        if (ctx.state === 'suspended') {
+            // AudioContext may be suspended by autoplay policy until playback started by user
+            let promise = ctx.resume();
+            if (promise) {
+                promise.then(() => {
+                    this._stopScheduledSources();
+                    this._schedule();
+                }).catch((error) => {
+                    Log.w(this.TAG, `Failed to resume AudioContext: ${error.message}`);
+                });
+            }
+            return;
+        }
+        this._stopScheduledSources();
+        this._schedule();
+    }
+
+    _onvPause(e) {
+        this._stopClock();
+        this._stopScheduledSources();
+    }
+
+    _onvSeeking(e) {
+        if (this._audioOnly) {
+            return;  // seeking is done by seek() in audioOnly mode
+        }
+        this._stopScheduledSources();
+    }
+
+    _onvRateChange(e) {
+        this._stopScheduledSources();
+        this._schedule();
+    }
+
+    _onvTimeUpdate(e) {
+        this._schedule();
+    }
+
+    _onvVolumeChange(e) {
+        let media = this._mediaElement;
+        this._gainNode.gain.value = media.muted ? 0 : media.volume;
+    }
+
+}
+
+export default PCMAudioRenderer;
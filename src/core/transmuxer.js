@@ -30,7 +30,14 @@ class Transmuxer {
         this.TAG = 'Transmuxer';
         this._emitter = new EventEmitter();
 
-        if (config.enableWorker && typeof (Worker) !== 'undefined') {
+        let enableWorker = config.enableWorker && typeof (Worker) !== 'undefined';
+        if (enableWorker && typeof config.requestInterceptor === 'function') {
+            // Functions cannot be posted into worker
+            Log.w(this.TAG, 'requestInterceptor is not available in worker, fallback to inline transmuxing');
+            enableWorker = false;
+        }
+
+        if (enableWorker) {
             try {
                 let work = require('webworkify');
                 this._worker = work(TransmuxingWorker);
@@ -44,6 +51,9 @@ class Transmuxer {
                 this._worker.postMessage({cmd: 'logging_config', param: LoggingControl.getConfig()});
             } catch (error) {
                 Log.e(this.TAG, 'Error while initialize transmuxing worker, fallback to inline transmuxing');
+                if (this._worker) {
+                    this._worker.terminate();
+                }
                 this._worker = null;
                 this._controller = new TransmuxingController(mediaDataSource, config);
             }
@@ -55,13 +65,20 @@ class Transmuxer {
             let ctl = this._controller;
             ctl.on(TransmuxingEvents.IO_ERROR, this._onIOError.bind(this));
             ctl.on(TransmuxingEvents.DEMUX_ERROR, this._onDemuxError.bind(this));
+            ctl.on(TransmuxingEvents.DEMUX_WARNING, this._onDemuxWarning.bind(this));
             ctl.on(TransmuxingEvents.INIT_SEGMENT, this._onInitSegment.bind(this));
             ctl.on(TransmuxingEvents.MEDIA_SEGMENT, this._onMediaSegment.bind(this));
             ctl.on(TransmuxingEvents.LOADING_COMPLETE, this._onLoadingComplete.bind(this));
             ctl.on(TransmuxingEvents.RECOVERED_EARLY_EOF, this._onRecoveredEarlyEof.bind(this));
+            ctl.on(TransmuxingEvents.RETRYING, this._onRetrying.bind(this));
+            ctl.on(TransmuxingEvents.RECOVERED, this._onRecovered.bind(this));
             ctl.on(TransmuxingEvents.MEDIA_INFO, this._onMediaInfo.bind(this));
+            ctl.on(TransmuxingEvents.MEDIA_INFO_CHANGED, this._onMediaInfoChanged.bind(this));
             ctl.on(TransmuxingEvents.METADATA_ARRIVED, this._onMetaDataArrived.bind(this));
             ctl.on(TransmuxingEvents.SCRIPTDATA_ARRIVED, this._onScriptDataArrived.bind(this));
+            ctl.on(TransmuxingEvents.SEIDATA_ARRIVED, this._onSEIDataArrived.bind(this));
+            ctl.on(TransmuxingEvents.CAPTION_CUE_ARRIVED, this._onCaptionCueArrived.bind(this));
+            ctl.on(TransmuxingEvents.TIMED_METADATA_ARRIVED, this._onTimedMetadataArrived.bind(this));
             ctl.on(TransmuxingEvents.STATISTICS_INFO, this._onStatisticsInfo.bind(this));
             ctl.on(TransmuxingEvents.RECOMMEND_SEEKPOINT, this._onRecommendSeekpoint.bind(this));
         }
@@ -161,12 +178,30 @@ class Transmuxer {
         });
     }
 
+    _onRetrying(info) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.RETRYING, info);
+        });
+    }
+
+    _onRecovered(info) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.RECOVERED, info);
+        });
+    }
+
     _onMediaInfo(mediaInfo) {
         Promise.resolve().then(() => {
             this._emitter.emit(TransmuxingEvents.MEDIA_INFO, mediaInfo);
         });
     }
 
+    _onMediaInfoChanged(change) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.MEDIA_INFO_CHANGED, change);
+        });
+    }
+
     _onMetaDataArrived(metadata) {
         Promise.resolve().then(() => {
             this._emitter.emit(TransmuxingEvents.METADATA_ARRIVED, metadata);
@@ -179,6 +214,24 @@ class Transmuxer {
         });
     }
 
+    _onSEIDataArrived(data) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.SEIDATA_ARRIVED, data);
+        });
+    }
+
+    _onCaptionCueArrived(cue) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.CAPTION_CUE_ARRIVED, cue);
+        });
+    }
+
+    _onTimedMetadataArrived(metadata) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.TIMED_METADATA_ARRIVED, metadata);
+        });
+    }
+
     _onStatisticsInfo(statisticsInfo) {
         Promise.resolve().then(() => {
             this._emitter.emit(TransmuxingEvents.STATISTICS_INFO, statisticsInfo);
@@ -197,6 +250,12 @@ class Transmuxer {
         });
     }
 
+    _onDemuxWarning(type, info) {
+        Promise.resolve().then(() => {
+            this._emitter.emit(TransmuxingEvents.DEMUX_WARNING, type, info);
+        });
+    }
+
     _onRecommendSeekpoint(milliseconds) {
         Promise.resolve().then(() => {
             this._emitter.emit(TransmuxingEvents.RECOMMEND_SEEKPOINT, milliseconds);
@@ -233,13 +292,20 @@ class Transmuxer {
                 Object.setPrototypeOf(data, MediaInfo.prototype);
                 this._emitter.emit(message.msg, data);
                 break;
+            case TransmuxingEvents.RETRYING:
+            case TransmuxingEvents.RECOVERED:
+            case TransmuxingEvents.MEDIA_INFO_CHANGED:
             case TransmuxingEvents.METADATA_ARRIVED:
             case TransmuxingEvents.SCRIPTDATA_ARRIVED:
+            case TransmuxingEvents.SEIDATA_ARRIVED:
+            case TransmuxingEvents.CAPTION_CUE_ARRIVED:
+            case TransmuxingEvents.TIMED_METADATA_ARRIVED:
             case TransmuxingEvents.STATISTICS_INFO:
                 this._emitter.emit(message.msg, data);
                 break;
             case TransmuxingEvents.IO_ERROR:
             case TransmuxingEvents.DEMUX_ERROR:
+            case TransmuxingEvents.DEMUX_WARNING:
                 this._emitter.emit(message.msg, data.type, data.info);
                 break;
             case TransmuxingEvents.RECOMMEND_SEEKPOINT:
@@ -22,11 +22,21 @@ import Browser from '../utils/browser.js';
 import MediaInfo from './media-info.js';
 import FLVDemuxer from '../demux/flv-demuxer.js';
 import MP4Remuxer from '../remux/mp4-remuxer.js';
+import CEA608Decoder from '../demux/cea608-decoder.js';
+import CEA708Decoder from '../demux/cea708-decoder.js';
 import DemuxErrors from '../demux/demux-errors.js';
 import IOController from '../io/io-controller.js';
+import KeyframesIndexScanner from './keyframes-index-scanner.js';
 import TransmuxingEvents from './transmuxing-events.js';
 import {LoaderStatus, LoaderErrors} from '../io/loader.js';
 
+// MediaInfo fields compared for reporting mid-stream codec parameter changes
+const MediaInfoChangeFields = [
+    'mimeType', 'audioCodec', 'audioSampleRate', 'audioChannelCount',
+    'videoCodec', 'width', 'height', 'fps', 'profile', 'level',
+    'refFrames', 'chromaFormat', 'sarNum', 'sarDen'
+];
+
 // Transmuxing (IO, Demuxing, Remuxing) controller, with multipart support
 class TransmuxingController {
 
@@ -42,7 +52,8 @@ class TransmuxingController {
             mediaDataSource.segments = [{
                 duration: mediaDataSource.duration,
                 filesize: mediaDataSource.filesize,
-                url: mediaDataSource.url
+                url: mediaDataSource.url,
+                alternateURLs: mediaDataSource.alternateURLs
             }];
         }
 
@@ -83,19 +94,38 @@ class TransmuxingController {
         this._remuxer = null;
         this._ioctl = null;
 
+        this._captionDecoders = null;
+        if (config.enableClosedCaptions) {
+            let onCue = this._onCaptionCue.bind(this);
+            this._captionDecoders = {
+                field1: new CEA608Decoder(1, onCue),
+                field2: new CEA608Decoder(2, onCue),
+                dtvcc: new CEA708Decoder(onCue)
+            };
+        }
+
         this._pendingSeekTime = null;
         this._pendingResolveSeekPoint = null;
 
+        // Keyframes index rebuilt for segments without onMetaData.keyframes, see config.rebuildKeyframesIndex
+        this._keyframesIndexes = [];
+        this._keyframesScanner = null;
+        this._keyframesScannerSegmentIndex = -1;
+        this._keyframesScannedSegments = [];
+
         this._statisticsReporter = null;
     }
 
     destroy() {
         this._mediaInfo = null;
         this._mediaDataSource = null;
+        this._captionDecoders = null;
 
         if (this._statisticsReporter) {
             this._disableStatisticsReporter();
         }
+        this._stopKeyframesScanner();
+        this._keyframesIndexes = null;
         if (this._ioctl) {
             this._ioctl.destroy();
             this._ioctl = null;
@@ -127,6 +157,9 @@ class TransmuxingController {
     }
 
     _loadSegment(segmentIndex, optionalFrom) {
+        if (this._keyframesScannerSegmentIndex !== segmentIndex) {
+            this._stopKeyframesScanner();
+        }
         this._currentSegmentIndex = segmentIndex;
         let dataSource = this._mediaDataSource.segments[segmentIndex];
         //  实例化IOController 处理flv数据流的拉取  构造函数里执行了选择搜索处理函数、选择加载器、创建加载器的操作
@@ -136,6 +169,8 @@ class TransmuxingController {
         ioctl.onComplete = this._onIOComplete.bind(this);
         ioctl.onRedirect = this._onIORedirect.bind(this);
         ioctl.onRecoveredEarlyEof = this._onIORecoveredEarlyEof.bind(this);
+        ioctl.onRetrying = this._onIORetrying.bind(this);
+        ioctl.onRecovered = this._onIORecovered.bind(this);
 
         if (optionalFrom) {
             this._demuxer.bindDataSource(this._ioctl);
@@ -149,6 +184,7 @@ class TransmuxingController {
 
     stop() {
         this._internalAbort();
+        this._stopKeyframesScanner();
         this._disableStatisticsReporter();
     }
 
@@ -178,6 +214,9 @@ class TransmuxingController {
             return;
         }
 
+        // Captions on screen before seeking are meaningless at the new position
+        this._resetCaptionDecoders();
+
         let targetSegmentIndex = this._searchSegmentIndexContains(milliseconds);
 
         if (targetSegmentIndex === this._currentSegmentIndex) {
@@ -280,6 +319,7 @@ class TransmuxingController {
 
             // 给解码器绑定系列方法 得到解码后的数据
             this._demuxer.onError = this._onDemuxException.bind(this);
+            this._demuxer.onWarning = this._onDemuxWarning.bind(this);
             // 监听媒体信息的解析 包含scriptData video audio 里面的信息 更新信息
             this._demuxer.onMediaInfo = this._onMediaInfo.bind(this);
             // 将解析的数据抛出 onMetaData 在scriptData里面
@@ -295,6 +335,9 @@ class TransmuxingController {
             // 核心 绑定通过 MP4编码后的数据回调  并通过回调将编码后的MP4数据抛给mse-controller.js 塞到MediaSource中 播放
             this._remuxer.onInitSegment = this._onRemuxerInitSegmentArrival.bind(this);
             this._remuxer.onMediaSegment = this._onRemuxerMediaSegmentArrival.bind(this);
+            this._remuxer.onSEIDataArrived = this._onSEIDataArrived.bind(this);
+            this._remuxer.onCaptionDataArrived = this._onCaptionDataArrived.bind(this);
+            this._remuxer.onTimedMetadataArrived = this._onTimedMetadataArrived.bind(this);
 
             consumed = this._demuxer.parseChunks(data, byteStart);
         } else {
@@ -321,13 +364,24 @@ class TransmuxingController {
             Object.setPrototypeOf(this._mediaInfo, MediaInfo.prototype);
         }
 
+        let previousInfo = this._mediaInfo.segments[this._currentSegmentIndex];
         let segmentInfo = Object.assign({}, mediaInfo);
         Object.setPrototypeOf(segmentInfo, MediaInfo.prototype);
         this._mediaInfo.segments[this._currentSegmentIndex] = segmentInfo;
 
+        if (this._shouldRebuildKeyframesIndex(this._currentSegmentIndex)) {
+            this._attachKeyframesIndex(this._currentSegmentIndex);
+            this._startKeyframesScanner(this._currentSegmentIndex);
+        }
+
         // notify mediaInfo update
         this._reportSegmentMediaInfo(this._currentSegmentIndex);
 
+        if (previousInfo != null) {
+            // Codec parameters changed mid-stream, e.g. encoder switched resolution
+            this._reportMediaInfoChange(previousInfo, segmentInfo);
+        }
+
         if (this._pendingSeekTime != null) {
             Promise.resolve().then(() => {
                 let target = this._pendingSeekTime;
@@ -345,6 +399,55 @@ class TransmuxingController {
         this._emitter.emit(TransmuxingEvents.SCRIPTDATA_ARRIVED, data);
     }
 
+    _onSEIDataArrived(data) {
+        this._emitter.emit(TransmuxingEvents.SEIDATA_ARRIVED, data);
+    }
+
+    _onTimedMetadataArrived(metadata) {
+        this._emitter.emit(TransmuxingEvents.TIMED_METADATA_ARRIVED, metadata);
+    }
+
+    _onCaptionDataArrived(pts, ccData) {
+        let decoders = this._captionDecoders;
+        if (decoders == null) {
+            return;
+        }
+
+        let time = pts / 1000;
+        for (let i = 0; i + 2 < ccData.length; i += 3) {
+            let ccType = ccData[i];
+            if (ccType === 0) {  // NTSC_CC_FIELD_1
+                decoders.field1.push(time, ccData[i + 1], ccData[i + 2]);
+            } else if (ccType === 1) {  // NTSC_CC_FIELD_2
+                decoders.field2.push(time, ccData[i + 1], ccData[i + 2]);
+            } else {  // DTVCC_PACKET_DATA or DTVCC_PACKET_START
+                decoders.dtvcc.push(time, ccType, ccData[i + 1], ccData[i + 2]);
+            }
+        }
+    }
+
+    _onCaptionCue(cue) {
+        this._emitter.emit(TransmuxingEvents.CAPTION_CUE_ARRIVED, cue);
+    }
+
+    _resetCaptionDecoders() {
+        let decoders = this._captionDecoders;
+        if (decoders != null) {
+            decoders.field1.reset();
+            decoders.field2.reset();
+            decoders.dtvcc.reset();
+        }
+    }
+
+    _flushCaptionDecoders() {
+        let decoders = this._captionDecoders;
+        if (decoders != null) {
+            decoders.field1.flush();
+            decoders.field2.flush();
+            decoders.dtvcc.flush();
+        }
+    }
+
     _onIOSeeked() {
         this._remuxer.insertDiscontinuity();
     }
@@ -359,6 +462,7 @@ class TransmuxingController {
             this._loadSegment(nextSegmentIndex);
         } else {
             this._remuxer.flushStashedSamples();
+            this._flushCaptionDecoders();
             this._emitter.emit(TransmuxingEvents.LOADING_COMPLETE);
             this._disableStatisticsReporter();
         }
@@ -373,6 +477,14 @@ class TransmuxingController {
         this._emitter.emit(TransmuxingEvents.RECOVERED_EARLY_EOF);
     }
 
+    _onIORetrying(info) {
+        this._emitter.emit(TransmuxingEvents.RETRYING, info);
+    }
+
+    _onIORecovered(info) {
+        this._emitter.emit(TransmuxingEvents.RECOVERED, info);
+    }
+
     _onIOException(type, info) {
         Log.e(this.TAG, `IOException: type = ${type}, code = ${info.code}, msg = ${info.msg}`);
         this._emitter.emit(TransmuxingEvents.IO_ERROR, type, info);
@@ -384,6 +496,10 @@ class TransmuxingController {
         this._emitter.emit(TransmuxingEvents.DEMUX_ERROR, type, info);
     }
 
+    _onDemuxWarning(type, info) {
+        this._emitter.emit(TransmuxingEvents.DEMUX_WARNING, type, info);
+    }
+
     _onRemuxerInitSegmentArrival(type, initSegment) {
         this._emitter.emit(TransmuxingEvents.INIT_SEGMENT, type, initSegment);
     }
@@ -396,6 +512,21 @@ class TransmuxingController {
         }
         this._emitter.emit(TransmuxingEvents.MEDIA_SEGMENT, type, mediaSegment);
 
+        if (type === 'video' && this._shouldRebuildKeyframesIndex(this._currentSegmentIndex)) {
+            let syncPoints = mediaSegment.info.syncPoints;
+            let times = [];
+            let filepositions = [];
+            for (let i = 0; i < syncPoints.length; i++) {
+                if (syncPoints[i].fileposition != undefined) {
+                    times.push(syncPoints[i].originalDts);
+                    filepositions.push(syncPoints[i].fileposition);
+                }
+            }
+            if (times.length > 0) {
+                this._addKeyframes(this._currentSegmentIndex, times, filepositions);
+            }
+        }
+
         // Resolve pending seekPoint
         if (this._pendingResolveSeekPoint != null && type === 'video') {
             let syncPoints = mediaSegment.info.syncPoints;
@@ -412,6 +543,101 @@ class TransmuxingController {
         }
     }
 
+    _shouldRebuildKeyframesIndex(segmentIndex) {
+        if (!this._config.rebuildKeyframesIndex || this._config.isLive) {
+            return false;
+        }
+        let segmentInfo = this._mediaInfo ? this._mediaInfo.segments[segmentIndex] : null;
+        if (segmentInfo != null && segmentInfo.hasKeyframesIndex === true &&
+                segmentInfo.keyframesIndex !== this._keyframesIndexes[segmentIndex]) {
+            return false;  // Keyframes index provided by onMetaData
+        }
+        return true;
+    }
+
+    // Merge keyframes into rebuilt index of the segment, which is sorted by fileposition
+    _addKeyframes(segmentIndex, times, filepositions) {
+        let index = this._keyframesIndexes[segmentIndex];
+        if (index == null) {
+            index = this._keyframesIndexes[segmentIndex] = {times: [], filepositions: []};
+        }
+
+        for (let i = 0; i < times.length; i++) {
+            let list = index.filepositions;
+            let lbound = 0;
+            let ubound = list.length;
+            while (lbound < ubound) {
+                let mid = lbound + Math.floor((ubound - lbound) / 2);
+                if (list[mid] < filepositions[i]) {
+                    lbound = mid + 1;
+                } else {
+                    ubound = mid;
+                }
+            }
+            if (list[lbound] === filepositions[i]) {
+                continue;  // already indexed
+            }
+            if ((lbound > 0 && index.times[lbound - 1] >= times[i]) ||
+                    (lbound < list.length && index.times[lbound] <= times[i])) {
+                // Times are bisected by getNearestKeyframe(), which requires the same order as filepositions
+                Log.w(this.TAG, `Keyframe at position ${filepositions[i]} with time ${times[i]} breaks time order, ignored`);
+                continue;
+            }
+            index.times.splice(lbound, 0, times[i]);
+            index.filepositions.splice(lbound, 0, filepositions[i]);
+        }
+
+        if (this._attachKeyframesIndex(segmentIndex)) {
+            // Segment became seekable, notify mediaInfo update
+            this._reportSegmentMediaInfo(segmentIndex);
+        }
+    }
+
+    // Returns true if segment became seekable by the rebuilt keyframes index
+    _attachKeyframesIndex(segmentIndex) {
+        let index = this._keyframesIndexes[segmentIndex];
+        let segmentInfo = this._mediaInfo ? this._mediaInfo.segments[segmentIndex] : null;
+        if (index == null || index.times.length === 0 || segmentInfo == null || segmentInfo.hasKeyframesIndex === true) {
+            return false;
+        }
+
+        segmentInfo.keyframesIndex = index;
+        segmentInfo.hasKeyframesIndex = true;
+        if (this._mediaInfo.hasKeyframesIndex !== true) {
+            Log.v(this.TAG, 'Keyframes index rebuilt, media is seekable now');
+            this._mediaInfo.hasKeyframesIndex = true;
+        }
+        return true;
+    }
+
+    _startKeyframesScanner(segmentIndex) {
+        let dataSource = this._mediaDataSource.segments[segmentIndex];
+        if (!this._config.scanKeyframesIndex || this._keyframesScanner != null ||
+                this._keyframesScannedSegments[segmentIndex] || /wss?:\/\/(.+?)/.test(dataSource.url)) {
+            return;
+        }
+
+        let scanner = this._keyframesScanner = new KeyframesIndexScanner(dataSource, this._config, dataSource.timestampBase);
+        this._keyframesScannerSegmentIndex = segmentIndex;
+        scanner.onKeyframes = (times, filepositions) => {
+            this._addKeyframes(segmentIndex, times, filepositions);
+        };
+        scanner.onComplete = () => {
+            this._keyframesScannedSegments[segmentIndex] = true;
+            this._keyframesScanner = null;
+            this._keyframesScannerSegmentIndex = -1;
+        };
+        scanner.start();
+    }
+
+    _stopKeyframesScanner() {
+        if (this._keyframesScanner) {
+            this._keyframesScanner.destroy();
+            this._keyframesScanner = null;
+            this._keyframesScannerSegmentIndex = -1;
+        }
+    }
+
     _enableStatisticsReporter() {
         if (this._statisticsReporter == null) {
             this._statisticsReporter = self.setInterval(
@@ -439,10 +665,36 @@ class TransmuxingController {
         this._emitter.emit(TransmuxingEvents.MEDIA_INFO, exportInfo);
     }
 
+    _reportMediaInfoChange(oldInfo, newInfo) {
+        let changedFields = MediaInfoChangeFields.filter((field) => {
+            return oldInfo[field] !== newInfo[field];
+        });
+        if (changedFields.length === 0) {
+            return;
+        }
+
+        let exportInfo = (info) => {
+            let result = {};
+            MediaInfoChangeFields.forEach((field) => {
+                result[field] = info[field];
+            });
+            return result;
+        };
+
+        Log.v(this.TAG, `MediaInfo changed: ${changedFields.join(', ')}`);
+        this._emitter.emit(TransmuxingEvents.MEDIA_INFO_CHANGED, {
+            segmentIndex: this._currentSegmentIndex,
+            changedFields: changedFields,
+            oldMediaInfo: exportInfo(oldInfo),
+            newMediaInfo: exportInfo(newInfo)
+        });
+    }
+
     _reportStatisticsInfo() {
         let info = {};
 
         info.url = this._ioctl.currentURL;
+        info.host = this._ioctl.currentHost;
         info.hasRedirect = this._ioctl.hasRedirect;
         if (info.hasRedirect) {
             info.redirectedURL = this._ioctl.currentRedirectedURL;
@@ -19,13 +19,20 @@
 const TransmuxingEvents = {
     IO_ERROR: 'io_error',
     DEMUX_ERROR: 'demux_error',
+    DEMUX_WARNING: 'demux_warning',
     INIT_SEGMENT: 'init_segment',
     MEDIA_SEGMENT: 'media_segment',
     LOADING_COMPLETE: 'loading_complete',
     RECOVERED_EARLY_EOF: 'recovered_early_eof',
+    RETRYING: 'retrying',
+    RECOVERED: 'recovered',
     MEDIA_INFO: 'media_info',
+    MEDIA_INFO_CHANGED: 'media_info_changed',
     METADATA_ARRIVED: 'metadata_arrived',
     SCRIPTDATA_ARRIVED: 'scriptdata_arrived',
+    SEIDATA_ARRIVED: 'seidata_arrived',
+    CAPTION_CUE_ARRIVED: 'caption_cue_arrived',
+    TIMED_METADATA_ARRIVED: 'timed_metadata_arrived',
     STATISTICS_INFO: 'statistics_info',
     RECOMMEND_SEEKPOINT: 'recommend_seekpoint'
 };
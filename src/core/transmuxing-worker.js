@@ -49,13 +49,20 @@ let TransmuxingWorker = function (self) {
                 controller = new TransmuxingController(e.data.param[0], e.data.param[1]);
                 controller.on(TransmuxingEvents.IO_ERROR, onIOError.bind(this));
                 controller.on(TransmuxingEvents.DEMUX_ERROR, onDemuxError.bind(this));
+                controller.on(TransmuxingEvents.DEMUX_WARNING, onDemuxWarning.bind(this));
                 controller.on(TransmuxingEvents.INIT_SEGMENT, onInitSegment.bind(this));
                 controller.on(TransmuxingEvents.MEDIA_SEGMENT, onMediaSegment.bind(this));
                 controller.on(TransmuxingEvents.LOADING_COMPLETE, onLoadingComplete.bind(this));
                 controller.on(TransmuxingEvents.RECOVERED_EARLY_EOF, onRecoveredEarlyEof.bind(this));
+                controller.on(TransmuxingEvents.RETRYING, onRetrying.bind(this));
+                controller.on(TransmuxingEvents.RECOVERED, onRecovered.bind(this));
                 controller.on(TransmuxingEvents.MEDIA_INFO, onMediaInfo.bind(this));
+                controller.on(TransmuxingEvents.MEDIA_INFO_CHANGED, onMediaInfoChanged.bind(this));
                 controller.on(TransmuxingEvents.METADATA_ARRIVED, onMetaDataArrived.bind(this));
                 controller.on(TransmuxingEvents.SCRIPTDATA_ARRIVED, onScriptDataArrived.bind(this));
+                controller.on(TransmuxingEvents.SEIDATA_ARRIVED, onSEIDataArrived.bind(this));
+                controller.on(TransmuxingEvents.CAPTION_CUE_ARRIVED, onCaptionCueArrived.bind(this));
+                controller.on(TransmuxingEvents.TIMED_METADATA_ARRIVED, onTimedMetadataArrived.bind(this));
                 controller.on(TransmuxingEvents.STATISTICS_INFO, onStatisticsInfo.bind(this));
                 controller.on(TransmuxingEvents.RECOMMEND_SEEKPOINT, onRecommendSeekpoint.bind(this));
                 break;
@@ -131,6 +138,22 @@ let TransmuxingWorker = function (self) {
         self.postMessage(obj);
     }
 
+    function onRetrying(info) {
+        let obj = {
+            msg: TransmuxingEvents.RETRYING,
+            data: info
+        };
+        self.postMessage(obj);
+    }
+
+    function onRecovered(info) {
+        let obj = {
+            msg: TransmuxingEvents.RECOVERED,
+            data: info
+        };
+        self.postMessage(obj);
+    }
+
     function onMediaInfo(mediaInfo) {
         let obj = {
             msg: TransmuxingEvents.MEDIA_INFO,
@@ -139,6 +162,14 @@ let TransmuxingWorker = function (self) {
         self.postMessage(obj);
     }
 
+    function onMediaInfoChanged(change) {
+        let obj = {
+            msg: TransmuxingEvents.MEDIA_INFO_CHANGED,
+            data: change
+        };
+        self.postMessage(obj);
+    }
+
     function onMetaDataArrived(metadata) {
         let obj = {
             msg: TransmuxingEvents.METADATA_ARRIVED,
@@ -155,6 +186,30 @@ let TransmuxingWorker = function (self) {
         self.postMessage(obj);
     }
 
+    function onSEIDataArrived(data) {
+        let obj = {
+            msg: TransmuxingEvents.SEIDATA_ARRIVED,
+            data: data
+        };
+        self.postMessage(obj, [data.data.buffer]);  // data.data: Uint8Array
+    }
+
+    function onCaptionCueArrived(cue) {
+        let obj = {
+            msg: TransmuxingEvents.CAPTION_CUE_ARRIVED,
+            data: cue
+        };
+        self.postMessage(obj);
+    }
+
+    function onTimedMetadataArrived(metadata) {
+        let obj = {
+            msg: TransmuxingEvents.TIMED_METADATA_ARRIVED,
+            data: metadata
+        };
+        self.postMessage(obj);
+    }
+
     function onStatisticsInfo(statInfo) {
         let obj = {
             msg: TransmuxingEvents.STATISTICS_INFO,
@@ -183,6 +238,16 @@ let TransmuxingWorker = function (self) {
         });
     }
 
+    function onDemuxWarning(type, info) {
+        self.postMessage({
+            msg: TransmuxingEvents.DEMUX_WARNING,
+            data: {
+                type: type,
+                info: info
+            }
+        });
+    }
+
     function onRecommendSeekpoint(milliseconds) {
         self.postMessage({
             msg: TransmuxingEvents.RECOMMEND_SEEKPOINT,
@@ -0,0 +1,259 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import ExpGolomb from './exp-golomb.js';
+
+const SamplingFrequencies = [
+    96000, 88200, 64000, 48000, 44100, 32000,
+    24000, 22050, 16000, 12000, 11025, 8000, 7350
+];
+
+// Parser for MPEG-4 AudioSpecificConfig, ISO/IEC 14496-3 section 1.6.2.1
+class AACParser {
+
+    /* Audio Object Type:
+       1: AAC Main
+       2: AAC LC
+       3: AAC SSR (Scalable Sample Rate)
+       4: AAC LTP (Long Term Prediction)
+       5: SBR (Spectral Band Replication), HE-AAC v1
+       6: AAC Scalable
+       29: PS (Parametric Stereo), HE-AAC v2
+    */
+    static parseAudioSpecificConfig(uint8array) {
+        let gb = new ExpGolomb(uint8array);
+        let result = null;
+
+        try {
+            result = AACParser._parseAudioSpecificConfig(gb);
+        } catch (error) {
+            // ExpGolomb throws IllegalStateException if config is truncated
+            result = null;
+        }
+
+        gb.destroy();
+        gb = null;
+        return result;
+    }
+
+    static _parseAudioSpecificConfig(gb) {
+        let totalBits = gb.getBitsLeft();
+
+        let audioObjectType = AACParser._readAudioObjectType(gb);
+        let samplingFrequency = AACParser._readSamplingFrequency(gb);
+        let channelConfig = gb.readBits(4);
+
+        if (samplingFrequency == null || channelConfig > 7) {
+            return null;
+        }
+
+        let extensionSamplingFrequency = null;
+        let sbrPresent = false;
+        let psPresent = false;
+
+        if (audioObjectType === 5 || audioObjectType === 29) {
+            // explicit hierarchical signalling of SBR / PS
+            sbrPresent = true;
+            psPresent = (audioObjectType === 29);
+            extensionSamplingFrequency = AACParser._readSamplingFrequency(gb);
+            audioObjectType = AACParser._readAudioObjectType(gb);
+            if (extensionSamplingFrequency == null) {
+                return null;
+            }
+        }
+
+        // SBR / PS could also be signalled in backward compatible way after the core config
+        let parseSyncExtension = !sbrPresent;
+        let frameLength = 1024;
+        let channelCount = AACParser._getChannelCount(channelConfig);
+
+        switch (audioObjectType) {
+            case 1: case 2: case 3: case 4: case 6: case 7:
+            case 17: case 19: case 20: case 21: case 22: case 23: {
+                let ga = AACParser._parseGASpecificConfig(gb, audioObjectType, channelConfig, totalBits);
+                if (ga.frameLengthFlag) {
+                    frameLength = 960;
+                }
+                if (ga.channelCount != undefined) {
+                    channelCount = ga.channelCount;
+                }
+                break;
+            }
+            default:
+                // Other object types are passed through without parsing their specific config
+                break;
+        }
+
+        if (audioObjectType >= 17 && audioObjectType <= 27) {
+            let epConfig = gb.readBits(2);
+            if (epConfig === 2 || epConfig === 3) {
+                // ErrorProtectionSpecificConfig, nothing after it could be parsed reliably
+                parseSyncExtension = false;
+            }
+        }
+
+        if (parseSyncExtension && gb.getBitsLeft() >= 16) {
+            if (gb.readBits(11) === 0x2B7) {  // syncExtensionType
+                let extensionAudioObjectType = AACParser._readAudioObjectType(gb);
+                if (extensionAudioObjectType === 5) {
+                    sbrPresent = gb.readBool();
+                    if (sbrPresent) {
+                        extensionSamplingFrequency = AACParser._readSamplingFrequency(gb);
+                        if (gb.getBitsLeft() >= 12 && gb.readBits(11) === 0x548) {  // syncExtensionType
+                            psPresent = gb.readBool();
+                        }
+                    }
+                }
+            }
+        }
+
+        if (psPresent) {
+            // Parametric Stereo always decodes into stereo
+            channelCount = 2;
+        }
+
+        let objectType = psPresent ? 29 : (sbrPresent ? 5 : audioObjectType);
+
+        return {
+            audioObjectType: audioObjectType,  // of the core coder
+            samplingRate: samplingFrequency,  // of the core coder
+            extensionSamplingRate: sbrPresent ? extensionSamplingFrequency : null,
+            channelConfig: channelConfig,
+            channelCount: channelCount,
+            frameLength: frameLength,  // in samples of the core coder
+            sbrPresent: sbrPresent,
+            psPresent: psPresent,
+            codec: 'mp4a.40.' + objectType
+        };
+    }
+
+    static _readAudioObjectType(gb) {
+        let audioObjectType = gb.readBits(5);
+        if (audioObjectType === 31) {
+            audioObjectType = 32 + gb.readBits(6);  // audioObjectTypeExt
+        }
+        return audioObjectType;
+    }
+
+    static _readSamplingFrequency(gb) {
+        let index = gb.readBits(4);
+        if (index === 0x0F) {
+            return gb.readBits(24);  // explicit samplingFrequency
+        } else if (index >= SamplingFrequencies.length) {
+            return null;
+        }
+        return SamplingFrequencies[index];
+    }
+
+    static _getChannelCount(channelConfig) {
+        if (channelConfig === 7) {
+            return 8;  // 7.1
+        }
+        return channelConfig;  // 0 means defined by program_config_element()
+    }
+
+    static _parseGASpecificConfig(gb, audioObjectType, channelConfig, totalBits) {
+        let result = {};
+
+        result.frameLengthFlag = gb.readBool();
+        if (gb.readBool()) {  // dependsOnCoreCoder
+            gb.readBits(14);  // coreCoderDelay
+        }
+        let extensionFlag = gb.readBool();
+
+        if (channelConfig === 0) {
+            result.channelCount = AACParser._parseProgramConfigElement(gb, totalBits);
+        }
+        if (audioObjectType === 6 || audioObjectType === 20) {
+            gb.readBits(3);  // layerNr
+        }
+        if (extensionFlag) {
+            if (audioObjectType === 22) {
+                gb.readBits(5);  // numOfSubFrame
+                gb.readBits(11);  // layer_length
+            }
+            if (audioObjectType === 17 || audioObjectType === 19 ||
+                audioObjectType === 20 || audioObjectType === 23) {
+                gb.readBits(3);  // aacSectionDataResilienceFlag, aacScalefactorDataResilienceFlag, aacSpectralDataResilienceFlag
+            }
+            gb.readBits(1);  // extensionFlag3
+        }
+
+        return result;
+    }
+
+    // Returns count of output channels described by program_config_element()
+    static _parseProgramConfigElement(gb, totalBits) {
+        gb.readBits(4);  // element_instance_tag
+        gb.readBits(2);  // object_type
+        gb.readBits(4);  // sampling_frequency_index
+
+        let numFront = gb.readBits(4);
+        let numSide = gb.readBits(4);
+        let numBack = gb.readBits(4);
+        let numLfe = gb.readBits(2);
+        let numAssocData = gb.readBits(3);
+        let numValidCC = gb.readBits(4);
+
+        if (gb.readBool()) {  // mono_mixdown_present
+            gb.readBits(4);  // mono_mixdown_element_number
+        }
+        if (gb.readBool()) {  // stereo_mixdown_present
+            gb.readBits(4);  // stereo_mixdown_element_number
+        }
+        if (gb.readBool()) {  // matrix_mixdown_idx_present
+            gb.readBits(2);  // matrix_mixdown_idx
+            gb.readBits(1);  // pseudo_surround_enable
+        }
+
+        let channelCount = 0;
+        let elements = numFront + numSide + numBack;
+        for (let i = 0; i < elements; i++) {
+            let isCPE = gb.readBool();  // *_element_is_cpe
+            gb.readBits(4);  // *_element_tag_select
+            channelCount += isCPE ? 2 : 1;
+        }
+        for (let i = 0; i < numLfe; i++) {
+            gb.readBits(4);  // lfe_element_tag_select
+            channelCount += 1;
+        }
+        for (let i = 0; i < numAssocData; i++) {
+            gb.readBits(4);  // assoc_data_element_tag_select
+        }
+        for (let i = 0; i < numValidCC; i++) {
+            gb.readBits(1);  // cc_element_is_ind_sw
+            gb.readBits(4);  // valid_cc_element_tag_select
+        }
+
+        // byte_alignment(), relative to the start of AudioSpecificConfig
+        let consumedBits = totalBits - gb.getBitsLeft();
+        if (consumedBits % 8 !== 0) {
+            gb.readBits(8 - consumedBits % 8);
+        }
+
+        let commentBytes = gb.readBits(8);  // comment_field_bytes
+        for (let i = 0; i < commentBytes; i++) {
+            gb.readBits(8);  // comment_field_data
+        }
+
+        return channelCount;
+    }
+
+}
+
+export default AACParser;
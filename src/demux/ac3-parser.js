@@ -0,0 +1,300 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import ExpGolomb from './exp-golomb.js';
+
+const SamplingRates = [48000, 44100, 32000];
+const ReducedSamplingRates = [24000, 22050, 16000];  // E-AC-3 only, fscod == 3
+
+// Nominal bit rates (in kbps) indexed by frmsizecod >> 1
+const BitRates = [
+    32, 40, 48, 56, 64, 80, 96, 112, 128, 160,
+    192, 224, 256, 320, 384, 448, 512, 576, 640
+];
+
+// Full bandwidth channels of each audio coding mode (acmod)
+const AcmodChannels = [2, 1, 2, 3, 3, 4, 4, 5];
+
+// chan_loc bits of dec3 from bit 0: Lc/Rc, Lrs/Rrs, Cs, Ts, Lsd/Rsd, Lw/Rw, Lvh/Rvh, Cvh, LFE2
+// with the matching chanmap bit of dependent substream (chanmap bit 0 is MSB) and its channel count
+const ChanLocs = [
+    {chanmap: 1 << 10, channels: 2}, {chanmap: 1 << 9, channels: 2}, {chanmap: 1 << 8, channels: 1},
+    {chanmap: 1 << 7, channels: 1}, {chanmap: 1 << 6, channels: 2}, {chanmap: 1 << 5, channels: 2},
+    {chanmap: 1 << 4, channels: 2}, {chanmap: 1 << 3, channels: 1}, {chanmap: 1 << 1, channels: 1}
+];
+
+// Parser for AC-3 and E-AC-3 sync frames, ETSI TS 102 366
+class AC3Parser {
+
+    // Parse all AC-3 sync frames inside a packet, returns fields needed by AC3SpecificBox (dac3)
+    static parseAC3Frames(uint8array) {
+        let offset = 0;
+        let result = null;
+        let frameCount = 0;
+
+        while (offset + 7 <= uint8array.byteLength) {
+            let frame = AC3Parser.parseAC3SyncFrameHeader(uint8array.subarray(offset));
+            if (frame == null) {
+                break;
+            }
+            if (result == null) {
+                result = frame;
+            }
+            frameCount++;
+            offset += frame.frame_size;
+        }
+
+        if (result == null) {
+            return null;
+        }
+
+        result.sample_count = 1536 * frameCount;
+        return result;
+    }
+
+    static parseAC3SyncFrameHeader(uint8array) {
+        if (uint8array.byteLength < 7 || uint8array[0] !== 0x0B || uint8array[1] !== 0x77) {
+            return null;
+        }
+
+        let gb = new ExpGolomb(uint8array);
+        gb.readBits(16);  // syncword
+        gb.readBits(16);  // crc1
+
+        let fscod = gb.readBits(2);
+        let frmsizecod = gb.readBits(6);
+        let bsid = gb.readBits(5);
+        let bsmod = gb.readBits(3);
+        let acmod = gb.readBits(3);
+
+        if (fscod === 3 || frmsizecod > 37 || bsid > 8) {
+            gb.destroy();
+            return null;
+        }
+
+        if ((acmod & 0x01) && acmod !== 1) {
+            gb.readBits(2);  // cmixlev
+        }
+        if (acmod & 0x04) {
+            gb.readBits(2);  // surmixlev
+        }
+        if (acmod === 2) {
+            gb.readBits(2);  // dsurmod
+        }
+        let lfeon = gb.readBits(1);
+
+        gb.destroy();
+        gb = null;
+
+        let samplingRate = SamplingRates[fscod];
+        let bitRate = BitRates[frmsizecod >>> 1];
+        // Frame size in 16-bit words, 44.1kHz frames are padded by one word alternately
+        let words = bitRate * 96000 / samplingRate;
+        if (fscod === 1) {
+            words = Math.floor(words) + (frmsizecod & 0x01);
+        }
+
+        return {
+            codec: 'ac-3',
+            sampling_rate: samplingRate,
+            channel_count: AcmodChannels[acmod] + lfeon,
+            frame_size: words * 2,
+            fscod: fscod,
+            bsid: bsid,
+            bsmod: bsmod,
+            acmod: acmod,
+            lfeon: lfeon,
+            bit_rate_code: frmsizecod >>> 1,
+            bit_rate: bitRate
+        };
+    }
+
+    // Parse all E-AC-3 sync frames inside a packet, returns fields needed by EC3SpecificBox (dec3)
+    static parseEAC3Frames(uint8array) {
+        let offset = 0;
+        let substreams = [];
+        let independent = null;
+        let firstAccessUnit = true;
+        let sampleCount = 0;
+        let totalBytes = 0;
+
+        while (offset + 6 <= uint8array.byteLength) {
+            let frame = AC3Parser.parseEAC3SyncFrameHeader(uint8array.subarray(offset));
+            if (frame == null) {
+                break;
+            }
+
+            if (frame.strmtyp === 1) {  // dependent substream, belongs to the preceding independent one
+                if (independent != null) {
+                    independent.chan_loc |= AC3Parser._getChanLoc(frame.chanmap);
+                    if (firstAccessUnit) {
+                        independent.num_dep_sub++;
+                    }
+                }
+            } else {
+                if (frame.substreamid === 0) {
+                    if (substreams.length > 0) {
+                        firstAccessUnit = false;  // next access unit begins
+                    }
+                    sampleCount += frame.sample_count;
+                }
+                independent = substreams[frame.substreamid];
+                if (independent == undefined) {
+                    independent = substreams[frame.substreamid] = {
+                        fscod: frame.fscod,
+                        bsid: frame.bsid,
+                        bsmod: 0,  // bsmod lies in optional informational metadata, assume complete main
+                        acmod: frame.acmod,
+                        lfeon: frame.lfeon,
+                        num_dep_sub: 0,
+                        chan_loc: 0,
+                        sampling_rate: frame.sampling_rate
+                    };
+                }
+            }
+
+            totalBytes += frame.frame_size;
+            offset += frame.frame_size;
+        }
+
+        if (substreams.length === 0 || substreams[0] == undefined || sampleCount === 0) {
+            return null;
+        }
+
+        let main = substreams[0];
+        let channelCount = AcmodChannels[main.acmod] + main.lfeon;
+        for (let i = 0; i < ChanLocs.length; i++) {
+            if (main.chan_loc & (1 << i)) {
+                channelCount += ChanLocs[i].channels;
+            }
+        }
+
+        let result = {
+            codec: 'ec-3',
+            sampling_rate: main.sampling_rate,
+            channel_count: channelCount,
+            sample_count: sampleCount,
+            // in kbps
+            data_rate: Math.round(totalBytes * 8 * main.sampling_rate / sampleCount / 1000),
+            substreams: []
+        };
+
+        for (let i = 0; i < substreams.length; i++) {
+            let s = substreams[i];
+            if (s == undefined) {
+                break;  // substream id must be continuous
+            }
+            result.substreams.push({
+                fscod: s.fscod,
+                bsid: s.bsid,
+                bsmod: s.bsmod,
+                acmod: s.acmod,
+                lfeon: s.lfeon,
+                num_dep_sub: s.num_dep_sub,
+                chan_loc: s.chan_loc
+            });
+        }
+
+        return result;
+    }
+
+    static _getChanLoc(chanmap) {
+        let chanLoc = 0;
+        if (chanmap != null) {
+            for (let i = 0; i < ChanLocs.length; i++) {
+                if (chanmap & ChanLocs[i].chanmap) {
+                    chanLoc |= 1 << i;
+                }
+            }
+        }
+        return chanLoc;
+    }
+
+    static parseEAC3SyncFrameHeader(uint8array) {
+        if (uint8array.byteLength < 6 || uint8array[0] !== 0x0B || uint8array[1] !== 0x77) {
+            return null;
+        }
+
+        let gb = new ExpGolomb(uint8array);
+        gb.readBits(16);  // syncword
+
+        let strmtyp = gb.readBits(2);
+        let substreamid = gb.readBits(3);
+        let frmsiz = gb.readBits(11);
+        let fscod = gb.readBits(2);
+        let numblkscod = 3;
+        let samplingRate = 0;
+
+        if (fscod === 3) {
+            let fscod2 = gb.readBits(2);
+            if (fscod2 === 3) {
+                gb.destroy();
+                return null;
+            }
+            samplingRate = ReducedSamplingRates[fscod2];
+        } else {
+            numblkscod = gb.readBits(2);
+            samplingRate = SamplingRates[fscod];
+        }
+
+        let acmod = gb.readBits(3);
+        let lfeon = gb.readBits(1);
+        let bsid = gb.readBits(5);
+
+        if (strmtyp === 3 || bsid <= 10 || bsid > 16) {
+            gb.destroy();
+            return null;
+        }
+
+        let chanmap = null;
+        if (strmtyp === 1 && uint8array.byteLength >= 12) {
+            gb.readBits(5);  // dialnorm
+            if (gb.readBool()) {  // compre
+                gb.readBits(8);  // compr
+            }
+            if (acmod === 0) {
+                gb.readBits(5);  // dialnorm2
+                if (gb.readBool()) {  // compr2e
+                    gb.readBits(8);  // compr2
+                }
+            }
+            if (gb.readBool()) {  // chanmape
+                chanmap = gb.readBits(16);
+            }
+        }
+
+        gb.destroy();
+        gb = null;
+
+        return {
+            strmtyp: strmtyp,
+            substreamid: substreamid,
+            frame_size: (frmsiz + 1) * 2,
+            fscod: fscod,
+            sampling_rate: samplingRate,
+            sample_count: [1, 2, 3, 6][numblkscod] * 256,
+            acmod: acmod,
+            lfeon: lfeon,
+            bsid: bsid,
+            chanmap: chanmap
+        };
+    }
+
+}
+
+export default AC3Parser;
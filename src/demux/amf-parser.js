@@ -19,6 +19,7 @@
 import Log from '../utils/logger.js';
 import decodeUTF8 from '../utils/utf8-conv.js';
 import {IllegalStateException} from '../utils/exception.js';
+import AMF3Parser from './amf3-parser.js';
 
 let le = (function () {
     let buf = new ArrayBuffer(2);
@@ -222,6 +223,12 @@ class AMF {
                     offset += amfLongStr.size;
                     break;
                 }
+                case 17: {  // AVM+ type, switch to AMF3 for the following value
+                    let amf3 = AMF3Parser.parseValue(arrayBuffer, dataOffset + 1, dataSize - 1);
+                    value = amf3.data;
+                    offset += amf3.size;
+                    break;
+                }
                 default:
                     // ignore and skip
                     offset = dataSize;
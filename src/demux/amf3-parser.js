@@ -0,0 +1,332 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Log from '../utils/logger.js';
+import decodeUTF8 from '../utils/utf8-conv.js';
+import {IllegalStateException} from '../utils/exception.js';
+
+// Parser for Action Message Format 3 values, as specified in amf3_spec_121207.pdf
+// Each AMF0 avmplus-object marker (0x11) starts a new AMF3 context with empty reference tables
+class AMF3Parser {
+
+    // Returns {data, size} like AMF.parseValue
+    static parseValue(arrayBuffer, dataOffset, dataSize) {
+        let parser = new AMF3Parser(arrayBuffer, dataOffset, dataSize);
+        let value = parser.readValue();
+        return {
+            data: value,
+            size: parser._offset
+        };
+    }
+
+    constructor(arrayBuffer, dataOffset, dataSize) {
+        this._buffer = arrayBuffer;
+        this._dataOffset = dataOffset;
+        this._dataSize = dataSize;
+        this._view = new DataView(arrayBuffer, dataOffset, dataSize);
+        this._offset = 0;
+
+        // Reference tables
+        this._strings = [];
+        this._objects = [];
+        this._traits = [];
+    }
+
+    _require(bytes, what) {
+        if (this._offset + bytes > this._dataSize) {
+            throw new IllegalStateException('Data not enough when parse AMF3 ' + what);
+        }
+    }
+
+    _readUint8() {
+        this._require(1, 'U8');
+        return this._view.getUint8(this._offset++);
+    }
+
+    // U29, variable length unsigned 29-bit integer
+    _readU29() {
+        let value = 0;
+        for (let i = 0; i < 3; i++) {
+            let b = this._readUint8();
+            if ((b & 0x80) === 0) {
+                return (value << 7) | b;
+            }
+            value = (value << 7) | (b & 0x7F);
+        }
+        return (value << 8) | this._readUint8();
+    }
+
+    _readDouble() {
+        this._require(8, 'double');
+        let value = this._view.getFloat64(this._offset, false);
+        this._offset += 8;
+        return value;
+    }
+
+    _readUTF8(length) {
+        this._require(length, 'UTF-8 string');
+        let str = '';
+        if (length > 0) {
+            str = decodeUTF8(new Uint8Array(this._buffer, this._dataOffset + this._offset, length));
+        }
+        this._offset += length;
+        return str;
+    }
+
+    // UTF-8-vr, string or reference to string table
+    _readString() {
+        let ref = this._readU29();
+        if ((ref & 0x01) === 0) {
+            return this._getReference(this._strings, ref >>> 1, 'string');
+        }
+        let str = this._readUTF8(ref >>> 1);
+        if (str.length > 0) {  // empty string is never sent by reference
+            this._strings.push(str);
+        }
+        return str;
+    }
+
+    _getReference(table, index, what) {
+        if (index >= table.length) {
+            throw new IllegalStateException('Invalid AMF3 ' + what + ' reference ' + index);
+        }
+        return table[index];
+    }
+
+    readValue() {
+        let type = this._readUint8();
+
+        switch (type) {
+            case 0x00:  // undefined
+                return undefined;
+            case 0x01:  // null
+                return null;
+            case 0x02:  // false
+                return false;
+            case 0x03:  // true
+                return true;
+            case 0x04: {  // integer, signed 29-bit
+                let value = this._readU29();
+                return (value & 0x10000000) ? value - 0x20000000 : value;
+            }
+            case 0x05:  // double
+                return this._readDouble();
+            case 0x06:  // string
+                return this._readString();
+            case 0x07:  // XMLDocument
+            case 0x0B:  // XML
+                return this._readXML();
+            case 0x08:  // date
+                return this._readDate();
+            case 0x09:  // array
+                return this._readArray();
+            case 0x0A:  // object
+                return this._readObject();
+            case 0x0C:  // ByteArray
+                return this._readByteArray();
+            case 0x0D:  // Vector.<int>
+            case 0x0E:  // Vector.<uint>
+            case 0x0F:  // Vector.<Number>
+            case 0x10:  // Vector.<Object>
+                return this._readVector(type);
+            case 0x11:  // Dictionary
+                return this._readDictionary();
+            default:
+                throw new IllegalStateException('Unsupported AMF3 value type ' + type);
+        }
+    }
+
+    _readXML() {
+        let ref = this._readU29();
+        if ((ref & 0x01) === 0) {
+            return this._getReference(this._objects, ref >>> 1, 'object');
+        }
+        let xml = this._readUTF8(ref >>> 1);
+        this._objects.push(xml);
+        return xml;
+    }
+
+    _readDate() {
+        let ref = this._readU29();
+        if ((ref & 0x01) === 0) {
+            return this._getReference(this._objects, ref >>> 1, 'object');
+        }
+        let date = new Date(this._readDouble());  // milliseconds since epoch in UTC
+        this._objects.push(date);
+        return date;
+    }
+
+    // Arrays with associative portion are converted into plain objects holding both portions
+    _readArray() {
+        let ref = this._readU29();
+        if ((ref & 0x01) === 0) {
+            return this._getReference(this._objects, ref >>> 1, 'object');
+        }
+        let denseLength = ref >>> 1;
+        let value = [];
+        let index = this._objects.length;
+        this._objects.push(value);
+
+        let key = this._readString();
+        if (key.length > 0) {
+            value = {};
+            this._objects[index] = value;
+            while (key.length > 0) {
+                value[key] = this.readValue();
+                key = this._readString();
+            }
+        }
+
+        for (let i = 0; i < denseLength; i++) {
+            value[i] = this.readValue();
+        }
+        return value;
+    }
+
+    _readObject() {
+        let ref = this._readU29();
+        if ((ref & 0x01) === 0) {
+            return this._getReference(this._objects, ref >>> 1, 'object');
+        }
+
+        let traits;
+        if ((ref & 0x02) === 0) {
+            traits = this._getReference(this._traits, ref >>> 2, 'traits');
+        } else {
+            traits = {
+                className: null,
+                externalizable: (ref & 0x04) !== 0,
+                dynamic: (ref & 0x08) !== 0,
+                members: []
+            };
+            let memberCount = ref >>> 4;
+            traits.className = this._readString();
+            for (let i = 0; i < memberCount; i++) {
+                traits.members.push(this._readString());
+            }
+            this._traits.push(traits);
+        }
+
+        if (traits.externalizable) {
+            return this._readExternalizable(traits.className);
+        }
+
+        let value = {};
+        this._objects.push(value);
+
+        for (let i = 0; i < traits.members.length; i++) {
+            value[traits.members[i]] = this.readValue();
+        }
+        if (traits.dynamic) {
+            let key = this._readString();
+            while (key.length > 0) {
+                value[key] = this.readValue();
+                key = this._readString();
+            }
+        }
+        return value;
+    }
+
+    // Only externalizable classes of Flex which simply wrap another value could be decoded
+    _readExternalizable(className) {
+        switch (className) {
+            case 'flex.messaging.io.ArrayCollection':
+            case 'flex.messaging.io.ObjectProxy': {
+                let index = this._objects.length;
+                this._objects.push(null);
+                let value = this.readValue();
+                this._objects[index] = value;
+                return value;
+            }
+            default:
+                throw new IllegalStateException('Unsupported AMF3 externalizable class ' + className);
+        }
+    }
+
+    _readByteArray() {
+        let ref = this._readU29();
+        if ((ref & 0x01) === 0) {
+            return this._getReference(this._objects, ref >>> 1, 'object');
+        }
+        let length = ref >>> 1;
+        this._require(length, 'ByteArray');
+        let start = this._dataOffset + this._offset;
+        let bytes = new Uint8Array(this._buffer.slice(start, start + length));
+        this._offset += length;
+        this._objects.push(bytes);
+        return bytes;
+    }
+
+    _readVector(type) {
+        let ref = this._readU29();
+        if ((ref & 0x01) === 0) {
+            return this._getReference(this._objects, ref >>> 1, 'object');
+        }
+        let length = ref >>> 1;
+        this._readUint8();  // fixed-vector
+        let value = [];
+        this._objects.push(value);
+
+        if (type === 0x10) {
+            this._readString();  // object-type-name
+            for (let i = 0; i < length; i++) {
+                value.push(this.readValue());
+            }
+            return value;
+        }
+
+        let itemSize = (type === 0x0F) ? 8 : 4;
+        this._require(length * itemSize, 'Vector');
+        for (let i = 0; i < length; i++) {
+            if (type === 0x0D) {
+                value.push(this._view.getInt32(this._offset, false));
+            } else if (type === 0x0E) {
+                value.push(this._view.getUint32(this._offset, false));
+            } else {
+                value.push(this._view.getFloat64(this._offset, false));
+            }
+            this._offset += itemSize;
+        }
+        return value;
+    }
+
+    // Keys of Dictionary are converted to strings, object keys could not be kept
+    _readDictionary() {
+        let ref = this._readU29();
+        if ((ref & 0x01) === 0) {
+            return this._getReference(this._objects, ref >>> 1, 'object');
+        }
+        let length = ref >>> 1;
+        this._readUint8();  // weak-keys
+        let value = {};
+        this._objects.push(value);
+
+        for (let i = 0; i < length; i++) {
+            let key = this.readValue();
+            let item = this.readValue();
+            if (key !== null && typeof key === 'object') {
+                Log.w('AMF3', 'Object key of Dictionary is converted to string');
+            }
+            value[String(key)] = item;
+        }
+        return value;
+    }
+
+}
+
+export default AMF3Parser;
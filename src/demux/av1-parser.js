@@ -0,0 +1,253 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import ExpGolomb from './exp-golomb.js';
+
+// OBU types defined in AV1 Bitstream & Decoding Process Specification, section 6.2.2
+export const AV1OBUTypes = {
+    SEQUENCE_HEADER: 1,
+    TEMPORAL_DELIMITER: 2,
+    FRAME_HEADER: 3,
+    TILE_GROUP: 4,
+    METADATA: 5,
+    FRAME: 6,
+    REDUNDANT_FRAME_HEADER: 7,
+    TILE_LIST: 8,
+    PADDING: 15
+};
+
+// Parser for AV1CodecConfigurationRecord (av1C) and low-overhead bitstream format OBUs
+class AV1Parser {
+
+    static parseAV1CodecConfigurationRecord(uint8array) {
+        if (uint8array.byteLength < 4 || (uint8array[0] & 0x80) === 0) {
+            return null;  // marker bit must be set
+        }
+
+        let high_bitdepth = (uint8array[2] >>> 6) & 0x01;
+        let twelve_bit = (uint8array[2] >>> 5) & 0x01;
+
+        return {
+            version: uint8array[0] & 0x7F,
+            seq_profile: uint8array[1] >>> 5,
+            seq_level_idx_0: uint8array[1] & 0x1F,
+            seq_tier_0: uint8array[2] >>> 7,
+            bit_depth: twelve_bit ? 12 : (high_bitdepth ? 10 : 8),
+            monochrome: (uint8array[2] >>> 4) & 0x01,
+            chroma_subsampling_x: (uint8array[2] >>> 3) & 0x01,
+            chroma_subsampling_y: (uint8array[2] >>> 2) & 0x01,
+            chroma_sample_position: uint8array[2] & 0x03,
+            config_obus: uint8array.subarray(4)
+        };
+    }
+
+    // Split a buffer in low-overhead bitstream format into OBUs
+    // Returns array of {type, data}, data includes the OBU header, or null if malformed
+    static splitOBUs(uint8array) {
+        let obus = [];
+        let offset = 0;
+
+        while (offset < uint8array.byteLength) {
+            let header = uint8array[offset];
+            let type = (header >>> 3) & 0x0F;
+            let hasExtension = (header & 0x04) !== 0;
+            let hasSizeField = (header & 0x02) !== 0;
+            let headerSize = hasExtension ? 2 : 1;
+            let payloadSize = 0;
+
+            if (hasSizeField) {
+                let leb128 = AV1Parser._readLeb128(uint8array, offset + headerSize);
+                if (leb128 == null) {
+                    return null;
+                }
+                headerSize += leb128.bytes;
+                payloadSize = leb128.value;
+            } else {
+                // without obu_size, the OBU extends to the end of buffer
+                payloadSize = uint8array.byteLength - offset - headerSize;
+            }
+
+            let obuSize = headerSize + payloadSize;
+            if (offset + obuSize > uint8array.byteLength) {
+                return null;
+            }
+
+            obus.push({
+                type: type,
+                headerSize: headerSize,
+                data: uint8array.subarray(offset, offset + obuSize)
+            });
+            offset += obuSize;
+        }
+
+        return obus;
+    }
+
+    static _readLeb128(uint8array, offset) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            if (offset + i >= uint8array.byteLength) {
+                return null;
+            }
+            let byte = uint8array[offset + i];
+            value += (byte & 0x7F) * Math.pow(2, i * 7);
+            if ((byte & 0x80) === 0) {
+                return {value: value, bytes: i + 1};
+            }
+        }
+        return null;
+    }
+
+    // Parse sequence_header_obu() payload (OBU header excluded), section 5.5
+    static parseSequenceHeader(uint8array) {
+        let gb = new ExpGolomb(uint8array);
+
+        let seq_profile = gb.readBits(3);
+        gb.readBool();  // still_picture
+        let reduced_still_picture_header = gb.readBool();
+
+        let seq_level_idx = 0;
+        let seq_tier = 0;
+        let fps = 0, fps_fixed = false, fps_num = 0, fps_den = 0;
+
+        if (reduced_still_picture_header) {
+            seq_level_idx = gb.readBits(5);
+        } else {
+            let decoder_model_info_present_flag = false;
+            let buffer_delay_length = 0;
+
+            if (gb.readBool()) {  // timing_info_present_flag
+                let num_units_in_display_tick = gb.readBits(32);
+                let time_scale = gb.readBits(32);
+                if (gb.readBool()) {  // equal_picture_interval
+                    let num_ticks_per_picture = gb.readUEG() + 1;  // uvlc()
+                    fps_fixed = true;
+                    fps_num = time_scale;
+                    fps_den = num_units_in_display_tick * num_ticks_per_picture;
+                    fps = fps_num / fps_den;
+                }
+
+                decoder_model_info_present_flag = gb.readBool();
+                if (decoder_model_info_present_flag) {
+                    buffer_delay_length = gb.readBits(5) + 1;  // buffer_delay_length_minus_1
+                    gb.readBits(32);  // num_units_in_decoding_tick
+                    gb.readBits(5);  // buffer_removal_time_length_minus_1
+                    gb.readBits(5);  // frame_presentation_time_length_minus_1
+                }
+            }
+
+            let initial_display_delay_present_flag = gb.readBool();
+            let operating_points_cnt = gb.readBits(5) + 1;  // operating_points_cnt_minus_1
+            for (let i = 0; i < operating_points_cnt; i++) {
+                gb.readBits(12);  // operating_point_idc
+                let level_idx = gb.readBits(5);
+                let tier = 0;
+                if (level_idx > 7) {
+                    tier = gb.readBits(1);
+                }
+                if (decoder_model_info_present_flag) {
+                    if (gb.readBool()) {  // decoder_model_present_for_this_op
+                        gb.readBits(buffer_delay_length);  // decoder_buffer_delay
+                        gb.readBits(buffer_delay_length);  // encoder_buffer_delay
+                        gb.readBool();  // low_delay_mode_flag
+                    }
+                }
+                if (initial_display_delay_present_flag) {
+                    if (gb.readBool()) {  // initial_display_delay_present_for_this_op
+                        gb.readBits(4);  // initial_display_delay_minus_1
+                    }
+                }
+                if (i === 0) {
+                    // operating point 0 describes the whole bitstream
+                    seq_level_idx = level_idx;
+                    seq_tier = tier;
+                }
+            }
+        }
+
+        let frame_width_bits = gb.readBits(4) + 1;  // frame_width_bits_minus_1
+        let frame_height_bits = gb.readBits(4) + 1;  // frame_height_bits_minus_1
+        let max_frame_width = gb.readBits(frame_width_bits) + 1;  // max_frame_width_minus_1
+        let max_frame_height = gb.readBits(frame_height_bits) + 1;  // max_frame_height_minus_1
+
+        gb.destroy();
+        gb = null;
+
+        return {
+            seq_profile: seq_profile,
+            seq_level_idx: seq_level_idx,
+            seq_tier: seq_tier,
+            profile_string: AV1Parser.getProfileString(seq_profile),  // Main, High, Professional
+            level_string: AV1Parser.getLevelString(seq_level_idx),  // 2.0, 3.1, 4.0, ...
+
+            frame_rate: {
+                fixed: fps_fixed,
+                fps: fps,
+                fps_den: fps_den,
+                fps_num: fps_num
+            },
+
+            codec_size: {
+                width: max_frame_width,
+                height: max_frame_height
+            }
+        };
+    }
+
+    // Codec string defined in AV1 Codec ISO Media File Format Binding, e.g. 'av01.0.04M.08'
+    static getCodecString(seq_profile, seq_level_idx, seq_tier, bit_depth) {
+        let level = seq_level_idx < 10 ? '0' + seq_level_idx : String(seq_level_idx);
+        let depth = bit_depth < 10 ? '0' + bit_depth : String(bit_depth);
+        return `av01.${seq_profile}.${level}${seq_tier ? 'H' : 'M'}.${depth}`;
+    }
+
+    static getProfileString(seq_profile) {
+        switch (seq_profile) {
+            case 0:
+                return 'Main';
+            case 1:
+                return 'High';
+            case 2:
+                return 'Professional';
+            default:
+                return 'Unknown';
+        }
+    }
+
+    static getLevelString(seq_level_idx) {
+        if (seq_level_idx === 31) {
+            return 'Max';
+        }
+        return `${2 + (seq_level_idx >>> 2)}.${seq_level_idx & 0x03}`;
+    }
+
+    static getChromaFormatString(monochrome, subsampling_x, subsampling_y) {
+        if (monochrome) {
+            return '4:0:0';
+        } else if (subsampling_x && subsampling_y) {
+            return '4:2:0';
+        } else if (subsampling_x) {
+            return '4:2:2';
+        } else {
+            return '4:4:4';
+        }
+    }
+
+}
+
+export default AV1Parser;
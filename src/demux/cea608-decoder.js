@@ -0,0 +1,391 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const ROWS = 15;
+const COLUMNS = 32;
+
+// Cues are emitted once displayed, and their endTime is extended by this duration (in seconds)
+// until the screen changes
+const ProvisionalCueDuration = 4;
+
+// Characters of basic North American character set which differ from ASCII
+const BasicCharacters = {
+    0x2A: 'á', 0x5C: 'é', 0x5E: 'í', 0x5F: 'ó', 0x60: 'ú',
+    0x7B: 'ç', 0x7C: '÷', 0x7D: 'Ñ', 0x7E: 'ñ', 0x7F: '█'
+};
+
+// Special North American character set, 0x11/0x19 0x30-0x3F
+const SpecialCharacters = [
+    '®', '°', '½', '¿', '™', '¢', '£', '♪',
+    'à', ' ', 'è', 'â', 'ê', 'î', 'ô', 'û'
+];
+
+// Extended Western European character set, 0x12/0x1A and 0x13/0x1B 0x20-0x3F
+const ExtendedCharacters = [
+    // Spanish, miscellaneous, French
+    'Á', 'É', 'Ó', 'Ú', 'Ü', 'ü', '‘', '¡',
+    '*', '\'', '—', '©', '℠', '•', '“', '”',
+    'À', 'Â', 'Ç', 'È', 'Ê', 'Ë', 'ë', 'Î',
+    'Ï', 'ï', 'Ô', 'Ù', 'ù', 'Û', '«', '»',
+    // Portuguese, German, Danish
+    'Ã', 'ã', 'Í', 'Ì', 'ì', 'Ò', 'ò', 'Õ',
+    'õ', '{', '}', '\\', '^', '_', '|', '~',
+    'Ä', 'ä', 'Ö', 'ö', 'ß', '¥', '¤', '│',
+    'Å', 'å', 'Ø', 'ø', '┌', '┐', '└', '┘'
+];
+
+// Rows (1-based) addressed by Preamble Address Codes, indexed by first byte without channel bit
+const PACRows = {
+    0x11: [1, 2], 0x12: [3, 4], 0x15: [5, 6], 0x16: [7, 8],
+    0x17: [9, 10], 0x10: [11, 11], 0x13: [12, 13], 0x14: [14, 15]
+};
+
+function createRow() {
+    let row = [];
+    for (let i = 0; i < COLUMNS; i++) {
+        row.push('');
+    }
+    return row;
+}
+
+function createMemory() {
+    let memory = [];
+    for (let i = 0; i < ROWS; i++) {
+        memory.push(createRow());
+    }
+    return memory;
+}
+
+// Caption state of a single data channel (CC1 ~ CC4)
+class CEA608Channel {
+
+    constructor(name, onCue) {
+        this.name = name;
+        this._onCue = onCue;
+        this.reset();
+    }
+
+    reset() {
+        this._mode = null;  // popOn, rollUp, paintOn, text
+        this._displayed = createMemory();
+        this._nonDisplayed = createMemory();
+        this._row = ROWS - 1;
+        this._column = 0;
+        this._rollUpRows = 2;
+
+        this._cueKey = null;
+        this._cue = null;
+    }
+
+    _getWritingMemory() {
+        return this._mode === 'popOn' ? this._nonDisplayed : this._displayed;
+    }
+
+    insertChar(ch) {
+        if (this._mode == null || this._mode === 'text') {
+            return;
+        }
+        let memory = this._getWritingMemory();
+        memory[this._row][Math.min(this._column, COLUMNS - 1)] = ch;
+        this._column = Math.min(this._column + 1, COLUMNS);
+    }
+
+    // Extended characters replace the standard one sent before them for backward compatibility
+    insertExtendedChar(ch) {
+        this.backspace();
+        this.insertChar(ch);
+    }
+
+    backspace() {
+        if (this._mode == null || this._column === 0) {
+            return;
+        }
+        this._column--;
+        this._getWritingMemory()[this._row][this._column] = '';
+    }
+
+    tabOffset(columns) {
+        this._column = Math.min(this._column + columns, COLUMNS - 1);
+    }
+
+    preambleAddress(row, indent) {
+        if (this._mode === 'rollUp') {
+            if (row !== this._row) {
+                // Move the roll-up window to new base row
+                let memory = this._displayed;
+                let lines = [];
+                for (let i = 0; i < this._rollUpRows; i++) {
+                    let r = this._row - this._rollUpRows + 1 + i;
+                    lines.push(r >= 0 ? memory[r] : createRow());
+                }
+                for (let r = 0; r < ROWS; r++) {
+                    memory[r] = createRow();
+                }
+                for (let i = 0; i < this._rollUpRows; i++) {
+                    let r = row - this._rollUpRows + 1 + i;
+                    if (r >= 0) {
+                        memory[r] = lines[i];
+                    }
+                }
+            }
+        }
+        this._row = row;
+        this._column = indent;
+    }
+
+    command(time, code) {
+        switch (code) {
+            case 0x20:  // RCL, Resume Caption Loading
+                this._mode = 'popOn';
+                break;
+            case 0x21:  // BS, Backspace
+                this.backspace();
+                break;
+            case 0x24:  // DER, Delete to End of Row
+                if (this._mode != null) {
+                    let row = this._getWritingMemory()[this._row];
+                    for (let i = this._column; i < COLUMNS; i++) {
+                        row[i] = '';
+                    }
+                }
+                break;
+            case 0x25:  // RU2, Roll-Up Captions 2~4 rows
+            case 0x26:  // RU3
+            case 0x27:  // RU4
+                if (this._mode !== 'rollUp') {
+                    this._displayed = createMemory();
+                    this._nonDisplayed = createMemory();
+                    this._row = ROWS - 1;
+                }
+                this._mode = 'rollUp';
+                this._rollUpRows = code - 0x23;
+                this._column = 0;
+                break;
+            case 0x29:  // RDC, Resume Direct Captioning
+                this._mode = 'paintOn';
+                break;
+            case 0x2A:  // TR, Text Restart
+            case 0x2B:  // RTD, Resume Text Display
+                this._mode = 'text';
+                break;
+            case 0x2C:  // EDM, Erase Displayed Memory
+                this._displayed = createMemory();
+                break;
+            case 0x2D:  // CR, Carriage Return
+                if (this._mode === 'rollUp') {
+                    this._rollUp();
+                }
+                this._column = 0;
+                break;
+            case 0x2E:  // ENM, Erase Non-displayed Memory
+                this._nonDisplayed = createMemory();
+                break;
+            case 0x2F: {  // EOC, End Of Caption, flip memories
+                let memory = this._displayed;
+                this._displayed = this._nonDisplayed;
+                this._nonDisplayed = memory;
+                this._mode = 'popOn';
+                break;
+            }
+            default:  // AOF, AON, FON: nothing to do for text output
+                break;
+        }
+    }
+
+    _rollUp() {
+        let memory = this._displayed;
+        let top = this._row - this._rollUpRows + 1;
+        for (let r = Math.max(top, 0); r < this._row; r++) {
+            memory[r] = memory[r + 1];
+        }
+        memory[this._row] = createRow();
+        // Rows outside the roll-up window are always erased
+        for (let r = 0; r < ROWS; r++) {
+            if (r < top || r > this._row) {
+                memory[r] = createRow();
+            }
+        }
+    }
+
+    // Emit cue for the new screen content once displayed memory changed, and close the previous one
+    updateOutput(time) {
+        let lines = [];
+        let line = null;
+
+        for (let r = 0; r < ROWS; r++) {
+            let text = this._displayed[r].map((ch) => ch || ' ').join('').trim();
+            if (text.length > 0) {
+                if (line === null) {
+                    line = r;
+                }
+                lines.push(text);
+            }
+        }
+
+        let text = lines.join('\n');
+        let key = text.length > 0 ? line + ':' + text : null;
+        if (key === this._cueKey) {
+            return;
+        }
+
+        this.flush(time);
+        if (key !== null) {
+            this._cue = {startTime: time, endTime: time + ProvisionalCueDuration, text: text, line: line};
+            this._emitCue();
+        }
+        this._cueKey = key;
+    }
+
+    // Extend provisional endTime of the cue on screen before playback reaches it
+    extend(time) {
+        let cue = this._cue;
+        if (cue !== null && time + ProvisionalCueDuration / 2 > cue.endTime) {
+            cue.endTime = time + ProvisionalCueDuration;
+            this._emitCue();
+        }
+    }
+
+    // Close the cue on screen with its actual endTime
+    flush(time) {
+        let cue = this._cue;
+        if (cue !== null) {
+            cue.endTime = Math.max(time, cue.startTime);
+            this._emitCue();
+        }
+        this._cue = null;
+        this._cueKey = null;
+    }
+
+    _emitCue() {
+        let cue = this._cue;
+        this._onCue({
+            channel: this.name,
+            startTime: cue.startTime,
+            endTime: cue.endTime,
+            text: cue.text,
+            line: cue.line
+        });
+    }
+
+}
+
+// Decoder for CEA-608 caption data of one field, which carries two data channels
+// (field 1: CC1 & CC2, field 2: CC3 & CC4)
+class CEA608Decoder {
+
+    constructor(field, onCue) {
+        let base = (field === 1) ? 1 : 3;
+        this._channels = [
+            new CEA608Channel('CC' + base, onCue),
+            new CEA608Channel('CC' + (base + 1), onCue)
+        ];
+        this._currentChannel = 0;
+        this._lastControlCode = null;
+        this._inXDS = false;
+        this._lastTime = 0;
+    }
+
+    reset() {
+        this._channels[0].reset();
+        this._channels[1].reset();
+        this._currentChannel = 0;
+        this._lastControlCode = null;
+        this._inXDS = false;
+    }
+
+    // Close cues remaining on screen, e.g. at the end of stream
+    flush() {
+        this._channels[0].flush(this._lastTime);
+        this._channels[1].flush(this._lastTime);
+    }
+
+    // time in seconds, b1 & b2 with odd parity bit
+    push(time, b1, b2) {
+        this._lastTime = time;
+        this._channels[0].extend(time);
+        this._channels[1].extend(time);
+        b1 &= 0x7F;
+        b2 &= 0x7F;
+
+        if (b1 === 0 && b2 === 0) {  // padding
+            return;
+        }
+
+        if (b1 >= 0x01 && b1 <= 0x0F) {
+            // Extended Data Services, carried in field 2 only
+            this._inXDS = (b1 !== 0x0F);
+            return;
+        }
+
+        if (b1 >= 0x10 && b1 <= 0x1F) {
+            let code = (b1 << 8) | b2;
+            if (code === this._lastControlCode) {
+                // Control codes are transmitted twice for redundancy
+                this._lastControlCode = null;
+                return;
+            }
+            this._lastControlCode = code;
+            this._inXDS = false;
+            this._currentChannel = (b1 & 0x08) ? 1 : 0;
+
+            let channel = this._channels[this._currentChannel];
+            this._parseControlCode(time, channel, b1 & 0xF7, b2);
+            channel.updateOutput(time);
+            return;
+        }
+
+        this._lastControlCode = null;
+        if (this._inXDS) {
+            return;
+        }
+
+        let channel = this._channels[this._currentChannel];
+        if (b1 >= 0x20) {
+            channel.insertChar(BasicCharacters[b1] || String.fromCharCode(b1));
+        }
+        if (b2 >= 0x20) {
+            channel.insertChar(BasicCharacters[b2] || String.fromCharCode(b2));
+        }
+    }
+
+    // b1 has been stripped of channel bit, in range 0x10 ~ 0x17
+    _parseControlCode(time, channel, b1, b2) {
+        if ((b1 === 0x14 || b1 === 0x15) && b2 >= 0x20 && b2 <= 0x2F) {
+            // Miscellaneous control codes, 0x15 is used in field 2
+            channel.command(time, b2);
+        } else if (b1 === 0x17 && b2 >= 0x21 && b2 <= 0x23) {
+            channel.tabOffset(b2 - 0x20);  // TO1 ~ TO3
+        } else if (b1 === 0x11 && b2 >= 0x20 && b2 <= 0x2F) {
+            channel.insertChar(' ');  // Mid-row codes change style and are displayed as a space
+        } else if (b1 === 0x11 && b2 >= 0x30 && b2 <= 0x3F) {
+            channel.insertChar(SpecialCharacters[b2 - 0x30]);
+        } else if ((b1 === 0x12 || b1 === 0x13) && b2 >= 0x20 && b2 <= 0x3F) {
+            channel.insertExtendedChar(ExtendedCharacters[(b1 - 0x12) * 32 + (b2 - 0x20)]);
+        } else if (b2 >= 0x40 && b2 <= 0x7F && PACRows[b1]) {
+            // Preamble Address Code
+            let row = PACRows[b1][(b2 & 0x20) ? 1 : 0] - 1;
+            let attribute = b2 & 0x1F;
+            let indent = (attribute >= 0x10) ? ((attribute & 0x0E) >>> 1) * 4 : 0;
+            channel.preambleAddress(row, indent);
+        }
+        // else: background / foreground attributes, not rendered
+    }
+
+}
+
+export default CEA608Decoder;
@@ -0,0 +1,478 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const MAX_ROWS = 15;
+const MAX_COLUMNS = 42;
+
+// Cues are emitted once displayed, and their endTime is extended by this duration (in seconds)
+// until visible windows change
+const ProvisionalCueDuration = 4;
+
+// Characters of G2 code set which could be rendered, others are treated as space
+const G2Characters = {
+    0x25: '…', 0x2A: 'Š', 0x2C: 'Œ', 0x30: '█', 0x31: '‘', 0x32: '’',
+    0x33: '“', 0x34: '”', 0x35: '•', 0x39: '™', 0x3A: 'š', 0x3C: 'œ',
+    0x3D: '℠', 0x3F: 'Ÿ', 0x76: '⅛', 0x77: '⅜', 0x78: '⅝', 0x79: '⅞',
+    0x7A: '│', 0x7B: '┐', 0x7C: '└', 0x7D: '─', 0x7E: '┘', 0x7F: '┌'
+};
+
+function createRow() {
+    let row = [];
+    for (let i = 0; i < MAX_COLUMNS; i++) {
+        row.push('');
+    }
+    return row;
+}
+
+class CEA708Window {
+
+    constructor() {
+        this.visible = false;
+        this.priority = 0;
+        this.rowCount = 1;
+        this.columnCount = MAX_COLUMNS;
+        this.rows = [];
+        this.penRow = 0;
+        this.penColumn = 0;
+        this.clear();
+    }
+
+    // DefineWindow parameters, CEA-708 section 8.10.5.2
+    define(params) {
+        this.visible = (params[0] & 0x20) !== 0;
+        this.priority = params[0] & 0x07;
+        this.rowCount = Math.min((params[3] & 0x0F) + 1, MAX_ROWS);
+        this.columnCount = Math.min((params[4] & 0x3F) + 1, MAX_COLUMNS);
+
+        while (this.rows.length > this.rowCount) {
+            this.rows.shift();
+        }
+        while (this.rows.length < this.rowCount) {
+            this.rows.push(createRow());
+        }
+        this.penRow = Math.min(this.penRow, this.rowCount - 1);
+        this.penColumn = Math.min(this.penColumn, this.columnCount - 1);
+    }
+
+    clear() {
+        this.rows = [];
+        for (let i = 0; i < this.rowCount; i++) {
+            this.rows.push(createRow());
+        }
+        this.penRow = 0;
+        this.penColumn = 0;
+    }
+
+    write(ch) {
+        if (this.penColumn < this.columnCount) {
+            this.rows[this.penRow][this.penColumn] = ch;
+            this.penColumn++;
+        }
+    }
+
+    backspace() {
+        if (this.penColumn > 0) {
+            this.penColumn--;
+            this.rows[this.penRow][this.penColumn] = '';
+        }
+    }
+
+    carriageReturn() {
+        this.penColumn = 0;
+        if (this.penRow + 1 < this.rowCount) {
+            this.penRow++;
+        } else {
+            // Text scrolls up in the window
+            this.rows.shift();
+            this.rows.push(createRow());
+        }
+    }
+
+    horizontalCarriageReturn() {
+        this.rows[this.penRow] = createRow();
+        this.penColumn = 0;
+    }
+
+    setPenLocation(row, column) {
+        this.penRow = Math.min(row, this.rowCount - 1);
+        this.penColumn = Math.min(column, this.columnCount - 1);
+    }
+
+    getLines() {
+        let lines = [];
+        for (let r = 0; r < this.rows.length; r++) {
+            let text = this.rows[r].map((ch) => ch || ' ').join('').trim();
+            if (text.length > 0) {
+                lines.push(text);
+            }
+        }
+        return lines;
+    }
+
+}
+
+// Caption state of a single caption service, which has up to 8 windows
+class CEA708Service {
+
+    constructor(serviceNumber, onCue) {
+        this.name = 'SERVICE' + serviceNumber;
+        this._onCue = onCue;
+        this.reset();
+    }
+
+    reset() {
+        this._windows = [];
+        this._currentWindow = null;
+        this._cue = null;
+        this._cueText = null;
+    }
+
+    process(time, data) {
+        let i = 0;
+
+        while (i < data.length) {
+            let c = data[i++];
+
+            if (c === 0x10) {  // EXT1, followed by a code of extended code sets C2, G2, C3, G3
+                if (i >= data.length) {
+                    break;
+                }
+                let ext = data[i++];
+                if (ext < 0x20) {  // C2, reserved with 0~3 parameter bytes
+                    i += ext >>> 3;
+                } else if (ext < 0x80) {  // G2
+                    this._write(G2Characters[ext] || ' ');
+                } else if (ext < 0x90) {  // C3, reserved with 4~5 parameter bytes
+                    i += (ext < 0x88) ? 4 : 5;
+                } else if (ext < 0xA0) {  // C3, variable length codes
+                    if (i < data.length) {
+                        i += 1 + (data[i] & 0x3F);
+                    }
+                } else {  // G3, only [CC] icon is defined
+                    this._write(ext === 0xA0 ? '[CC]' : ' ');
+                }
+            } else if (c < 0x20) {  // C0
+                if (c >= 0x18) {  // P16, with 2 bytes of 16-bit character
+                    i += 2;
+                    this._write(' ');
+                } else if (c >= 0x11) {
+                    i += 1;
+                } else {
+                    this._parseC0(time, c);
+                }
+            } else if (c < 0x80) {  // G0
+                this._write(c === 0x7F ? '♪' : String.fromCharCode(c));
+            } else if (c < 0xA0) {  // C1
+                let length = this._getC1ParameterLength(c);
+                if (i + length > data.length) {
+                    break;
+                }
+                this._parseC1(c, data.slice(i, i + length));
+                i += length;
+                this.updateOutput(time);
+            } else {  // G1, Latin-1
+                this._write(String.fromCharCode(c));
+            }
+        }
+    }
+
+    _write(ch) {
+        if (this._currentWindow !== null) {
+            this._currentWindow.write(ch);
+        }
+    }
+
+    _parseC0(time, c) {
+        let w = this._currentWindow;
+
+        switch (c) {
+            case 0x03:  // ETX, End of Text
+                this.updateOutput(time);
+                break;
+            case 0x08:  // BS, Backspace
+                if (w) {
+                    w.backspace();
+                }
+                break;
+            case 0x0C:  // FF, Form Feed
+                if (w) {
+                    w.clear();
+                    this.updateOutput(time);
+                }
+                break;
+            case 0x0D:  // CR, Carriage Return
+                if (w) {
+                    w.carriageReturn();
+                    this.updateOutput(time);
+                }
+                break;
+            case 0x0E:  // HCR, Horizontal Carriage Return
+                if (w) {
+                    w.horizontalCarriageReturn();
+                    this.updateOutput(time);
+                }
+                break;
+            default:  // NUL and reserved codes
+                break;
+        }
+    }
+
+    _getC1ParameterLength(c) {
+        if (c >= 0x98) {  // DefineWindow
+            return 6;
+        }
+        switch (c) {
+            case 0x88:  // ClearWindows
+            case 0x89:  // DisplayWindows
+            case 0x8A:  // HideWindows
+            case 0x8B:  // ToggleWindows
+            case 0x8C:  // DeleteWindows
+            case 0x8D:  // Delay
+                return 1;
+            case 0x90:  // SetPenAttributes
+            case 0x92:  // SetPenLocation
+                return 2;
+            case 0x91:  // SetPenColor
+                return 3;
+            case 0x97:  // SetWindowAttributes
+                return 4;
+            default:  // SetCurrentWindow, DelayCancel, Reset and reserved codes
+                return 0;
+        }
+    }
+
+    _parseC1(c, params) {
+        if (c <= 0x87) {  // SetCurrentWindow0 ~ 7
+            if (this._windows[c & 0x07]) {
+                this._currentWindow = this._windows[c & 0x07];
+            }
+            return;
+        }
+
+        if (c >= 0x98) {  // DefineWindow0 ~ 7
+            let id = c & 0x07;
+            let w = this._windows[id];
+            if (!w) {
+                w = this._windows[id] = new CEA708Window();
+            }
+            w.define(params);
+            this._currentWindow = w;
+            return;
+        }
+
+        switch (c) {
+            case 0x88:  // ClearWindows
+                this._forEachWindow(params[0], (w) => w.clear());
+                break;
+            case 0x89:  // DisplayWindows
+                this._forEachWindow(params[0], (w) => { w.visible = true; });
+                break;
+            case 0x8A:  // HideWindows
+                this._forEachWindow(params[0], (w) => { w.visible = false; });
+                break;
+            case 0x8B:  // ToggleWindows
+                this._forEachWindow(params[0], (w) => { w.visible = !w.visible; });
+                break;
+            case 0x8C:  // DeleteWindows
+                for (let i = 0; i < 8; i++) {
+                    if ((params[0] & (1 << i)) && this._windows[i]) {
+                        if (this._windows[i] === this._currentWindow) {
+                            this._currentWindow = null;
+                        }
+                        this._windows[i] = undefined;
+                    }
+                }
+                break;
+            case 0x8F:  // Reset
+                this._windows = [];
+                this._currentWindow = null;
+                break;
+            case 0x92:  // SetPenLocation
+                if (this._currentWindow) {
+                    this._currentWindow.setPenLocation(params[0] & 0x0F, params[1] & 0x3F);
+                }
+                break;
+            default:  // Delay, DelayCancel, pen and window attributes are not rendered
+                break;
+        }
+    }
+
+    _forEachWindow(bitmap, callback) {
+        for (let i = 0; i < 8; i++) {
+            if ((bitmap & (1 << i)) && this._windows[i]) {
+                callback(this._windows[i]);
+            }
+        }
+    }
+
+    // Emit cue for the new screen content once visible windows changed, and close the previous one
+    updateOutput(time) {
+        let windows = [];
+        for (let i = 0; i < 8; i++) {
+            let w = this._windows[i];
+            if (w && w.visible) {
+                windows.push(w);
+            }
+        }
+        // Lower value means higher priority
+        windows.sort((a, b) => a.priority - b.priority);
+
+        let lines = [];
+        for (let i = 0; i < windows.length; i++) {
+            lines.push.apply(lines, windows[i].getLines());
+        }
+
+        let text = lines.length > 0 ? lines.join('\n') : null;
+        if (text === this._cueText) {
+            return;
+        }
+
+        this.flush(time);
+        if (text !== null) {
+            this._cue = {startTime: time, endTime: time + ProvisionalCueDuration, text: text};
+            this._emitCue();
+        }
+        this._cueText = text;
+    }
+
+    // Extend provisional endTime of the cue on screen before playback reaches it
+    extend(time) {
+        let cue = this._cue;
+        if (cue !== null && time + ProvisionalCueDuration / 2 > cue.endTime) {
+            cue.endTime = time + ProvisionalCueDuration;
+            this._emitCue();
+        }
+    }
+
+    // Close the cue on screen with its actual endTime
+    flush(time) {
+        let cue = this._cue;
+        if (cue !== null) {
+            cue.endTime = Math.max(time, cue.startTime);
+            this._emitCue();
+        }
+        this._cue = null;
+        this._cueText = null;
+    }
+
+    _emitCue() {
+        let cue = this._cue;
+        this._onCue({
+            channel: this.name,
+            startTime: cue.startTime,
+            endTime: cue.endTime,
+            text: cue.text,
+            line: null
+        });
+    }
+
+}
+
+// Decoder for CEA-708 DTVCC transport channel, CEA-708 section 5 & 6
+class CEA708Decoder {
+
+    constructor(onCue) {
+        this._onCue = onCue;
+        this._services = [];
+        this._packet = null;
+        this._packetSize = 0;
+        this._lastTime = 0;
+    }
+
+    reset() {
+        for (let i = 0; i < this._services.length; i++) {
+            if (this._services[i]) {
+                this._services[i].reset();
+            }
+        }
+        this._packet = null;
+        this._packetSize = 0;
+    }
+
+    // Close cues remaining on screen, e.g. at the end of stream
+    flush() {
+        for (let i = 0; i < this._services.length; i++) {
+            if (this._services[i]) {
+                this._services[i].flush(this._lastTime);
+            }
+        }
+    }
+
+    // time in seconds, ccType 3: DTVCC_PACKET_START, 2: DTVCC_PACKET_DATA
+    push(time, ccType, b1, b2) {
+        this._lastTime = time;
+        for (let i = 0; i < this._services.length; i++) {
+            if (this._services[i]) {
+                this._services[i].extend(time);
+            }
+        }
+
+        if (ccType === 3) {
+            if (this._packet !== null) {
+                // Previous packet has been terminated without enough data
+                this._parsePacket(time);
+            }
+            let packetSizeCode = b1 & 0x3F;
+            this._packetSize = (packetSizeCode === 0) ? 127 : packetSizeCode * 2 - 1;  // excluding header
+            this._packet = [b2];
+        } else if (this._packet !== null) {
+            this._packet.push(b1, b2);
+        } else {
+            return;  // wait for packet start
+        }
+
+        if (this._packet.length >= this._packetSize) {
+            this._parsePacket(time);
+        }
+    }
+
+    _parsePacket(time) {
+        let data = this._packet;
+        let size = Math.min(data.length, this._packetSize);
+        let i = 0;
+
+        this._packet = null;
+
+        while (i < size) {
+            let serviceNumber = data[i] >>> 5;
+            let blockSize = data[i] & 0x1F;
+            i++;
+
+            if (serviceNumber === 7 && blockSize !== 0) {  // Extended service number
+                if (i >= size) {
+                    break;
+                }
+                serviceNumber = data[i] & 0x3F;
+                i++;
+            }
+            if (serviceNumber === 0 || i + blockSize > size) {  // Null service block, or truncated
+                break;
+            }
+
+            let service = this._services[serviceNumber];
+            if (!service) {
+                service = this._services[serviceNumber] = new CEA708Service(serviceNumber, this._onCue);
+            }
+            service.process(time, data.slice(i, i + blockSize));
+            i += blockSize;
+        }
+    }
+
+}
+
+export default CEA708Decoder;
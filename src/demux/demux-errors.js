@@ -20,7 +20,9 @@ const DemuxErrors = {
     OK: 'OK',
     FORMAT_ERROR: 'FormatError',
     FORMAT_UNSUPPORTED: 'FormatUnsupported',
-    CODEC_UNSUPPORTED: 'CodecUnsupported'
+    CODEC_UNSUPPORTED: 'CodecUnsupported',
+    DATA_CORRUPTED: 'DataCorrupted',
+    TRACK_MISSING: 'TrackMissing'
 };
 
 export default DemuxErrors;
\ No newline at end of file
@@ -76,6 +76,11 @@ class ExpGolomb {
         return result;
     }
 
+    // Count of bits which have not been read yet
+    getBitsLeft() {
+        return (this._total_bytes - this._buffer_index) * 8 + this._current_word_bits_left;
+    }
+
     readBool() {
         return this.readBits(1) === 1;
     }
@@ -22,6 +22,14 @@
 import Log from '../utils/logger.js';
 import AMF from './amf-parser.js';
 import SPSParser from './sps-parser.js';
+import H265Parser from './h265-parser.js';
+import AV1Parser, {AV1OBUTypes} from './av1-parser.js';
+import VP9Parser from './vp9-parser.js';
+import OpusParser from './opus-parser.js';
+import G711Decoder from './g711-decoder.js';
+import AACParser from './aac-parser.js';
+import AC3Parser from './ac3-parser.js';
+import SEIParser from './sei-parser.js';
 import DemuxErrors from './demux-errors.js';
 import MediaInfo from '../core/media-info.js';
 import {IllegalStateException} from '../utils/exception.js';
@@ -45,6 +53,17 @@ function ReadBig32(array, index) {
             (array[index + 3]));
 }
 
+// Limit of DataSize for recognizing a plausible tag boundary when resyncing corrupted data
+const ResyncMaxTagDataSize = 4 * 1024 * 1024;
+// Tag body larger than this is checked for tags inside it before waiting for the whole body
+const ResyncLookaheadSize = 64 * 1024;
+
+// Tag timestamps jumping beyond these limits are regarded as discontinuous, in milliseconds
+const MaxTimestampBackwardJump = 5000;
+const MaxTimestampForwardJump = 30000;
+// Backward steps of a track's timestamp up to this are clamped, larger ones are rebased, in milliseconds
+const MaxTrackTimestampJitter = 500;
+
 
 class FLVDemuxer {
 
@@ -57,6 +76,9 @@ class FLVDemuxer {
         this._onMediaInfo = null;
         this._onMetaDataArrived = null;
         this._onScriptDataArrived = null;
+        this._onTimedScriptData = null;
+        this._onWarning = null;
+        this._onDiscontinuity = null;
         this._onTrackMetadata = null;
         this._onDataAvailable = null;
 
@@ -64,12 +86,33 @@ class FLVDemuxer {
         this._firstParse = true;
         this._dispatch = false;
 
+        this._nextChunkByteStart = -1;
+
+        // Mapping raw tag timestamps into continuous timeline, see _unwrapTagTimestamp()
+        this._lastRawTimestamp = -1;
+        this._timestampOffset = 0;
+        this._maxTimestamp = 0;
+        this._lastTrackTimestamps = {audio: -1, video: -1};  // latest mapped timestamp of each track
+        this._rebasePending = false;  // reconnected live stream, rebase on next audio / video tag
+
+        // State of resyncing corrupted tags, see _checkTagBoundary()
+        this._lastTagTimestamp = -1;
+        this._resyncPosition = 0;
+        this._resyncSkippedBytes = 0;
+
         this._hasAudio = probeData.hasAudioTrack;
         this._hasVideo = probeData.hasVideoTrack;
 
         this._hasAudioFlagOverrided = false;
         this._hasVideoFlagOverrided = false;
 
+        // State of detecting track presence from actual tags, see _probeTracks()
+        this._trackProbed = !config.autoDetectTracks;
+        this._probeStartTimestamp = -1;
+        this._probeBytes = 0;
+        this._probeAudioTagSeen = false;
+        this._probeVideoTagSeen = false;
+
         this._audioInitialMetadataDispatched = false; //判断音频信息是否已被解析 只有音视频都解析完才将mediaInfo传出 this._onMediaInfo(mi);
         this._videoInitialMetadataDispatched = false; //判断视频信息是否已被解析 只有音视频都解析完才将mediaInfo传出 this._onMediaInfo(mi);
 
@@ -81,6 +124,7 @@ class FLVDemuxer {
         this._videoMetadata = null;
 
         this._naluLengthSize = 4;
+        this._annexBPayloadDetected = false;
         this._timestampBase = 0;  // int32, in milliseconds
         this._timescale = 1000;
         this._duration = 0;  // int32, in milliseconds
@@ -94,11 +138,6 @@ class FLVDemuxer {
 
         this._flvSoundRateTable = [5500, 11025, 22050, 44100, 48000];
 
-        this._mpegSamplingRates = [
-            96000, 88200, 64000, 48000, 44100, 32000,
-            24000, 22050, 16000, 12000, 11025, 8000, 7350
-        ];
-
         this._mpegAudioV10SampleRateTable = [44100, 48000, 32000, 0];
         this._mpegAudioV20SampleRateTable = [22050, 24000, 16000, 0];
         this._mpegAudioV25SampleRateTable = [11025, 12000, 8000,  0];
@@ -129,6 +168,9 @@ class FLVDemuxer {
         this._onMediaInfo = null;
         this._onMetaDataArrived = null;
         this._onScriptDataArrived = null;
+        this._onTimedScriptData = null;
+        this._onWarning = null;
+        this._onDiscontinuity = null;
         this._onTrackMetadata = null;
         this._onDataAvailable = null;
     }
@@ -198,6 +240,36 @@ class FLVDemuxer {
         this._onScriptDataArrived = callback;
     }
 
+    // prototype: function(scriptData: {name: string, data: any, dts: number}): void
+    // Invoked for each script data other than onMetaData, dts is the tag timestamp in milliseconds
+    get onTimedScriptData() {
+        return this._onTimedScriptData;
+    }
+
+    set onTimedScriptData(callback) {
+        this._onTimedScriptData = callback;
+    }
+
+    // prototype: function(): void
+    // Invoked when tag timestamps jumped and have been rebased, samples before it have been dispatched
+    get onDiscontinuity() {
+        return this._onDiscontinuity;
+    }
+
+    set onDiscontinuity(callback) {
+        this._onDiscontinuity = callback;
+    }
+
+    // prototype: function(type: string, info: {msg: string, position: number, skippedBytes: number}): void
+    // Non-fatal problems of input data, e.g. corrupted bytes skipped by resyncCorruptedTags
+    get onWarning() {
+        return this._onWarning;
+    }
+
+    set onWarning(callback) {
+        this._onWarning = callback;
+    }
+
     // prototype: function(type: number, info: string): void
     get onError() {
         return this._onError;
@@ -207,7 +279,8 @@ class FLVDemuxer {
         this._onError = callback;
     }
 
-    // prototype: function(videoTrack: any, audioTrack: any): void
+    // prototype: function(audioTrack: any, videoTrack: any, force?: boolean): void
+    // force: remux all samples at the boundary of track metadata change or discontinuity
     get onDataAvailable() {
         return this._onDataAvailable;
     }
@@ -275,6 +348,7 @@ class FLVDemuxer {
 
         let offset = 0;
         let le = this._littleEndian;
+        let reopened = false;
 
         if (byteStart === 0) {  // buffer with FLV header
             if (chunk.byteLength > 13) {
@@ -283,6 +357,11 @@ class FLVDemuxer {
             } else {
                 return 0;
             }
+            if (!this._firstParse) {
+                // Stream reopened from the beginning (e.g. live stream reconnected), skip PreviousTagSize0
+                reopened = true;
+                offset += 4;
+            }
         }
 
         if (this._firstParse) {  // handle PreviousTagSize0 before Tag1
@@ -299,6 +378,25 @@ class FLVDemuxer {
             offset += 4;
         }
 
+        let resync = this._config.resyncCorruptedTags;
+        let bytes = resync ? new Uint8Array(chunk) : null;
+        if (byteStart !== this._nextChunkByteStart) {
+            // Not continuous with previous chunk (e.g. seeking), timestamps cannot be compared
+            this._lastRawTimestamp = -1;
+            this._lastTrackTimestamps = {audio: -1, video: -1};
+            this._lastTagTimestamp = -1;
+            this._resyncSkippedBytes = 0;
+            if (reopened && this._config.isLive) {
+                // New session of live stream, continue the timeline after the latest timestamp
+                this._rebasePending = true;
+                Log.v(this.TAG, 'Live stream reopened with a new FLV header');
+            } else {
+                this._timestampOffset = 0;
+                this._maxTimestamp = 0;
+                this._rebasePending = false;
+            }
+        }
+
         while (offset < chunk.byteLength) {
             this._dispatch = true;
 
@@ -309,6 +407,24 @@ class FLVDemuxer {
                 break;
             }
 
+            if (resync) {
+                let boundary = this._checkTagBoundary(bytes, offset);
+                if (boundary === 'incomplete') {
+                    break;
+                } else if (boundary === 'invalid') {
+                    if (this._resyncSkippedBytes === 0) {
+                        this._resyncPosition = byteStart + offset;
+                        Log.w(this.TAG, `Corrupted tag at position ${this._resyncPosition}, resyncing`);
+                    }
+                    let next = this._findNextTagBoundary(bytes, offset + 1);
+                    this._resyncSkippedBytes += next - offset;
+                    offset = next;
+                    continue;
+                } else if (this._resyncSkippedBytes > 0) {
+                    this._reportResynced();
+                }
+            }
+
             let tagType = v.getUint8(0);
             let dataSize = v.getUint32(0, !le) & 0x00FFFFFF;
 
@@ -329,7 +445,7 @@ class FLVDemuxer {
             let ts0 = v.getUint8(6);
             let ts3 = v.getUint8(7);
 
-            let timestamp = ts0 | (ts1 << 8) | (ts2 << 16) | (ts3 << 24);
+            let timestamp = (ts0 | (ts1 << 8) | (ts2 << 16) | (ts3 << 24)) >>> 0;  // UI32, with TimestampExtended
 
             let streamId = v.getUint32(7, !le) & 0x00FFFFFF;
             if (streamId !== 0) {
@@ -337,27 +453,45 @@ class FLVDemuxer {
             }
 
             let dataOffset = offset + 11;
+            let tagTimestamp = timestamp + this._timestampOffset;
+            if (this._isCodedFrameTag(v, tagType, dataSize)) {
+                // Only coded frames drive the timeline, script data and sequence headers may carry arbitrary timestamps
+                if (this._rebasePending) {
+                    this._rebasePending = false;
+                    this._rebaseTagTimestamp(timestamp);
+                }
+                tagTimestamp = this._unwrapTagTimestamp(timestamp, tagType === 8 ? 'audio' : 'video');
+            }
 
             switch (tagType) {
                 case 8:  // Audio
-                    this._parseAudioData(chunk, dataOffset, dataSize, timestamp);
+                    this._parseAudioData(chunk, dataOffset, dataSize, tagTimestamp);
                     break;
                 case 9:  // Video
-                    this._parseVideoData(chunk, dataOffset, dataSize, timestamp, byteStart + offset);
+                    this._parseVideoData(chunk, dataOffset, dataSize, tagTimestamp, byteStart + offset);
                     break;
                 case 18:  // ScriptDataObject
-                    this._parseScriptData(chunk, dataOffset, dataSize);
+                    this._parseScriptData(chunk, dataOffset, dataSize, tagTimestamp);
                     break;
             }
 
+            if (!this._trackProbed) {
+                this._probeTracks(tagType, tagTimestamp, 11 + dataSize + 4);
+            }
+
             let prevTagSize = v.getUint32(11 + dataSize, !le);
             if (prevTagSize !== 11 + dataSize) {
                 Log.w(this.TAG, `Invalid PrevTagSize ${prevTagSize}`);
             }
 
+            if (tagType !== 18) {
+                this._lastTagTimestamp = timestamp;
+            }
             offset += 11 + dataSize + 4;  // tagBody + dataSize + prevTagSize
         }
 
+        this._nextChunkByteStart = byteStart + offset;
+
         // 只有上传音视频的元信息后mimetype数据后才可以传输帧数据 为了让MediaSource完成初始化
         if (this._isInitialMetadataDispatched()) {
             if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
@@ -368,7 +502,266 @@ class FLVDemuxer {
         return offset;  // consumed bytes, just equals latest offset index
     }
 
-    _parseScriptData(arrayBuffer, dataOffset, dataSize) {
+    // Flags in FLV header or onMetaData could be wrong, e.g. hasAudio: true from cameras without audio,
+    // which blocks initial metadata forever. Decide track presence from tags seen within the probe window
+    _probeTracks(tagType, tagTimestamp, tagBytes) {
+        if (tagType === 8) {
+            this._probeAudioTagSeen = true;
+        } else if (tagType === 9) {
+            this._probeVideoTagSeen = true;
+        }
+        if (tagType !== 18 && this._probeStartTimestamp === -1) {
+            this._probeStartTimestamp = tagTimestamp;
+        }
+        this._probeBytes += tagBytes;
+
+        let audioMissing = this._hasAudio && !this._probeAudioTagSeen && !this._hasAudioFlagOverrided;
+        let videoMissing = this._hasVideo && !this._probeVideoTagSeen && !this._hasVideoFlagOverrided;
+        if (!audioMissing && !videoMissing) {
+            this._trackProbed = true;
+            return;
+        }
+        let probedDuration = this._probeStartTimestamp === -1 ? 0 : tagTimestamp - this._probeStartTimestamp;
+        if (this._probeBytes < this._config.trackProbeSize &&
+            (this._probeStartTimestamp === -1 || probedDuration < this._config.trackProbeDuration)) {
+            return;  // keep waiting, duration window starts from the first media tag
+        }
+        this._trackProbed = true;
+
+        // Clear flags of all missing tracks in one pass
+        let missing = [];
+        if (audioMissing) {
+            this.overridedHasAudio = false;
+            missing.push('audio');
+        }
+        if (videoMissing) {
+            this.overridedHasVideo = false;
+            missing.push('video');
+        }
+        let flags = missing.map((track) => (track === 'audio' ? 'hasAudio' : 'hasVideo')).join(' / ');
+        let msg = `No ${missing.join(' / ')} tag within ${probedDuration}ms / ${this._probeBytes} bytes, ` +
+                  `ignore ${flags} flag of FLV header or onMetaData`;
+
+        Log.w(this.TAG, msg);
+        if (this._onWarning) {
+            this._onWarning(DemuxErrors.TRACK_MISSING, {
+                msg: msg,
+                hasAudio: this._hasAudio,
+                hasVideo: this._hasVideo
+            });
+        }
+
+        // MediaInfo of the present track may have been waiting for the missing one
+        let mi = this._mediaInfo;
+        if (mi.hasVideo && mi.videoCodec != null) {
+            mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + '"';
+        } else if (mi.hasAudio && mi.audioCodec != null) {
+            mi.mimeType = 'video/x-flv; codecs="' + mi.audioCodec + '"';
+        }
+        if (mi.isComplete()) {
+            this._onMediaInfo(mi);
+        }
+    }
+
+    // Map raw tag timestamp into continuous timeline. Timestamp wraps around at 2^32 (about 49.7 days),
+    // or at 2^24 for muxers which never write TimestampExtended, and may reset on encoder restart.
+    // Timestamp of each track is kept increasing, small backward steps are clamped
+    _unwrapTagTimestamp(timestamp, track) {
+        let last = this._lastRawTimestamp;
+        this._lastRawTimestamp = timestamp;
+
+        let delta = timestamp - last;
+        if (last !== -1 && (delta < -MaxTimestampBackwardJump || delta > MaxTimestampForwardJump)) {
+            if (delta + 0x100000000 >= 0 && delta + 0x100000000 <= MaxTimestampForwardJump) {
+                this._timestampOffset += 0x100000000;
+                Log.v(this.TAG, 'Tag timestamp wrapped around at 2^32');
+            } else if (last <= 0xFFFFFF && delta + 0x1000000 >= 0 && delta + 0x1000000 <= MaxTimestampForwardJump) {
+                this._timestampOffset += 0x1000000;
+                Log.v(this.TAG, 'Tag timestamp wrapped around at 2^24');
+            } else {
+                Log.w(this.TAG, `Tag timestamp jumped from ${last} to ${timestamp}`);
+                this._rebaseTagTimestamp(timestamp);
+            }
+        }
+
+        let result = timestamp + this._timestampOffset;
+        let lastTrackTimestamp = this._lastTrackTimestamps[track];
+        if (lastTrackTimestamp !== -1 && result <= lastTrackTimestamp) {
+            if (lastTrackTimestamp - result > MaxTrackTimestampJitter) {
+                Log.w(this.TAG, `Tag timestamp of ${track} track stepped back from ${lastTrackTimestamp} to ${result}`);
+                this._rebaseTagTimestamp(timestamp);
+                result = timestamp + this._timestampOffset;
+            } else {
+                result = lastTrackTimestamp + 1;
+            }
+        }
+        this._lastTrackTimestamps[track] = result;
+
+        if (result > this._maxTimestamp) {
+            this._maxTimestamp = result;
+        }
+        return result;
+    }
+
+    // Whether the tag carries coded audio / video frames, rather than decoder configuration or script data
+    _isCodedFrameTag(v, tagType, dataSize) {
+        if (dataSize < 2 || tagType === 18) {
+            return false;
+        }
+        let spec = v.getUint8(11);
+        let packetType = v.getUint8(12);
+        if (tagType === 8) {
+            let soundFormat = spec >>> 4;
+            if (soundFormat === 9) {  // ExHeader, CodedFrames
+                return (spec & 0x0F) === 1;
+            }
+            return soundFormat !== 10 || packetType === 1;  // AAC raw
+        }
+        if ((spec & 0x80) !== 0) {  // IsExHeader, CodedFrames or CodedFramesX
+            return (spec & 0x0F) === 1 || (spec & 0x0F) === 3;
+        }
+        let frameType = spec >>> 4;
+        let codecId = spec & 0x0F;
+        if (frameType === 5) {  // video info / command frame
+            return false;
+        }
+        return (codecId !== 7 && codecId !== 12) || packetType === 1;  // AVC / HEVC NALU
+    }
+
+    // Rebase to continue from the latest timestamp by one frame
+    _rebaseTagTimestamp(timestamp) {
+        let frameDuration = Math.round(1000 * this._referenceFrameRate.fps_den / this._referenceFrameRate.fps_num);
+        this._timestampOffset = this._maxTimestamp + frameDuration - timestamp;
+        this._lastRawTimestamp = timestamp;
+        Log.w(this.TAG, `Tag timestamp ${timestamp} rebased to ${this._maxTimestamp + frameDuration}`);
+        this._dispatchDiscontinuity();
+    }
+
+    // Hand over samples before the discontinuity, then notify the consumer
+    _dispatchDiscontinuity() {
+        if (this._isInitialMetadataDispatched() && (this._audioTrack.length || this._videoTrack.length)) {
+            this._onDataAvailable(this._audioTrack, this._videoTrack, true);
+        }
+        if (this._onDiscontinuity) {
+            this._onDiscontinuity();
+        }
+    }
+
+    // Validate tag header, first byte of tag body, PreviousTagSize and timestamp continuity at offset
+    // Returns 'valid', 'invalid', or 'incomplete' if more data is needed for validation
+    _checkTagBoundary(bytes, offset) {
+        let length = bytes.byteLength;
+        let tagType = bytes[offset];
+        let dataSize = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+        let timestamp = (bytes[offset + 6] | (bytes[offset + 5] << 8) | (bytes[offset + 4] << 16) | (bytes[offset + 7] << 24)) >>> 0;
+
+        if (!this._isPlausibleTagHeader(bytes, offset)) {
+            return 'invalid';
+        }
+
+        let next = offset + 11 + dataSize + 4;
+        if (next > length) {
+            if (dataSize > ResyncLookaheadSize && length - offset - 11 >= ResyncLookaheadSize &&
+                    this._findTagChain(bytes, offset + 11, offset + 11 + ResyncLookaheadSize) !== -1) {
+                return 'invalid';  // tags found inside claimed tag body, DataSize is corrupted
+            }
+            return 'incomplete';
+        }
+        if (ReadBig32(bytes, next - 4) !== 11 + dataSize) {
+            // PreviousTagSize is only a hint as many muxers write wrong values, confirm by the following tag header
+            if (next + 12 > length) {
+                return 'incomplete';
+            }
+            if (!this._isPlausibleTagHeader(bytes, next)) {
+                return 'invalid';
+            }
+        }
+
+        let lastTimestamp = this._lastTagTimestamp;
+        if (tagType !== 18 && lastTimestamp !== -1 && (timestamp < lastTimestamp - MaxTimestampBackwardJump ||
+                                                       timestamp > lastTimestamp + MaxTimestampForwardJump)) {
+            // Timestamp jumps, accept only if following tag continues the new timeline
+            if (next + 11 > length) {
+                return 'incomplete';
+            }
+            let nextType = bytes[next];
+            let nextTimestamp = (bytes[next + 6] | (bytes[next + 5] << 8) | (bytes[next + 4] << 16) | (bytes[next + 7] << 24)) >>> 0;
+            if ((nextType !== 8 && nextType !== 9 && nextType !== 18) ||
+                    (nextType !== 18 && (nextTimestamp < timestamp - MaxTimestampBackwardJump ||
+                                         nextTimestamp > timestamp + MaxTimestampForwardJump))) {
+                return 'invalid';
+            }
+        }
+
+        return 'valid';
+    }
+
+    // Check tag type, DataSize, StreamID and first byte of tag body. Requires 12 bytes at offset
+    _isPlausibleTagHeader(bytes, offset) {
+        let tagType = bytes[offset];
+        let dataSize = (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+
+        if (tagType !== 8 && tagType !== 9 && tagType !== 18) {
+            return false;
+        }
+        if (dataSize === 0 || dataSize > ResyncMaxTagDataSize) {
+            return false;
+        }
+        if (bytes[offset + 8] !== 0 || bytes[offset + 9] !== 0 || bytes[offset + 10] !== 0) {  // StreamID
+            return false;
+        }
+
+        let firstByte = bytes[offset + 11];
+        if (tagType === 9 && (((firstByte >>> 4) & 0x07) < 1 || ((firstByte >>> 4) & 0x07) > 5)) {  // FrameType
+            return false;
+        } else if (tagType === 18 && firstByte !== 2 && firstByte !== 0x11) {  // AMF0 string, or AMF3 switch
+            return false;
+        }
+        return true;
+    }
+
+    // Find two consecutive plausible tag headers starting within [from, to), returns position or -1
+    _findTagChain(bytes, from, to) {
+        let length = bytes.byteLength;
+        for (let p = from; p < to && p + 12 <= length; p++) {
+            if (this._isPlausibleTagHeader(bytes, p)) {
+                let dataSize = (bytes[p + 1] << 16) | (bytes[p + 2] << 8) | bytes[p + 3];
+                let next = p + 11 + dataSize + 4;
+                if (next + 12 <= length && this._isPlausibleTagHeader(bytes, next)) {
+                    return p;
+                }
+            }
+        }
+        return -1;
+    }
+
+    // Scan forward for next plausible tag boundary, or the position where data is not enough for checking
+    _findNextTagBoundary(bytes, offset) {
+        while (offset + 11 + 4 <= bytes.byteLength) {
+            if (this._checkTagBoundary(bytes, offset) !== 'invalid') {
+                break;
+            }
+            offset++;
+        }
+        return offset;
+    }
+
+    _reportResynced() {
+        let skippedBytes = this._resyncSkippedBytes;
+        let msg = `Skipped ${skippedBytes} bytes of corrupted data at position ${this._resyncPosition}`;
+        this._resyncSkippedBytes = 0;
+
+        Log.w(this.TAG, msg);
+        if (this._onWarning) {
+            this._onWarning(DemuxErrors.DATA_CORRUPTED, {
+                msg: msg,
+                position: this._resyncPosition,
+                skippedBytes: skippedBytes
+            });
+        }
+    }
+
+    _parseScriptData(arrayBuffer, dataOffset, dataSize, tagTimestamp) {
         let scriptData = AMF.parseScriptData(arrayBuffer, dataOffset, dataSize);
 
         if (scriptData.hasOwnProperty('onMetaData')) {
@@ -451,6 +844,18 @@ class FLVDemuxer {
                 this._onScriptDataArrived(Object.assign({}, scriptData));
             }
         }
+
+        if (this._onTimedScriptData) {
+            for (let name in scriptData) {
+                if (scriptData.hasOwnProperty(name) && name !== 'onMetaData') {
+                    this._onTimedScriptData({
+                        name: name,
+                        data: scriptData[name],
+                        dts: this._timestampBase + tagTimestamp
+                    });
+                }
+            }
+        }
     }
 
     _parseKeyframesIndex(keyframes) {
@@ -488,7 +893,12 @@ class FLVDemuxer {
         let soundSpec = v.getUint8(0);
 
         let soundFormat = soundSpec >>> 4;
-        if (soundFormat !== 2 && soundFormat !== 10) {  // MP3 or AAC
+        if (soundFormat === 9) {  // ExHeader, Enhanced FLV audio identified by FourCC
+            this._parseEnhancedAudioData(arrayBuffer, dataOffset, dataSize, tagTimestamp);
+            return;
+        }
+        if (soundFormat !== 0 && soundFormat !== 2 && soundFormat !== 3 &&  // Linear PCM, MP3
+            soundFormat !== 7 && soundFormat !== 8 && soundFormat !== 10) {  // G.711, AAC
             this._onError(DemuxErrors.CODEC_UNSUPPORTED, 'Flv: Unsupported audio codec idx: ' + soundFormat);
             return;
         }
@@ -502,7 +912,7 @@ class FLVDemuxer {
             return;
         }
 
-        let soundSize = (soundSpec & 2) >>> 1;  // unused
+        let soundSize = (soundSpec & 2) >>> 1;  // for Linear PCM only
         let soundType = (soundSpec & 1);
 
 
@@ -532,23 +942,30 @@ class FLVDemuxer {
             }
 
             if (aacData.packetType === 0) {  // AAC sequence header (AudioSpecificConfig)
+                let misc = aacData.data;
+                if (misc == undefined) {
+                    return;
+                }
                 if (meta.config) {
+                    if (meta.config.join() === misc.config.join()) {
+                        return;  // Same config repeated, e.g. by reconnected live stream
+                    }
                     Log.w(this.TAG, 'Found another AudioSpecificConfig!');
                 }
-                let misc = aacData.data;
+                meta = this._renewAudioMetadata();
                 meta.audioSampleRate = misc.samplingRate;
                 meta.channelCount = misc.channelCount;
                 meta.codec = misc.codec;
                 meta.originalCodec = misc.originalCodec;
                 meta.config = misc.config;
-                // The decode result of an aac sample is 1024 PCM samples
-                meta.refSampleDuration = 1024 / meta.audioSampleRate * meta.timescale;
+                // The decode result of an aac sample is 1024 (or 960) PCM samples of the core coder
+                meta.refSampleDuration = misc.frameLength / meta.audioSampleRate * meta.timescale;
                 Log.v(this.TAG, 'Parsed AudioSpecificConfig');
 
                 if (this._isInitialMetadataDispatched()) {//至此，音视频数据都解析完了 可以将帧数据传出
                     // Non-initial metadata, force dispatch (or flush) parsed frames to remuxer
                     if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
-                        this._onDataAvailable(this._audioTrack, this._videoTrack);
+                        this._onDataAvailable(this._audioTrack, this._videoTrack, true);
                     }
                 } else {
                     // 标识音频信息解析完
@@ -581,12 +998,13 @@ class FLVDemuxer {
                 Log.e(this.TAG, `Flv: Unsupported AAC data type ${aacData.packetType}`);
             }
         } else if (soundFormat === 2) {  // MP3
-            if (!meta.codec) {
+            if (meta.codec !== 'mp3') {
                 // We need metadata for mp3 audio track, extract info from frame header
                 let misc = this._parseMP3AudioData(arrayBuffer, dataOffset + 1, dataSize - 1, true);
                 if (misc == undefined) {
                     return;
                 }
+                meta = this._renewAudioMetadata();
                 meta.audioSampleRate = misc.samplingRate;
                 meta.channelCount = misc.channelCount;
                 meta.codec = misc.codec;
@@ -595,7 +1013,15 @@ class FLVDemuxer {
                 meta.refSampleDuration = 1152 / meta.audioSampleRate * meta.timescale;
                 Log.v(this.TAG, 'Parsed MPEG Audio Frame Header');
 
-                this._audioInitialMetadataDispatched = true;
+                if (this._isInitialMetadataDispatched()) {
+                    // Audio codec switched to MP3, flush parsed frames in previous codec
+                    if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                        this._onDataAvailable(this._audioTrack, this._videoTrack, true);
+                    }
+                } else {
+                    this._audioInitialMetadataDispatched = true;
+                }
+                this._dispatch = false;
                 this._onTrackMetadata('audio', meta);
 
                 let mi = this._mediaInfo;
@@ -624,154 +1050,430 @@ class FLVDemuxer {
             let mp3Sample = {unit: data, length: data.byteLength, dts: dts, pts: dts};
             track.samples.push(mp3Sample);
             track.length += data.length;
+        } else {  // Linear PCM or G.711 A-law / mu-law
+            this._parsePCMAudioData(arrayBuffer, dataOffset + 1, dataSize - 1, tagTimestamp,
+                                    soundFormat, soundRate, soundSize, soundType);
         }
     }
 
-    _parseAACAudioData(arrayBuffer, dataOffset, dataSize) {
-        if (dataSize <= 1) {
-            Log.w(this.TAG, 'Flv: Invalid AAC packet, missing AACPacketType or/and Data!');
-            return;
+    // Audio codec or its parameters changed after metadata dispatched. Samples before this boundary
+    // are remuxed with the previous metadata, so leave it untouched and start over with a new one
+    _renewAudioMetadata() {
+        let meta = this._audioMetadata;
+        if (meta.codec) {
+            meta = this._audioMetadata = {
+                type: 'audio',
+                id: this._audioTrack.id,
+                timescale: this._timescale,
+                duration: this._duration,
+                audioSampleRate: meta.audioSampleRate,
+                channelCount: meta.channelCount
+            };
         }
+        return meta;
+    }
 
-        let result = {};
-        let array = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+    // Decode PCM-like audio into signed 16-bit little-endian PCM, remuxed as ipcm track
+    _parsePCMAudioData(arrayBuffer, dataOffset, dataSize, tagTimestamp, soundFormat, soundRate, soundSize, soundType) {
+        let meta = this._audioMetadata;
+        let track = this._audioTrack;
 
-        result.packetType = array[0];
+        let originalCodec = 'lpcm';
+        let sampleRate = soundRate;
+        let bitsPerSample = (soundSize === 0 ? 8 : 16);
+        let channelCount = (soundType === 0 ? 1 : 2);
 
-        if (array[0] === 0) {
-            result.data = this._parseAACAudioSpecificConfig(arrayBuffer, dataOffset + 1, dataSize - 1);
+        if (soundFormat === 7 || soundFormat === 8) {
+            originalCodec = (soundFormat === 7) ? 'alaw' : 'ulaw';
+            // G.711 is always sampled at 8kHz with 8 bits per sample, SoundRate and SoundSize fields are meaningless
+            sampleRate = 8000;
+            bitsPerSample = 8;
+        }
+
+        if (meta.originalCodec !== originalCodec ||
+            meta.audioSampleRate !== sampleRate ||
+            meta.channelCount !== channelCount) {
+            meta = this._renewAudioMetadata();
+            meta.audioSampleRate = sampleRate;
+            meta.timescale = meta.audioSampleRate;
+            meta.duration = Math.floor(this._duration * meta.timescale / this._timescale);
+            meta.channelCount = channelCount;
+            meta.codec = 'ipcm';
+            meta.originalCodec = originalCodec;
+            Log.v(this.TAG, `Parsed ${originalCodec} audio format, ${sampleRate}Hz, ${channelCount} channels`);
+
+            if (this._isInitialMetadataDispatched()) {
+                // Non-initial metadata, force dispatch (or flush) parsed frames to remuxer
+                if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                    this._onDataAvailable(this._audioTrack, this._videoTrack, true);
+                }
+            } else {
+                this._audioInitialMetadataDispatched = true;
+            }
+            // then notify new metadata
+            this._dispatch = false;
+            this._onTrackMetadata('audio', meta);
+
+            let mi = this._mediaInfo;
+            mi.audioCodec = meta.originalCodec;
+            mi.audioSampleRate = meta.audioSampleRate;
+            mi.audioChannelCount = meta.channelCount;
+            mi.audioDataRate = sampleRate * bitsPerSample * channelCount / 1000;  // in kbps
+            if (mi.hasVideo) {
+                if (mi.videoCodec != null) {
+                    mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
+                }
+            } else {
+                mi.mimeType = 'video/x-flv; codecs="' + mi.audioCodec + '"';
+            }
+            if (mi.isComplete()) {
+                this._onMediaInfo(mi);
+            }
+        }
+
+        // Payload should consist of whole sample frames, partial frame would misalign following samples and channels
+        let blockAlign = bitsPerSample / 8 * channelCount;
+        let remainder = dataSize % blockAlign;
+        if (remainder !== 0) {
+            Log.w(this.TAG, `PCM audio data has ${remainder} trailing bytes of incomplete sample frame, dropped`);
+            dataSize -= remainder;
+        }
+
+        let input = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        let data = null;
+
+        if (originalCodec !== 'lpcm') {
+            data = G711Decoder.decode(originalCodec, input);
+        } else if (bitsPerSample === 8) {
+            // 8-bit PCM is unsigned, widen to signed 16-bit
+            data = new Uint8Array(dataSize * 2);
+            for (let i = 0; i < dataSize; i++) {
+                data[i * 2 + 1] = input[i] - 128;  // high byte, low byte remains zero
+            }
+        } else if (soundFormat === 0 && this._config.pcmPlatformEndian === 'big') {
+            // Platform-endian PCM produced on big-endian machine, swap to little-endian
+            data = new Uint8Array(dataSize);
+            for (let i = 0; i < dataSize; i += 2) {
+                data[i] = input[i + 1];
+                data[i + 1] = input[i];
+            }
         } else {
-            result.data = array.subarray(1);
+            // 16-bit PCM is little-endian for SoundFormat 3, and platform-endian for SoundFormat 0
+            // which is assumed to be little-endian by config.pcmPlatformEndian
+            data = input;
         }
 
-        return result;
+        if (data.byteLength === 0) {
+            return;
+        }
+
+        // In milliseconds like other tracks, packet duration depends on the encoder
+        meta.refSampleDuration = data.byteLength / 2 / channelCount / meta.audioSampleRate * 1000;
+
+        let dts = this._timestampBase + tagTimestamp;
+        let pcmSample = {unit: data, length: data.byteLength, dts: dts, pts: dts};
+        track.samples.push(pcmSample);
+        track.length += data.byteLength;
     }
 
-    _parseAACAudioSpecificConfig(arrayBuffer, dataOffset, dataSize) {
-        let array = new Uint8Array(arrayBuffer, dataOffset, dataSize);
-        let config = null;
+    // Enhanced FLV (Enhanced RTMP) audio tag, codec is identified by FourCC instead of SoundFormat
+    _parseEnhancedAudioData(arrayBuffer, dataOffset, dataSize, tagTimestamp) {
+        let v = new DataView(arrayBuffer, dataOffset, dataSize);
 
-        /* Audio Object Type:
-           0: Null
-           1: AAC Main
-           2: AAC LC
-           3: AAC SSR (Scalable Sample Rate)
-           4: AAC LTP (Long Term Prediction)
-           5: HE-AAC / SBR (Spectral Band Replication)
-           6: AAC Scalable
-        */
-
-        let audioObjectType = 0;
-        let originalAudioObjectType = 0;
-        let audioExtensionObjectType = null;
-        let samplingIndex = 0;
-        let extensionSamplingIndex = null;
-
-        // 5 bits
-        audioObjectType = originalAudioObjectType = array[0] >>> 3;
-        // 4 bits
-        samplingIndex = ((array[0] & 0x07) << 1) | (array[1] >>> 7);
-        if (samplingIndex < 0 || samplingIndex >= this._mpegSamplingRates.length) {
-            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: AAC invalid sampling frequency index!');
+        let packetType = v.getUint8(0) & 0x0F;
+
+        if (dataSize < 5) {
+            Log.w(this.TAG, 'Flv: Invalid enhanced audio packet, missing AudioFourCC');
             return;
         }
 
-        let samplingFrequence = this._mpegSamplingRates[samplingIndex];
+        let fourCC = String.fromCharCode(v.getUint8(1), v.getUint8(2), v.getUint8(3), v.getUint8(4));
+        let payloadOffset = dataOffset + 5;
+        let payloadSize = dataSize - 5;
 
-        // 4 bits
-        let channelConfig = (array[1] & 0x78) >>> 3;
-        if (channelConfig < 0 || channelConfig >= 8) {
-            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: AAC invalid channel configuration');
+        if (fourCC === 'ac-3' || fourCC === 'ec-3') {
+            if (packetType === 1) {  // CodedFrames, carries sync frames directly without SequenceStart
+                this._parseAC3AudioData(arrayBuffer, payloadOffset, payloadSize, tagTimestamp, fourCC);
+            } else if (packetType !== 0 && packetType !== 2 && packetType !== 4) {
+                Log.w(this.TAG, `Flv: Unsupported enhanced audio packet type ${packetType}, skipped`);
+            }
+            return;
+        } else if (fourCC !== 'Opus') {
+            this._onError(DemuxErrors.CODEC_UNSUPPORTED, `Flv: Unsupported codec in enhanced audio frame: ${fourCC}`);
+            return;
+        }
+
+        switch (packetType) {
+            case 0:  // SequenceStart, carries OpusHead
+                this._parseOpusSequenceHeader(arrayBuffer, payloadOffset, payloadSize);
+                break;
+            case 1:  // CodedFrames
+                this._parseOpusAudioData(arrayBuffer, payloadOffset, payloadSize, tagTimestamp);
+                break;
+            case 2:  // SequenceEnd
+                break;
+            case 4:  // MultichannelConfig, channel layout of Opus is already described by OpusHead
+                break;
+            default:
+                Log.w(this.TAG, `Flv: Unsupported enhanced audio packet type ${packetType}, skipped`);
+                break;
+        }
+    }
+
+    _parseOpusSequenceHeader(arrayBuffer, dataOffset, dataSize) {
+        let head = OpusParser.parseOpusHead(new Uint8Array(arrayBuffer, dataOffset, dataSize));
+        if (head == null) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid OpusHead');
             return;
         }
 
-        if (audioObjectType === 5) {  // HE-AAC?
-            // 4 bits
-            extensionSamplingIndex = ((array[1] & 0x07) << 1) | (array[2] >>> 7);
-            // 5 bits
-            audioExtensionObjectType = (array[2] & 0x7C) >>> 2;
-        }
-
-        // workarounds for various browsers
-        let userAgent = self.navigator.userAgent.toLowerCase();
-
-        if (userAgent.indexOf('firefox') !== -1) {
-            // firefox: use SBR (HE-AAC) if freq less than 24kHz
-            if (samplingIndex >= 6) {
-                audioObjectType = 5;
-                config = new Array(4);
-                extensionSamplingIndex = samplingIndex - 3;
-            } else {  // use LC-AAC
-                audioObjectType = 2;
-                config = new Array(2);
-                extensionSamplingIndex = samplingIndex;
-            }
-        } else if (userAgent.indexOf('android') !== -1) {
-            // android: always use LC-AAC
-            audioObjectType = 2;
-            config = new Array(2);
-            extensionSamplingIndex = samplingIndex;
+        let meta = this._audioMetadata;
+        let track = this._audioTrack;
+
+        if (!meta) {
+            if (this._hasAudio === false && this._hasAudioFlagOverrided === false) {
+                this._hasAudio = true;
+                this._mediaInfo.hasAudio = true;
+            }
+
+            meta = this._audioMetadata = {};
+            meta.type = 'audio';
+            meta.id = track.id;
         } else {
-            // for other browsers, e.g. chrome...
-            // Always use HE-AAC to make it easier to switch aac codec profile
-            audioObjectType = 5;
-            extensionSamplingIndex = samplingIndex;
-            config = new Array(4);
+            if (typeof meta.opusConfig !== 'undefined') {
+                Log.w(this.TAG, 'Found another OpusHead!');
+            }
+            meta = this._renewAudioMetadata();
+        }
+
+        // Opus is always decoded at 48kHz, use it as track timescale for sample accurate durations
+        meta.audioSampleRate = 48000;
+        meta.timescale = meta.audioSampleRate;
+        meta.duration = Math.floor(this._duration * meta.timescale / this._timescale);
+        meta.channelCount = head.channel_count;
+        meta.codec = 'opus';
+        meta.originalCodec = 'opus';
+        meta.opusConfig = head;
+        // In milliseconds like other tracks, updated from TOC of incoming packets
+        meta.refSampleDuration = 20;
+        Log.v(this.TAG, 'Parsed OpusHead');
 
-            if (samplingIndex >= 6) {
-                extensionSamplingIndex = samplingIndex - 3;
-            } else if (channelConfig === 1) {  // Mono channel
-                audioObjectType = 2;
-                config = new Array(2);
-                extensionSamplingIndex = samplingIndex;
+        if (this._isInitialMetadataDispatched()) {
+            // Non-initial metadata, force dispatch (or flush) parsed frames to remuxer
+            if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                this._onDataAvailable(this._audioTrack, this._videoTrack, true);
+            }
+        } else {
+            this._audioInitialMetadataDispatched = true;
+        }
+        // then notify new metadata
+        this._dispatch = false;
+        this._onTrackMetadata('audio', meta);
+
+        let mi = this._mediaInfo;
+        mi.audioCodec = meta.originalCodec;
+        mi.audioSampleRate = meta.audioSampleRate;
+        mi.audioChannelCount = meta.channelCount;
+        if (mi.hasVideo) {
+            if (mi.videoCodec != null) {
+                mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
             }
+        } else {
+            mi.mimeType = 'video/x-flv; codecs="' + mi.audioCodec + '"';
+        }
+        if (mi.isComplete()) {
+            this._onMediaInfo(mi);
         }
+    }
+
+    _parseOpusAudioData(arrayBuffer, dataOffset, dataSize, tagTimestamp) {
+        let meta = this._audioMetadata;
+        let dts = this._timestampBase + tagTimestamp;
 
-        config[0]  = audioObjectType << 3;
-        config[0] |= (samplingIndex & 0x0F) >>> 1;
-        config[1]  = (samplingIndex & 0x0F) << 7;
-        config[1] |= (channelConfig & 0x0F) << 3;
-        if (audioObjectType === 5) {
-            config[1] |= ((extensionSamplingIndex & 0x0F) >>> 1);
-            config[2]  = (extensionSamplingIndex & 0x01) << 7;
-            // extended audio object type: force to 2 (LC-AAC)
-            config[2] |= (2 << 2);
-            config[3]  = 0;
+        if (!meta || !meta.opusConfig) {
+            Log.w(this.TAG, `Flv: Opus packet near timestamp ${dts} arrived before OpusHead, dropped`);
+            return;
+        }
+        if (dataSize === 0) {
+            return;
         }
 
-        return {
-            config: config,
-            samplingRate: samplingFrequence,
-            channelCount: channelConfig,
-            codec: 'mp4a.40.' + audioObjectType,
-            originalCodec: 'mp4a.40.' + originalAudioObjectType
-        };
+        let data = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        let duration = OpusParser.getPacketDuration(data);
+        if (duration > 0) {
+            meta.refSampleDuration = duration;
+        }
+
+        let track = this._audioTrack;
+        let opusSample = {unit: data, length: dataSize, dts: dts, pts: dts};
+        track.samples.push(opusSample);
+        track.length += dataSize;
     }
 
-    _parseMP3AudioData(arrayBuffer, dataOffset, dataSize, requestHeader) {
-        if (dataSize < 4) {
-            Log.w(this.TAG, 'Flv: Invalid MP3 packet, header missing!');
+    // AC-3 / E-AC-3 audio, stream parameters are derived from the sync frame header of each packet
+    _parseAC3AudioData(arrayBuffer, dataOffset, dataSize, tagTimestamp, fourCC) {
+        let data = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        let info = (fourCC === 'ac-3') ? AC3Parser.parseAC3Frames(data) : AC3Parser.parseEAC3Frames(data);
+
+        if (info == null) {
+            Log.w(this.TAG, `Flv: Invalid ${fourCC} sync frame, skipped`);
             return;
         }
 
-        let le = this._littleEndian;
-        let array = new Uint8Array(arrayBuffer, dataOffset, dataSize);
-        let result = null;
+        let meta = this._audioMetadata;
+        let track = this._audioTrack;
 
-        if (requestHeader) {
-            if (array[0] !== 0xFF) {
-                return;
+        if (!meta) {
+            if (this._hasAudio === false && this._hasAudioFlagOverrided === false) {
+                this._hasAudio = true;
+                this._mediaInfo.hasAudio = true;
             }
-            let ver = (array[1] >>> 3) & 0x03;
-            let layer = (array[1] & 0x06) >> 1;
 
-            let bitrate_index = (array[2] & 0xF0) >>> 4;
-            let sampling_freq_index = (array[2] & 0x0C) >>> 2;
+            meta = this._audioMetadata = {};
+            meta.type = 'audio';
+            meta.id = track.id;
+        }
 
-            let channel_mode = (array[3] >>> 6) & 0x03;
-            let channel_count = channel_mode !== 3 ? 2 : 1;
+        let config = (info.codec === 'ac-3') ? {
+            fscod: info.fscod,
+            bsid: info.bsid,
+            bsmod: info.bsmod,
+            acmod: info.acmod,
+            lfeon: info.lfeon,
+            bit_rate_code: info.bit_rate_code
+        } : {
+            data_rate: info.data_rate,
+            substreams: info.substreams
+        };
 
-            let sample_rate = 0;
+        // data_rate of E-AC-3 is only informative, it's not worth a new init segment
+        let configChanged = meta.codec !== info.codec ||
+                            meta.audioSampleRate !== info.sampling_rate ||
+                            meta.channelCount !== info.channel_count ||
+                            (info.codec === 'ac-3' && JSON.stringify(meta.ac3Config) !== JSON.stringify(config)) ||
+                            (info.codec === 'ec-3' && JSON.stringify(meta.ec3Config.substreams) !== JSON.stringify(config.substreams));
+
+        let refSampleDuration = info.sample_count / info.sampling_rate * 1000;
+
+        if (configChanged) {
+            meta = this._renewAudioMetadata();
+            meta.audioSampleRate = info.sampling_rate;
+            meta.timescale = this._timescale;
+            meta.duration = this._duration;
+            meta.channelCount = info.channel_count;
+            meta.codec = info.codec;
+            meta.originalCodec = info.codec;
+            meta.config = undefined;
+            meta.ac3Config = (info.codec === 'ac-3') ? config : undefined;
+            meta.ec3Config = (info.codec === 'ec-3') ? config : undefined;
+            meta.refSampleDuration = refSampleDuration;
+            Log.v(this.TAG, `Parsed ${info.codec} sync frame, ${info.sampling_rate}Hz, ${info.channel_count} channels`);
+
+            if (this._isInitialMetadataDispatched()) {
+                // Non-initial metadata, force dispatch (or flush) parsed frames to remuxer
+                if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                    this._onDataAvailable(this._audioTrack, this._videoTrack, true);
+                }
+            } else {
+                this._audioInitialMetadataDispatched = true;
+            }
+            // then notify new metadata
+            this._dispatch = false;
+            this._onTrackMetadata('audio', meta);
+
+            let mi = this._mediaInfo;
+            mi.audioCodec = meta.codec;
+            mi.audioSampleRate = meta.audioSampleRate;
+            mi.audioChannelCount = meta.channelCount;
+            mi.audioDataRate = (info.codec === 'ac-3') ? info.bit_rate : info.data_rate;
+            if (mi.hasVideo) {
+                if (mi.videoCodec != null) {
+                    mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
+                }
+            } else {
+                mi.mimeType = 'video/x-flv; codecs="' + mi.audioCodec + '"';
+            }
+            if (mi.isComplete()) {
+                this._onMediaInfo(mi);
+            }
+        } else {
+            meta.refSampleDuration = refSampleDuration;
+        }
+
+        let dts = this._timestampBase + tagTimestamp;
+        let ac3Sample = {unit: data, length: dataSize, dts: dts, pts: dts};
+        track.samples.push(ac3Sample);
+        track.length += dataSize;
+    }
+
+    _parseAACAudioData(arrayBuffer, dataOffset, dataSize) {
+        if (dataSize <= 1) {
+            Log.w(this.TAG, 'Flv: Invalid AAC packet, missing AACPacketType or/and Data!');
+            return;
+        }
+
+        let result = {};
+        let array = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+
+        result.packetType = array[0];
+
+        if (array[0] === 0) {
+            result.data = this._parseAACAudioSpecificConfig(arrayBuffer, dataOffset + 1, dataSize - 1);
+        } else {
+            result.data = array.subarray(1);
+        }
+
+        return result;
+    }
+
+    _parseAACAudioSpecificConfig(arrayBuffer, dataOffset, dataSize) {
+        let array = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        let asc = AACParser.parseAudioSpecificConfig(array);
+
+        if (asc == null) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid AudioSpecificConfig');
+            return;
+        }
+        if (asc.channelCount === 0) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: AAC invalid channel configuration');
+            return;
+        }
+
+        return {
+            // Pass through the original AudioSpecificConfig, so that esds describes the real stream
+            config: Array.prototype.slice.call(array),
+            samplingRate: asc.samplingRate,
+            channelCount: asc.channelCount,
+            frameLength: asc.frameLength,
+            codec: asc.codec,
+            originalCodec: asc.codec
+        };
+    }
+
+    _parseMP3AudioData(arrayBuffer, dataOffset, dataSize, requestHeader) {
+        if (dataSize < 4) {
+            Log.w(this.TAG, 'Flv: Invalid MP3 packet, header missing!');
+            return;
+        }
+
+        let le = this._littleEndian;
+        let array = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        let result = null;
+
+        if (requestHeader) {
+            if (array[0] !== 0xFF) {
+                return;
+            }
+            let ver = (array[1] >>> 3) & 0x03;
+            let layer = (array[1] & 0x06) >> 1;
+
+            let bitrate_index = (array[2] & 0xF0) >>> 4;
+            let sampling_freq_index = (array[2] & 0x0C) >>> 2;
+
+            let channel_mode = (array[3] >>> 6) & 0x03;
+            let channel_count = channel_mode !== 3 ? 2 : 1;
+
+            let sample_rate = 0;
             let bit_rate = 0;
             let object_type = 34;  // Layer-3, listed in MPEG-4 Audio Object Types
 
@@ -838,15 +1540,107 @@ class FLVDemuxer {
 
         let spec = (new Uint8Array(arrayBuffer, dataOffset, dataSize))[0];
 
+        if ((spec & 0x80) !== 0) {  // IsExHeader, Enhanced FLV
+            this._parseEnhancedVideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition);
+            return;
+        }
+
         let frameType = (spec & 240) >>> 4;
         let codecId = spec & 15;
 
-        if (codecId !== 7) {
+        if (codecId === 7) {  // AVC
+            this._parseAVCVideoPacket(arrayBuffer, dataOffset + 1, dataSize - 1, tagTimestamp, tagPosition, frameType);
+        } else if (codecId === 12) {  // HEVC
+            this._parseHEVCVideoPacket(arrayBuffer, dataOffset + 1, dataSize - 1, tagTimestamp, tagPosition, frameType);
+        } else {
             this._onError(DemuxErrors.CODEC_UNSUPPORTED, `Flv: Unsupported codec in video frame: ${codecId}`);
             return;
         }
+    }
+
+    // Enhanced FLV (Enhanced RTMP) video tag, codec is identified by FourCC instead of CodecID
+    _parseEnhancedVideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition) {
+        let le = this._littleEndian;
+        let v = new DataView(arrayBuffer, dataOffset, dataSize);
+
+        let spec = v.getUint8(0);
+        let frameType = (spec >>> 4) & 0x07;
+        let packetType = spec & 0x0F;
+
+        if (frameType === 5 && packetType !== 4) {
+            // Command frame, carries a VideoCommand instead of video payload
+            return;
+        }
 
-        this._parseAVCVideoPacket(arrayBuffer, dataOffset + 1, dataSize - 1, tagTimestamp, tagPosition, frameType);
+        if (dataSize < 5) {
+            Log.w(this.TAG, 'Flv: Invalid enhanced video packet, missing VideoFourCC');
+            return;
+        }
+
+        let fourCC = String.fromCharCode(v.getUint8(1), v.getUint8(2), v.getUint8(3), v.getUint8(4));
+        let payloadOffset = dataOffset + 5;
+        let payloadSize = dataSize - 5;
+
+        if (fourCC !== 'avc1' && fourCC !== 'hvc1' && fourCC !== 'av01' && fourCC !== 'vp09') {
+            this._onError(DemuxErrors.CODEC_UNSUPPORTED, `Flv: Unsupported codec in enhanced video frame: ${fourCC}`);
+            return;
+        }
+
+        switch (packetType) {
+            case 0:  // SequenceStart, carries decoder configuration record
+                if (fourCC === 'hvc1') {
+                    this._parseHEVCDecoderConfigurationRecord(arrayBuffer, payloadOffset, payloadSize);
+                } else if (fourCC === 'av01') {
+                    this._parseAV1CodecConfigurationRecord(arrayBuffer, payloadOffset, payloadSize);
+                } else if (fourCC === 'vp09') {
+                    this._parseVP9CodecConfigurationRecord(arrayBuffer, payloadOffset, payloadSize);
+                } else {
+                    this._parseAVCDecoderConfigurationRecord(arrayBuffer, payloadOffset, payloadSize);
+                }
+                break;
+            case 1:  // CodedFrames, with CompositionTime for avc1/hvc1
+            case 3: {  // CodedFramesX, CompositionTime is implied to be zero
+                if (fourCC === 'av01') {
+                    this._parseAV1VideoData(arrayBuffer, payloadOffset, payloadSize, tagTimestamp, tagPosition, frameType);
+                    break;
+                } else if (fourCC === 'vp09') {
+                    // keyframes are identified from VP9 uncompressed header, FLV frameType is not trusted
+                    this._parseVP9VideoData(arrayBuffer, payloadOffset, payloadSize, tagTimestamp, tagPosition);
+                    break;
+                }
+                let cts = 0;
+                if (packetType === 1) {
+                    if (payloadSize < 3) {
+                        Log.w(this.TAG, 'Flv: Invalid enhanced video packet, missing CompositionTime');
+                        return;
+                    }
+                    let cts_unsigned = v.getUint32(4, !le) & 0x00FFFFFF;
+                    cts = (cts_unsigned << 8) >> 8;  // convert to 24-bit signed int
+                    payloadOffset += 3;
+                    payloadSize -= 3;
+                }
+                if (fourCC === 'hvc1') {
+                    this._parseHEVCVideoData(arrayBuffer, payloadOffset, payloadSize, tagTimestamp, tagPosition, frameType, cts);
+                } else {
+                    this._parseAVCVideoData(arrayBuffer, payloadOffset, payloadSize, tagTimestamp, tagPosition, frameType, cts);
+                }
+                break;
+            }
+            case 2:  // SequenceEnd
+                break;
+            case 4:  // Metadata, e.g. colorInfo encoded in AMF
+                this._parseVideoMetadataPacket(arrayBuffer, payloadOffset, payloadSize);
+                break;
+            default:
+                Log.w(this.TAG, `Flv: Unsupported enhanced video packet type ${packetType}, skipped`);
+                break;
+        }
+    }
+
+    _parseVideoMetadataPacket(arrayBuffer, dataOffset, dataSize) {
+        // Informative only (HDR colorInfo etc.), nothing in the remuxed stream depends on it
+        let metadata = AMF.parseScriptData(arrayBuffer, dataOffset, dataSize);
+        Log.v(this.TAG, 'Parsed enhanced video metadata: ' + Object.keys(metadata).join(', '));
     }
 
     _parseAVCVideoPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType) {
@@ -880,6 +1674,30 @@ class FLVDemuxer {
             return;
         }
 
+        let bytes = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        if (bytes[0] === 0 && bytes[1] === 0) {  // configurationVersion could never be 0
+            // Annex-B SPS/PPS written by broken pushers in place of the record
+            let sps = null, pps = null;
+            let nalus = this._splitAnnexBNalus(bytes);
+            for (let i = 0; i < nalus.length; i++) {
+                let unitType = nalus[i][0] & 0x1F;
+                if (unitType === 7 && sps == null) {
+                    sps = nalus[i];
+                } else if (unitType === 8 && pps == null) {
+                    pps = nalus[i];
+                }
+            }
+            if (sps == null || pps == null || sps.byteLength < 4) {
+                this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid AVCDecoderConfigurationRecord');
+                return;
+            }
+            Log.w(this.TAG, 'Flv: Found Annex-B SPS/PPS in place of AVCDecoderConfigurationRecord');
+            let record = this._buildAVCDecoderConfigurationRecord(sps, pps);
+            arrayBuffer = record.buffer;
+            dataOffset = 0;
+            dataSize = record.byteLength;
+        }
+
         let meta = this._videoMetadata;
         let track = this._videoTrack;
         let le = this._littleEndian;
@@ -896,10 +1714,18 @@ class FLVDemuxer {
             meta.id = track.id;
             meta.timescale = this._timescale;
             meta.duration = this._duration;
-        } else {
-            if (typeof meta.avcc !== 'undefined') {
-                Log.w(this.TAG, 'Found another AVCDecoderConfigurationRecord!');
+        } else if (typeof meta.avcc !== 'undefined') {
+            if (this._isSameBytes(meta.avcc, new Uint8Array(arrayBuffer, dataOffset, dataSize))) {
+                return;  // repeated sequence header, nothing changed
             }
+            Log.w(this.TAG, 'Found another AVCDecoderConfigurationRecord!');
+            // Samples before this boundary are remuxed with the previous metadata, leave it untouched
+            meta = this._videoMetadata = {
+                type: 'video',
+                id: track.id,
+                timescale: meta.timescale,
+                duration: meta.duration
+            };
         }
 
         let version = v.getUint8(0);  // configurationVersion
@@ -1032,7 +1858,7 @@ class FLVDemuxer {
         if (this._isInitialMetadataDispatched()) {
             // flush parsed frames
             if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
-                this._onDataAvailable(this._audioTrack, this._videoTrack);
+                this._onDataAvailable(this._audioTrack, this._videoTrack, true);
             }
         } else {
             this._videoInitialMetadataDispatched = true;
@@ -1043,10 +1869,24 @@ class FLVDemuxer {
     }
 
     _parseAVCVideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, cts) {
+        let payload = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+        if (this._isAnnexBPayload(payload)) {
+            if (!this._annexBPayloadDetected) {
+                Log.w(this.TAG, 'Flv: Found Annex-B Nalus in video tags, convert to length prefixed Nalus');
+                this._annexBPayloadDetected = true;
+            }
+            let converted = this._convertAnnexBPayload(payload);
+            arrayBuffer = converted.buffer;
+            dataOffset = 0;
+            dataSize = converted.byteLength;
+        }
+
         let le = this._littleEndian;
         let v = new DataView(arrayBuffer, dataOffset, dataSize);
 
         let units = [], length = 0;
+        let seiMessages = [];
+        let sps = null, pps = null;
 
         let offset = 0;
         const lengthSize = this._naluLengthSize;
@@ -1072,6 +1912,13 @@ class FLVDemuxer {
 
             if (unitType === 5) {  // IDR
                 keyframe = true;
+            } else if (unitType === 7 && sps == null) {  // SPS
+                sps = new Uint8Array(arrayBuffer, dataOffset + offset + lengthSize, naluSize);
+            } else if (unitType === 8 && pps == null) {  // PPS
+                pps = new Uint8Array(arrayBuffer, dataOffset + offset + lengthSize, naluSize);
+            } else if (unitType === 6 && naluSize > 1) {  // SEI
+                let sei = SEIParser.parseSEI(new Uint8Array(arrayBuffer, dataOffset + offset + lengthSize, naluSize));
+                seiMessages.push.apply(seiMessages, sei);
             }
 
             let data = new Uint8Array(arrayBuffer, dataOffset + offset, lengthSize + naluSize);
@@ -1082,6 +1929,15 @@ class FLVDemuxer {
             offset += lengthSize + naluSize;
         }
 
+        if (keyframe && sps != null) {
+            // Parameter sets may be changed in-band without a new sequence header
+            this._checkInBandParameterSets(sps, pps);
+        }
+        if (!this._videoMetadata || !this._videoMetadata.avcc) {
+            Log.w(this.TAG, `Flv: AVC frame near timestamp ${dts} arrived before AVCDecoderConfigurationRecord, dropped`);
+            return;
+        }
+
         if (units.length) {
             let track = this._videoTrack;
             let avcSample = {
@@ -1095,11 +1951,785 @@ class FLVDemuxer {
             if (keyframe) {
                 avcSample.fileposition = tagPosition;
             }
+            if (seiMessages.length) {
+                // Reported by remuxer along with the corrected pts of this sample
+                avcSample.sei = seiMessages;
+                if (this._config.enableClosedCaptions) {
+                    this._extractCaptionData(avcSample, seiMessages);
+                }
+            }
             track.samples.push(avcSample);
             track.length += length;
         }
     }
 
+    // Rebuild AVCDecoderConfigurationRecord from in-band SPS/PPS if SPS differs from current one, or the
+    // sequence header is missing entirely, then switch track metadata before the keyframe carrying them is queued
+    _checkInBandParameterSets(sps, pps) {
+        let meta = this._videoMetadata;
+        if (sps.byteLength < 4) {
+            return;
+        }
+        if (!meta || !meta.avcc) {
+            if (pps != null) {
+                Log.w(this.TAG, 'Flv: Missing AVCDecoderConfigurationRecord, synthesize it from in-band SPS/PPS');
+                let record = this._buildAVCDecoderConfigurationRecord(sps, pps);
+                this._parseAVCDecoderConfigurationRecord(record.buffer, 0, record.byteLength);
+            }
+            return;
+        }
+
+        let avcc = meta.avcc;
+        let spsCount = avcc[5] & 31;
+        let offset = 6;
+        let currentSPS = null;
+        for (let i = 0; i < spsCount; i++) {
+            let len = (avcc[offset] << 8) | avcc[offset + 1];
+            if (currentSPS == null) {
+                currentSPS = avcc.subarray(offset + 2, offset + 2 + len);
+            }
+            offset += 2 + len;
+        }
+        if (currentSPS != null && this._isSameBytes(currentSPS, sps)) {
+            return;
+        }
+        if (pps == null) {
+            // Keep using the first PPS in current record
+            let len = (avcc[offset + 1] << 8) | avcc[offset + 2];
+            pps = avcc.subarray(offset + 3, offset + 3 + len);
+        }
+
+        Log.v(this.TAG, 'Found in-band SPS different from AVCDecoderConfigurationRecord');
+
+        let record = this._buildAVCDecoderConfigurationRecord(sps, pps);
+        this._parseAVCDecoderConfigurationRecord(record.buffer, 0, record.byteLength);
+    }
+
+    _buildAVCDecoderConfigurationRecord(sps, pps) {
+        let record = new Uint8Array(11 + sps.byteLength + pps.byteLength);
+        record[0] = 1;  // configurationVersion
+        record[1] = sps[1];  // AVCProfileIndication
+        record[2] = sps[2];  // profile_compatibility
+        record[3] = sps[3];  // AVCLevelIndication
+        record[4] = 0xFC | (this._naluLengthSize - 1);
+        record[5] = 0xE0 | 1;  // numOfSequenceParameterSets
+        record[6] = sps.byteLength >>> 8;
+        record[7] = sps.byteLength & 0xFF;
+        record.set(sps, 8);
+        let offset = 8 + sps.byteLength;
+        record[offset] = 1;  // numOfPictureParameterSets
+        record[offset + 1] = pps.byteLength >>> 8;
+        record[offset + 2] = pps.byteLength & 0xFF;
+        record.set(pps, offset + 3);
+        return record;
+    }
+
+    // Payload starts with a start code (00 00 01 or 00 00 00 01), and could not be walked through as length prefixed Nalus
+    _isAnnexBPayload(bytes) {
+        if (bytes.byteLength < 4 || bytes[0] !== 0 || bytes[1] !== 0 ||
+            (bytes[2] !== 1 && (bytes[2] !== 0 || bytes[3] !== 1))) {
+            return false;
+        }
+        let lengthSize = this._naluLengthSize;
+        let offset = 0;
+        while (offset + lengthSize <= bytes.byteLength) {
+            let naluSize = 0;
+            for (let i = 0; i < lengthSize; i++) {
+                naluSize = naluSize * 256 + bytes[offset + i];
+            }
+            offset += lengthSize + naluSize;
+        }
+        return offset !== bytes.byteLength;
+    }
+
+    // Split Annex-B byte stream into Nalus, without start codes and trailing zero bytes
+    _splitAnnexBNalus(bytes) {
+        let nalus = [];
+        let start = -1;
+        let i = 0;
+
+        let pushNalu = (end) => {
+            while (end > start && bytes[end - 1] === 0) {
+                end--;
+            }
+            if (end > start) {
+                nalus.push(bytes.subarray(start, end));
+            }
+        };
+
+        while (i + 2 < bytes.byteLength) {
+            if (bytes[i] === 0 && bytes[i + 1] === 0 && bytes[i + 2] === 1) {
+                if (start >= 0) {
+                    pushNalu(i);
+                }
+                i += 3;
+                start = i;
+            } else {
+                i++;
+            }
+        }
+        if (start >= 0) {
+            pushNalu(bytes.byteLength);
+        }
+        return nalus;
+    }
+
+    _convertAnnexBPayload(bytes) {
+        let lengthSize = this._naluLengthSize;
+        let nalus = this._splitAnnexBNalus(bytes);
+        let length = 0;
+        for (let i = 0; i < nalus.length; i++) {
+            length += lengthSize + nalus[i].byteLength;
+        }
+
+        let result = new Uint8Array(length);
+        let offset = 0;
+        for (let i = 0; i < nalus.length; i++) {
+            let size = nalus[i].byteLength;
+            for (let j = lengthSize - 1; j >= 0; j--) {
+                result[offset + j] = size & 0xFF;
+                size >>>= 8;
+            }
+            result.set(nalus[i], offset + lengthSize);
+            offset += lengthSize + nalus[i].byteLength;
+        }
+        return result;
+    }
+
+    _isSameBytes(a, b) {
+        if (a.byteLength !== b.byteLength) {
+            return false;
+        }
+        for (let i = 0; i < a.byteLength; i++) {
+            if (a[i] !== b[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Collect CEA-608/708 cc_data carried in SEI into sample, decoded after remuxing in presentation order
+    _extractCaptionData(sample, seiMessages) {
+        for (let i = 0; i < seiMessages.length; i++) {
+            if (seiMessages[i].type !== 4) {  // user_data_registered_itu_t_t35
+                continue;
+            }
+            let ccData = SEIParser.parseCCData(seiMessages[i].data);
+            if (ccData != null) {
+                if (!sample.captions) {
+                    sample.captions = [];
+                }
+                sample.captions.push(ccData);
+            }
+        }
+    }
+
+    _parseHEVCVideoPacket(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType) {
+        if (dataSize < 4) {
+            Log.w(this.TAG, 'Flv: Invalid HEVC packet, missing HEVCPacketType or/and CompositionTime');
+            return;
+        }
+
+        let le = this._littleEndian;
+        let v = new DataView(arrayBuffer, dataOffset, dataSize);
+
+        let packetType = v.getUint8(0);
+        let cts_unsigned = v.getUint32(0, !le) & 0x00FFFFFF;
+        let cts = (cts_unsigned << 8) >> 8;  // convert to 24-bit signed int
+
+        if (packetType === 0) {  // HEVCDecoderConfigurationRecord
+            this._parseHEVCDecoderConfigurationRecord(arrayBuffer, dataOffset + 4, dataSize - 4);
+        } else if (packetType === 1) {  // One or more Nalus
+            this._parseHEVCVideoData(arrayBuffer, dataOffset + 4, dataSize - 4, tagTimestamp, tagPosition, frameType, cts);
+        } else if (packetType === 2) {
+            // empty, HEVC end of sequence
+        } else {
+            this._onError(DemuxErrors.FORMAT_ERROR, `Flv: Invalid video packet type ${packetType}`);
+            return;
+        }
+    }
+
+    _parseHEVCDecoderConfigurationRecord(arrayBuffer, dataOffset, dataSize) {
+        if (dataSize < 23) {
+            Log.w(this.TAG, 'Flv: Invalid HEVCDecoderConfigurationRecord, lack of data!');
+            return;
+        }
+
+        let meta = this._videoMetadata;
+        let track = this._videoTrack;
+        let le = this._littleEndian;
+        let v = new DataView(arrayBuffer, dataOffset, dataSize);
+
+        if (!meta) {
+            if (this._hasVideo === false && this._hasVideoFlagOverrided === false) {
+                this._hasVideo = true;
+                this._mediaInfo.hasVideo = true;
+            }
+
+            meta = this._videoMetadata = {};
+            meta.type = 'video';
+            meta.id = track.id;
+            meta.timescale = this._timescale;
+            meta.duration = this._duration;
+        } else {
+            if (typeof meta.hvcc !== 'undefined') {
+                Log.w(this.TAG, 'Found another HEVCDecoderConfigurationRecord!');
+            }
+        }
+
+        let version = v.getUint8(0);  // configurationVersion
+        let hevcProfile = v.getUint8(1) & 0x1F;  // general_profile_idc
+
+        if (version !== 1 || hevcProfile === 0) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid HEVCDecoderConfigurationRecord');
+            return;
+        }
+
+        this._naluLengthSize = (v.getUint8(21) & 3) + 1;  // lengthSizeMinusOne
+        if (this._naluLengthSize !== 3 && this._naluLengthSize !== 4) {
+            this._onError(DemuxErrors.FORMAT_ERROR, `Flv: Strange NaluLengthSizeMinusOne: ${this._naluLengthSize - 1}`);
+            return;
+        }
+
+        let numOfArrays = v.getUint8(22);
+        let offset = 23;
+        let vpsCount = 0, spsCount = 0, ppsCount = 0;
+        let arraysComplete = true;
+        let config = null;
+
+        for (let i = 0; i < numOfArrays; i++) {
+            if (offset + 3 > dataSize) {
+                this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid HEVCDecoderConfigurationRecord, lack of data!');
+                return;
+            }
+            let completeness = v.getUint8(offset) >>> 7;  // array_completeness
+            let unitType = v.getUint8(offset) & 0x3F;  // NAL_unit_type
+            let numNalus = v.getUint16(offset + 1, !le);
+            offset += 3;
+
+            if (unitType === 32 || unitType === 33 || unitType === 34) {
+                if (completeness === 0) {
+                    arraysComplete = false;
+                }
+            }
+
+            for (let j = 0; j < numNalus; j++) {
+                let len = v.getUint16(offset, !le);  // nalUnitLength
+                offset += 2;
+
+                if (len === 0) {
+                    continue;
+                }
+                if (offset + len > dataSize) {
+                    this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid HEVCDecoderConfigurationRecord, lack of data!');
+                    return;
+                }
+
+                // Notice: Nalu without startcode header (00 00 00 01)
+                let nalu = new Uint8Array(arrayBuffer, dataOffset + offset, len);
+                offset += len;
+
+                if (unitType === 32) {  // VPS
+                    vpsCount++;
+                } else if (unitType === 33) {  // SPS
+                    spsCount++;
+                    if (spsCount === 1) {
+                        // ignore other sps's config
+                        config = H265Parser.parseSPS(nalu);
+                    }
+                } else if (unitType === 34) {  // PPS
+                    ppsCount++;
+                }
+            }
+        }
+
+        if (vpsCount === 0 || spsCount === 0 || ppsCount === 0) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid HEVCDecoderConfigurationRecord: Missing VPS/SPS/PPS');
+            return;
+        }
+
+        meta.codecWidth = config.codec_size.width;
+        meta.codecHeight = config.codec_size.height;
+        meta.presentWidth = config.present_size.width;
+        meta.presentHeight = config.present_size.height;
+
+        meta.profile = config.profile_string;
+        meta.level = config.level_string;
+        meta.bitDepth = config.bit_depth;
+        meta.chromaFormat = config.chroma_format;
+        meta.sarRatio = config.sar_ratio;
+        meta.frameRate = config.frame_rate;
+
+        if (config.frame_rate.fixed === false ||
+            config.frame_rate.fps_num === 0 ||
+            config.frame_rate.fps_den === 0) {
+            meta.frameRate = this._referenceFrameRate;
+        }
+
+        let fps_den = meta.frameRate.fps_den;
+        let fps_num = meta.frameRate.fps_num;
+        meta.refSampleDuration = meta.timescale * (fps_den / fps_num);
+
+        // Parameter sets may also be carried in-band unless all arrays are declared complete
+        let codecString = (arraysComplete ? 'hvc1.' : 'hev1.') +
+                          this._getHEVCCodecParameters(new Uint8Array(arrayBuffer, dataOffset, 13));
+        meta.codec = codecString;
+
+        let mi = this._mediaInfo;
+        mi.width = meta.codecWidth;
+        mi.height = meta.codecHeight;
+        mi.fps = meta.frameRate.fps;
+        mi.profile = meta.profile;
+        mi.level = meta.level;
+        mi.refFrames = config.ref_frames;
+        mi.chromaFormat = config.chroma_format_string;
+        mi.sarNum = meta.sarRatio.width;
+        mi.sarDen = meta.sarRatio.height;
+        mi.videoCodec = codecString;
+
+        if (mi.hasAudio) {
+            if (mi.audioCodec != null) {
+                mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
+            }
+        } else {
+            mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + '"';
+        }
+        if (mi.isComplete()) {
+            this._onMediaInfo(mi);
+        }
+
+        meta.hvcc = new Uint8Array(dataSize);
+        meta.hvcc.set(new Uint8Array(arrayBuffer, dataOffset, dataSize), 0);
+        Log.v(this.TAG, 'Parsed HEVCDecoderConfigurationRecord');
+
+        if (this._isInitialMetadataDispatched()) {
+            // flush parsed frames
+            if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                this._onDataAvailable(this._audioTrack, this._videoTrack, true);
+            }
+        } else {
+            this._videoInitialMetadataDispatched = true;
+        }
+        // notify new metadata
+        this._dispatch = false;
+        this._onTrackMetadata('video', meta);
+    }
+
+    // Codec parameters as defined in ISO/IEC 14496-15 Annex E, e.g. '1.6.L93.B0'
+    _getHEVCCodecParameters(record) {
+        let profileSpace = record[1] >>> 6;  // general_profile_space
+        let tierFlag = (record[1] >>> 5) & 0x01;  // general_tier_flag
+        let profileIdc = record[1] & 0x1F;  // general_profile_idc
+        let compatibilityFlags = ReadBig32(record, 2) >>> 0;  // general_profile_compatibility_flags
+        let levelIdc = record[12];  // general_level_idc
+
+        // compatibility flags are written in reverse bit order
+        let reversedFlags = 0;
+        for (let i = 0; i < 32; i++) {
+            reversedFlags |= ((compatibilityFlags >>> i) & 0x01) << (31 - i);
+        }
+
+        let params = ['', 'A', 'B', 'C'][profileSpace] + profileIdc;
+        params += '.' + (reversedFlags >>> 0).toString(16).toUpperCase();
+        params += '.' + (tierFlag ? 'H' : 'L') + levelIdc;
+
+        // general_constraint_indicator_flags, trailing zero bytes are omitted
+        let constraintBytes = Array.prototype.slice.call(record, 6, 12);
+        while (constraintBytes.length && constraintBytes[constraintBytes.length - 1] === 0) {
+            constraintBytes.pop();
+        }
+        for (let i = 0; i < constraintBytes.length; i++) {
+            params += '.' + constraintBytes[i].toString(16).toUpperCase();
+        }
+
+        return params;
+    }
+
+    _parseHEVCVideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType, cts) {
+        let le = this._littleEndian;
+        let v = new DataView(arrayBuffer, dataOffset, dataSize);
+
+        let units = [], length = 0;
+
+        let offset = 0;
+        const lengthSize = this._naluLengthSize;
+        let dts = this._timestampBase + tagTimestamp;
+        let keyframe = (frameType === 1);  // from FLV Frame Type constants
+
+        while (offset < dataSize) {
+            if (offset + 4 >= dataSize) {
+                Log.w(this.TAG, `Malformed Nalu near timestamp ${dts}, offset = ${offset}, dataSize = ${dataSize}`);
+                break;  // data not enough for next Nalu
+            }
+            // Nalu with length-header (HVC1)
+            let naluSize = v.getUint32(offset, !le);  // Big-Endian read
+            if (lengthSize === 3) {
+                naluSize >>>= 8;
+            }
+            if (naluSize > dataSize - lengthSize) {
+                Log.w(this.TAG, `Malformed Nalus near timestamp ${dts}, NaluSize > DataSize!`);
+                return;
+            }
+
+            let unitType = (v.getUint8(offset + lengthSize) >>> 1) & 0x3F;
+
+            if (unitType >= 16 && unitType <= 23) {  // IRAP: BLA, IDR, CRA
+                keyframe = true;
+            }
+
+            let data = new Uint8Array(arrayBuffer, dataOffset + offset, lengthSize + naluSize);
+            let unit = {type: unitType, data: data};
+            units.push(unit);
+            length += data.byteLength;
+
+            offset += lengthSize + naluSize;
+        }
+
+        if (units.length) {
+            let track = this._videoTrack;
+            let hevcSample = {
+                units: units,
+                length: length,
+                isKeyframe: keyframe,
+                dts: dts,
+                cts: cts,
+                pts: (dts + cts)
+            };
+            if (keyframe) {
+                hevcSample.fileposition = tagPosition;
+            }
+            track.samples.push(hevcSample);
+            track.length += length;
+        }
+    }
+
+
+    _parseAV1CodecConfigurationRecord(arrayBuffer, dataOffset, dataSize) {
+        let record = AV1Parser.parseAV1CodecConfigurationRecord(new Uint8Array(arrayBuffer, dataOffset, dataSize));
+        if (record == null) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid AV1CodecConfigurationRecord');
+            return;
+        }
+
+        let meta = this._videoMetadata;
+        let track = this._videoTrack;
+
+        if (!meta) {
+            if (this._hasVideo === false && this._hasVideoFlagOverrided === false) {
+                this._hasVideo = true;
+                this._mediaInfo.hasVideo = true;
+            }
+
+            meta = this._videoMetadata = {};
+            meta.type = 'video';
+            meta.id = track.id;
+            meta.timescale = this._timescale;
+            meta.duration = this._duration;
+        } else {
+            if (typeof meta.av1c !== 'undefined') {
+                Log.w(this.TAG, 'Found another AV1CodecConfigurationRecord!');
+            }
+        }
+
+        meta.av1c = new Uint8Array(dataSize);
+        meta.av1c.set(new Uint8Array(arrayBuffer, dataOffset, dataSize), 0);
+        meta.bitDepth = record.bit_depth;
+        meta.chromaFormatString = AV1Parser.getChromaFormatString(record.monochrome,
+                                                                  record.chroma_subsampling_x,
+                                                                  record.chroma_subsampling_y);
+        // codec string is not available until sequence header has been parsed
+        meta.codec = undefined;
+        Log.v(this.TAG, 'Parsed AV1CodecConfigurationRecord');
+
+        let obus = AV1Parser.splitOBUs(record.config_obus);
+        if (obus == null) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid configOBUs in AV1CodecConfigurationRecord');
+            return;
+        }
+
+        for (let i = 0; i < obus.length; i++) {
+            if (obus[i].type === AV1OBUTypes.SEQUENCE_HEADER) {
+                this._parseAV1SequenceHeader(obus[i].data.subarray(obus[i].headerSize));
+                return;
+            }
+        }
+
+        Log.v(this.TAG, 'AV1CodecConfigurationRecord has no sequence header, wait for in-band one');
+    }
+
+    _parseAV1SequenceHeader(payload) {
+        let meta = this._videoMetadata;
+        let config = AV1Parser.parseSequenceHeader(payload);
+
+        meta.codecWidth = meta.presentWidth = config.codec_size.width;
+        meta.codecHeight = meta.presentHeight = config.codec_size.height;
+
+        meta.profile = config.profile_string;
+        meta.level = config.level_string;
+        meta.sarRatio = {width: 1, height: 1};
+        meta.frameRate = config.frame_rate;
+
+        if (config.frame_rate.fixed === false ||
+            config.frame_rate.fps_num === 0 ||
+            config.frame_rate.fps_den === 0) {
+            meta.frameRate = this._referenceFrameRate;
+        }
+
+        let fps_den = meta.frameRate.fps_den;
+        let fps_num = meta.frameRate.fps_num;
+        meta.refSampleDuration = meta.timescale * (fps_den / fps_num);
+
+        let codecString = AV1Parser.getCodecString(config.seq_profile, config.seq_level_idx,
+                                                   config.seq_tier, meta.bitDepth);
+        meta.codec = codecString;
+
+        let mi = this._mediaInfo;
+        mi.width = meta.codecWidth;
+        mi.height = meta.codecHeight;
+        mi.fps = meta.frameRate.fps;
+        mi.profile = meta.profile;
+        mi.level = meta.level;
+        mi.refFrames = 8;  // NUM_REF_FRAMES
+        mi.chromaFormat = meta.chromaFormatString;
+        mi.sarNum = meta.sarRatio.width;
+        mi.sarDen = meta.sarRatio.height;
+        mi.videoCodec = codecString;
+
+        if (mi.hasAudio) {
+            if (mi.audioCodec != null) {
+                mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
+            }
+        } else {
+            mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + '"';
+        }
+        if (mi.isComplete()) {
+            this._onMediaInfo(mi);
+        }
+
+        Log.v(this.TAG, 'Parsed AV1 Sequence Header OBU');
+
+        if (this._isInitialMetadataDispatched()) {
+            // flush parsed frames
+            if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                this._onDataAvailable(this._audioTrack, this._videoTrack, true);
+            }
+        } else {
+            this._videoInitialMetadataDispatched = true;
+        }
+        // notify new metadata
+        this._dispatch = false;
+        this._onTrackMetadata('video', meta);
+    }
+
+    _parseAV1VideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition, frameType) {
+        let meta = this._videoMetadata;
+        let dts = this._timestampBase + tagTimestamp;
+        let keyframe = (frameType === 1);  // from FLV Frame Type constants
+
+        if (!meta || !meta.av1c) {
+            Log.w(this.TAG, `Flv: AV1 frame near timestamp ${dts} arrived before AV1CodecConfigurationRecord, dropped`);
+            return;
+        }
+
+        let obus = AV1Parser.splitOBUs(new Uint8Array(arrayBuffer, dataOffset, dataSize));
+        if (obus == null) {
+            Log.w(this.TAG, `Malformed OBUs near timestamp ${dts}`);
+            return;
+        }
+
+        let units = [], length = 0;
+
+        for (let i = 0; i < obus.length; i++) {
+            let obu = obus[i];
+
+            if (obu.type === AV1OBUTypes.SEQUENCE_HEADER && meta.codec == undefined) {
+                this._parseAV1SequenceHeader(obu.data.subarray(obu.headerSize));
+            }
+            if (obu.type === AV1OBUTypes.TEMPORAL_DELIMITER || obu.type === AV1OBUTypes.PADDING) {
+                // should not be present in ISOBMFF samples
+                continue;
+            }
+
+            units.push({type: obu.type, data: obu.data});
+            length += obu.data.byteLength;
+        }
+
+        if (meta.codec == undefined) {
+            Log.w(this.TAG, `Flv: AV1 frame near timestamp ${dts} arrived before Sequence Header, dropped`);
+            return;
+        }
+
+        if (units.length) {
+            let track = this._videoTrack;
+            let av1Sample = {
+                units: units,
+                length: length,
+                isKeyframe: keyframe,
+                dts: dts,
+                cts: 0,
+                pts: dts
+            };
+            if (keyframe) {
+                av1Sample.fileposition = tagPosition;
+            }
+            track.samples.push(av1Sample);
+            track.length += length;
+        }
+    }
+
+    _parseVP9CodecConfigurationRecord(arrayBuffer, dataOffset, dataSize) {
+        let record = VP9Parser.parseVPCodecConfigurationRecord(new Uint8Array(arrayBuffer, dataOffset, dataSize));
+        if (record == null) {
+            this._onError(DemuxErrors.FORMAT_ERROR, 'Flv: Invalid VPCodecConfigurationRecord');
+            return;
+        }
+
+        let meta = this._videoMetadata;
+        let track = this._videoTrack;
+
+        if (!meta) {
+            if (this._hasVideo === false && this._hasVideoFlagOverrided === false) {
+                this._hasVideo = true;
+                this._mediaInfo.hasVideo = true;
+            }
+
+            meta = this._videoMetadata = {};
+            meta.type = 'video';
+            meta.id = track.id;
+            meta.timescale = this._timescale;
+            meta.duration = this._duration;
+        } else {
+            if (typeof meta.vpcc !== 'undefined') {
+                Log.w(this.TAG, 'Found another VPCodecConfigurationRecord!');
+            }
+        }
+
+        // VPCodecConfigurationRecord without codecInitializationData, which must be empty for VP9
+        meta.vpcc = new Uint8Array([
+            record.profile,
+            record.level,
+            (record.bit_depth << 4) | (record.chroma_subsampling << 1) | record.video_full_range_flag,
+            record.colour_primaries,
+            record.transfer_characteristics,
+            record.matrix_coefficients,
+            0x00, 0x00
+        ]);
+        meta.codec = VP9Parser.getCodecString(record.profile, record.level, record.bit_depth);
+        meta.profile = `Profile ${record.profile}`;
+        meta.level = VP9Parser.getLevelString(record.level);
+        meta.bitDepth = record.bit_depth;
+        meta.chromaFormatString = VP9Parser.getChromaFormatString(record.chroma_subsampling);
+        meta.sarRatio = {width: 1, height: 1};
+        meta.frameRate = this._referenceFrameRate;
+
+        let fps_den = meta.frameRate.fps_den;
+        let fps_num = meta.frameRate.fps_num;
+        meta.refSampleDuration = meta.timescale * (fps_den / fps_num);
+
+        // frame size is not available until the next keyframe, track metadata is dispatched from there
+        meta.codecWidth = meta.codecHeight = undefined;
+        Log.v(this.TAG, 'Parsed VPCodecConfigurationRecord');
+    }
+
+    _parseVP9FrameSize(header) {
+        let meta = this._videoMetadata;
+
+        meta.codecWidth = header.codec_size.width;
+        meta.codecHeight = header.codec_size.height;
+        meta.presentWidth = header.present_size.width;
+        meta.presentHeight = header.present_size.height;
+
+        let mi = this._mediaInfo;
+        mi.width = meta.codecWidth;
+        mi.height = meta.codecHeight;
+        mi.fps = meta.frameRate.fps;
+        mi.profile = meta.profile;
+        mi.level = meta.level;
+        mi.refFrames = 8;  // NUM_REF_FRAMES
+        mi.chromaFormat = meta.chromaFormatString;
+        mi.sarNum = meta.sarRatio.width;
+        mi.sarDen = meta.sarRatio.height;
+        mi.videoCodec = meta.codec;
+
+        if (mi.hasAudio) {
+            if (mi.audioCodec != null) {
+                mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + ',' + mi.audioCodec + '"';
+            }
+        } else {
+            mi.mimeType = 'video/x-flv; codecs="' + mi.videoCodec + '"';
+        }
+        if (mi.isComplete()) {
+            this._onMediaInfo(mi);
+        }
+
+        Log.v(this.TAG, `Parsed VP9 keyframe header, frame size ${meta.codecWidth}x${meta.codecHeight}`);
+
+        if (this._isInitialMetadataDispatched()) {
+            // flush parsed frames
+            if (this._dispatch && (this._audioTrack.length || this._videoTrack.length)) {
+                this._onDataAvailable(this._audioTrack, this._videoTrack, true);
+            }
+        } else {
+            this._videoInitialMetadataDispatched = true;
+        }
+        // notify new metadata
+        this._dispatch = false;
+        this._onTrackMetadata('video', meta);
+    }
+
+    _parseVP9VideoData(arrayBuffer, dataOffset, dataSize, tagTimestamp, tagPosition) {
+        let meta = this._videoMetadata;
+        let dts = this._timestampBase + tagTimestamp;
+
+        if (!meta || !meta.vpcc) {
+            Log.w(this.TAG, `Flv: VP9 frame near timestamp ${dts} arrived before VPCodecConfigurationRecord, dropped`);
+            return;
+        }
+
+        if (dataSize === 0) {
+            return;
+        }
+
+        let data = new Uint8Array(arrayBuffer, dataOffset, dataSize);
+
+        // For a superframe, the first frame decides whether the sample is a random access point
+        let frameSizes = VP9Parser.parseSuperframeIndex(data);
+        let firstFrame = frameSizes ? data.subarray(0, frameSizes[0]) : data;
+
+        let header = VP9Parser.parseUncompressedHeader(firstFrame);
+        if (header == null) {
+            Log.w(this.TAG, `Malformed VP9 frame header near timestamp ${dts}`);
+            return;
+        }
+
+        let keyframe = header.is_keyframe;
+
+        if (keyframe && (header.codec_size.width !== meta.codecWidth ||
+                         header.codec_size.height !== meta.codecHeight)) {
+            this._parseVP9FrameSize(header);
+        }
+
+        if (meta.codecWidth == undefined) {
+            Log.w(this.TAG, `Flv: VP9 frame near timestamp ${dts} arrived before the first keyframe, dropped`);
+            return;
+        }
+
+        let track = this._videoTrack;
+        let vp9Sample = {
+            units: [{type: keyframe ? 1 : 0, data: data}],
+            length: dataSize,
+            isKeyframe: keyframe,
+            dts: dts,
+            cts: 0,
+            pts: dts
+        };
+        if (keyframe) {
+            vp9Sample.fileposition = tagPosition;
+        }
+        track.samples.push(vp9Sample);
+        track.length += dataSize;
+    }
+
 }
 
-export default FLVDemuxer;
\ No newline at end of file
+export default FLVDemuxer;
@@ -0,0 +1,68 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Decoder for ITU-T G.711 A-law / mu-law, output signed 16-bit little-endian PCM
+class G711Decoder {
+
+    static decode(codec, uint8array) {
+        let table = (codec === 'alaw') ? G711Decoder._getALawTable() : G711Decoder._getMuLawTable();
+        let output = new Uint8Array(uint8array.byteLength * 2);
+        let v = new DataView(output.buffer);
+
+        for (let i = 0; i < uint8array.byteLength; i++) {
+            v.setInt16(i * 2, table[uint8array[i]], true);
+        }
+
+        return output;
+    }
+
+    static _getALawTable() {
+        if (G711Decoder._alawTable == undefined) {
+            let table = new Int16Array(256);
+            for (let i = 0; i < 256; i++) {
+                let a = i ^ 0x55;
+                let t = (a & 0x0F) << 4;
+                let segment = (a & 0x70) >>> 4;
+                if (segment === 0) {
+                    t += 8;
+                } else {
+                    t = (t + 0x108) << (segment - 1);
+                }
+                table[i] = (a & 0x80) ? t : -t;
+            }
+            G711Decoder._alawTable = table;
+        }
+        return G711Decoder._alawTable;
+    }
+
+    static _getMuLawTable() {
+        if (G711Decoder._mulawTable == undefined) {
+            let table = new Int16Array(256);
+            for (let i = 0; i < 256; i++) {
+                let u = ~i & 0xFF;
+                let t = (((u & 0x0F) << 3) + 0x84) << ((u & 0x70) >>> 4);
+                table[i] = (u & 0x80) ? (0x84 - t) : (t - 0x84);
+            }
+            G711Decoder._mulawTable = table;
+        }
+        return G711Decoder._mulawTable;
+    }
+
+}
+
+export default G711Decoder;
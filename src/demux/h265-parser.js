@@ -0,0 +1,511 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import ExpGolomb from './exp-golomb.js';
+import SPSParser from './sps-parser.js';
+
+// Parameter set parser for H.265/HEVC (ITU-T H.265, section 7.3.2)
+class H265Parser {
+
+    static parseVPS(uint8array) {
+        let rbsp = SPSParser._ebsp2rbsp(uint8array);
+        let gb = new ExpGolomb(rbsp);
+
+        gb.readBits(16);  // nal_unit_header
+        gb.readBits(4);  // vps_video_parameter_set_id
+        gb.readBits(2);  // vps_base_layer_internal_flag & vps_base_layer_available_flag
+        gb.readBits(6);  // vps_max_layers_minus1
+        let max_sub_layers_minus1 = gb.readBits(3);
+        let temporal_id_nesting_flag = gb.readBool();
+
+        gb.destroy();
+        gb = null;
+
+        return {
+            num_temporal_layers: max_sub_layers_minus1 + 1,
+            temporal_id_nested: temporal_id_nesting_flag
+        };
+    }
+
+    static parseSPS(uint8array) {
+        let rbsp = SPSParser._ebsp2rbsp(uint8array);
+        let gb = new ExpGolomb(rbsp);
+
+        gb.readBits(16);  // nal_unit_header
+        gb.readBits(4);  // sps_video_parameter_set_id
+        let max_sub_layers_minus1 = gb.readBits(3);
+        gb.readBool();  // sps_temporal_id_nesting_flag
+
+        let ptl = H265Parser._parseProfileTierLevel(gb, max_sub_layers_minus1);
+
+        gb.readUEG();  // sps_seq_parameter_set_id
+
+        let chroma_format_idc = gb.readUEG();
+        if (chroma_format_idc === 3) {
+            gb.readBits(1);  // separate_colour_plane_flag
+        }
+
+        let pic_width_in_luma_samples = gb.readUEG();
+        let pic_height_in_luma_samples = gb.readUEG();
+
+        let conf_win_left_offset = 0;
+        let conf_win_right_offset = 0;
+        let conf_win_top_offset = 0;
+        let conf_win_bottom_offset = 0;
+
+        if (gb.readBool()) {  // conformance_window_flag
+            conf_win_left_offset = gb.readUEG();
+            conf_win_right_offset = gb.readUEG();
+            conf_win_top_offset = gb.readUEG();
+            conf_win_bottom_offset = gb.readUEG();
+        }
+
+        let bit_depth = gb.readUEG() + 8;  // bit_depth_luma_minus8
+        let bit_depth_chroma = gb.readUEG() + 8;  // bit_depth_chroma_minus8
+        let log2_max_pic_order_cnt_lsb = gb.readUEG() + 4;  // log2_max_pic_order_cnt_lsb_minus4
+
+        let ref_frames = 0;
+        let sub_layer_ordering_info_present_flag = gb.readBool();
+        let i = sub_layer_ordering_info_present_flag ? 0 : max_sub_layers_minus1;
+        for (; i <= max_sub_layers_minus1; i++) {
+            // keep the value of the highest sub-layer
+            ref_frames = gb.readUEG() + 1;  // sps_max_dec_pic_buffering_minus1
+            gb.readUEG();  // sps_max_num_reorder_pics
+            gb.readUEG();  // sps_max_latency_increase_plus1
+        }
+
+        gb.readUEG();  // log2_min_luma_coding_block_size_minus3
+        gb.readUEG();  // log2_diff_max_min_luma_coding_block_size
+        gb.readUEG();  // log2_min_luma_transform_block_size_minus2
+        gb.readUEG();  // log2_diff_max_min_luma_transform_block_size
+        gb.readUEG();  // max_transform_hierarchy_depth_inter
+        gb.readUEG();  // max_transform_hierarchy_depth_intra
+
+        if (gb.readBool()) {  // scaling_list_enabled_flag
+            if (gb.readBool()) {  // sps_scaling_list_data_present_flag
+                H265Parser._skipScalingListData(gb);
+            }
+        }
+
+        gb.readBool();  // amp_enabled_flag
+        gb.readBool();  // sample_adaptive_offset_enabled_flag
+
+        if (gb.readBool()) {  // pcm_enabled_flag
+            gb.readBits(4);  // pcm_sample_bit_depth_luma_minus1
+            gb.readBits(4);  // pcm_sample_bit_depth_chroma_minus1
+            gb.readUEG();  // log2_min_pcm_luma_coding_block_size_minus3
+            gb.readUEG();  // log2_diff_max_min_pcm_luma_coding_block_size
+            gb.readBool();  // pcm_loop_filter_disabled_flag
+        }
+
+        let num_short_term_ref_pic_sets = gb.readUEG();
+        let num_delta_pocs = [];
+        for (let j = 0; j < num_short_term_ref_pic_sets; j++) {
+            num_delta_pocs[j] = H265Parser._skipShortTermRefPicSet(gb, j, num_delta_pocs);
+        }
+
+        if (gb.readBool()) {  // long_term_ref_pics_present_flag
+            let num_long_term_ref_pics_sps = gb.readUEG();
+            for (let j = 0; j < num_long_term_ref_pics_sps; j++) {
+                gb.readBits(log2_max_pic_order_cnt_lsb);  // lt_ref_pic_poc_lsb_sps
+                gb.readBool();  // used_by_curr_pic_lt_sps_flag
+            }
+        }
+
+        gb.readBool();  // sps_temporal_mvp_enabled_flag
+        gb.readBool();  // strong_intra_smoothing_enabled_flag
+
+        let sar_width = 1, sar_height = 1;
+        let fps = 0, fps_fixed = true, fps_num = 0, fps_den = 0;
+        let min_spatial_segmentation_idc = 0;
+
+        if (gb.readBool()) {  // vui_parameters_present_flag
+            if (gb.readBool()) {  // aspect_ratio_info_present_flag
+                let aspect_ratio_idc = gb.readByte();
+                let sar_w_table = [1, 12, 10, 16, 40, 24, 20, 32, 80, 18, 15, 64, 160, 4, 3, 2];
+                let sar_h_table = [1, 11, 11, 11, 33, 11, 11, 11, 33, 11, 11, 33,  99, 3, 2, 1];
+
+                if (aspect_ratio_idc > 0 && aspect_ratio_idc < 17) {
+                    sar_width = sar_w_table[aspect_ratio_idc - 1];
+                    sar_height = sar_h_table[aspect_ratio_idc - 1];
+                } else if (aspect_ratio_idc === 255) {
+                    sar_width = gb.readBits(16);
+                    sar_height = gb.readBits(16);
+                }
+            }
+
+            if (gb.readBool()) {  // overscan_info_present_flag
+                gb.readBool();  // overscan_appropriate_flag
+            }
+            if (gb.readBool()) {  // video_signal_type_present_flag
+                gb.readBits(4);  // video_format & video_full_range_flag
+                if (gb.readBool()) {  // colour_description_present_flag
+                    gb.readBits(24);  // colour_primaries & transfer_characteristics & matrix_coeffs
+                }
+            }
+            if (gb.readBool()) {  // chroma_loc_info_present_flag
+                gb.readUEG();  // chroma_sample_loc_type_top_field
+                gb.readUEG();  // chroma_sample_loc_type_bottom_field
+            }
+
+            gb.readBool();  // neutral_chroma_indication_flag
+            gb.readBool();  // field_seq_flag
+            gb.readBool();  // frame_field_info_present_flag
+
+            if (gb.readBool()) {  // default_display_window_flag
+                gb.readUEG();  // def_disp_win_left_offset
+                gb.readUEG();  // def_disp_win_right_offset
+                gb.readUEG();  // def_disp_win_top_offset
+                gb.readUEG();  // def_disp_win_bottom_offset
+            }
+
+            if (gb.readBool()) {  // vui_timing_info_present_flag
+                let num_units_in_tick = gb.readBits(32);
+                let time_scale = gb.readBits(32);
+
+                fps_num = time_scale;
+                fps_den = num_units_in_tick;
+                fps = fps_num / fps_den;
+
+                if (gb.readBool()) {  // vui_poc_proportional_to_timing_flag
+                    gb.readUEG();  // vui_num_ticks_poc_diff_one_minus1
+                }
+                if (gb.readBool()) {  // vui_hrd_parameters_present_flag
+                    fps_fixed = H265Parser._skipHRDParameters(gb, true, max_sub_layers_minus1);
+                }
+            }
+
+            if (gb.readBool()) {  // bitstream_restriction_flag
+                gb.readBool();  // tiles_fixed_structure_flag
+                gb.readBool();  // motion_vectors_over_pic_boundaries_flag
+                gb.readBool();  // restricted_ref_pic_lists_flag
+                min_spatial_segmentation_idc = gb.readUEG();
+                gb.readUEG();  // max_bytes_per_pic_denom
+                gb.readUEG();  // max_bits_per_min_cu_denom
+                gb.readUEG();  // log2_max_mv_length_horizontal
+                gb.readUEG();  // log2_max_mv_length_vertical
+            }
+        }
+
+        let sarScale = 1;
+        if (sar_width !== 1 || sar_height !== 1) {
+            sarScale = sar_width / sar_height;
+        }
+
+        let sub_wc = (chroma_format_idc === 1 || chroma_format_idc === 2) ? 2 : 1;
+        let sub_hc = (chroma_format_idc === 1) ? 2 : 1;
+
+        let codec_width = pic_width_in_luma_samples - (conf_win_left_offset + conf_win_right_offset) * sub_wc;
+        let codec_height = pic_height_in_luma_samples - (conf_win_top_offset + conf_win_bottom_offset) * sub_hc;
+
+        let present_width = Math.ceil(codec_width * sarScale);
+
+        gb.destroy();
+        gb = null;
+
+        return {
+            general_profile_space: ptl.general_profile_space,
+            general_tier_flag: ptl.general_tier_flag,
+            general_profile_idc: ptl.general_profile_idc,
+            general_level_idc: ptl.general_level_idc,
+
+            profile_string: H265Parser.getProfileString(ptl.general_profile_idc),  // Main, Main10, ...
+            level_string: H265Parser.getLevelString(ptl.general_level_idc),  // 3.1, 4, 5.1, ...
+            bit_depth: bit_depth,  // 8bit, 10bit, ...
+            bit_depth_chroma: bit_depth_chroma,
+            ref_frames: ref_frames,
+            chroma_format: [0, 420, 422, 444][chroma_format_idc],  // 4:2:0, 4:2:2, ...
+            chroma_format_string: H265Parser.getChromaFormatString(chroma_format_idc),
+            min_spatial_segmentation_idc: min_spatial_segmentation_idc,
+
+            frame_rate: {
+                fixed: fps_fixed,
+                fps: fps,
+                fps_den: fps_den,
+                fps_num: fps_num
+            },
+
+            sar_ratio: {
+                width: sar_width,
+                height: sar_height
+            },
+
+            codec_size: {
+                width: codec_width,
+                height: codec_height
+            },
+
+            present_size: {
+                width: present_width,
+                height: codec_height
+            }
+        };
+    }
+
+    static parsePPS(uint8array) {
+        let rbsp = SPSParser._ebsp2rbsp(uint8array);
+        let gb = new ExpGolomb(rbsp);
+
+        gb.readBits(16);  // nal_unit_header
+        gb.readUEG();  // pps_pic_parameter_set_id
+        gb.readUEG();  // pps_seq_parameter_set_id
+        gb.readBool();  // dependent_slice_segments_enabled_flag
+        gb.readBool();  // output_flag_present_flag
+        gb.readBits(3);  // num_extra_slice_header_bits
+        gb.readBool();  // sign_data_hiding_enabled_flag
+        gb.readBool();  // cabac_init_present_flag
+        gb.readUEG();  // num_ref_idx_l0_default_active_minus1
+        gb.readUEG();  // num_ref_idx_l1_default_active_minus1
+        gb.readSEG();  // init_qp_minus26
+        gb.readBool();  // constrained_intra_pred_flag
+        gb.readBool();  // transform_skip_enabled_flag
+        if (gb.readBool()) {  // cu_qp_delta_enabled_flag
+            gb.readUEG();  // diff_cu_qp_delta_depth
+        }
+        gb.readSEG();  // pps_cb_qp_offset
+        gb.readSEG();  // pps_cr_qp_offset
+        gb.readBool();  // pps_slice_chroma_qp_offsets_present_flag
+        gb.readBool();  // weighted_pred_flag
+        gb.readBool();  // weighted_bipred_flag
+        gb.readBool();  // transquant_bypass_enabled_flag
+        let tiles_enabled_flag = gb.readBool();
+        let entropy_coding_sync_enabled_flag = gb.readBool();
+
+        // parallelismType defined in HEVCDecoderConfigurationRecord
+        let parallelism_type = 1;  // slice-based
+        if (tiles_enabled_flag && entropy_coding_sync_enabled_flag) {
+            parallelism_type = 0;  // mixed
+        } else if (entropy_coding_sync_enabled_flag) {
+            parallelism_type = 3;  // wavefront-based
+        } else if (tiles_enabled_flag) {
+            parallelism_type = 2;  // tile-based
+        }
+
+        gb.destroy();
+        gb = null;
+
+        return {
+            parallelism_type: parallelism_type
+        };
+    }
+
+    static _parseProfileTierLevel(gb, max_sub_layers_minus1) {
+        let general_profile_space = gb.readBits(2);
+        let general_tier_flag = gb.readBits(1);
+        let general_profile_idc = gb.readBits(5);
+        gb.readBits(32);  // general_profile_compatibility_flags
+        gb.readBits(24);  // general_constraint_indicator_flags: 48 bits
+        gb.readBits(24);
+        let general_level_idc = gb.readByte();
+
+        let sub_layer_profile_present_flag = [];
+        let sub_layer_level_present_flag = [];
+        for (let i = 0; i < max_sub_layers_minus1; i++) {
+            sub_layer_profile_present_flag.push(gb.readBool());
+            sub_layer_level_present_flag.push(gb.readBool());
+        }
+        if (max_sub_layers_minus1 > 0) {
+            for (let i = max_sub_layers_minus1; i < 8; i++) {
+                gb.readBits(2);  // reserved_zero_2bits
+            }
+        }
+        for (let i = 0; i < max_sub_layers_minus1; i++) {
+            if (sub_layer_profile_present_flag[i]) {
+                gb.readBits(32);  // sub_layer profile_space/tier/profile_idc/compatibility_flags: 88 bits
+                gb.readBits(32);
+                gb.readBits(24);
+            }
+            if (sub_layer_level_present_flag[i]) {
+                gb.readByte();  // sub_layer_level_idc
+            }
+        }
+
+        return {
+            general_profile_space: general_profile_space,
+            general_tier_flag: general_tier_flag,
+            general_profile_idc: general_profile_idc,
+            general_level_idc: general_level_idc
+        };
+    }
+
+    static _skipScalingListData(gb) {
+        for (let sizeId = 0; sizeId < 4; sizeId++) {
+            for (let matrixId = 0; matrixId < 6; matrixId += (sizeId === 3) ? 3 : 1) {
+                if (!gb.readBool()) {  // scaling_list_pred_mode_flag
+                    gb.readUEG();  // scaling_list_pred_matrix_id_delta
+                } else {
+                    let coef_num = Math.min(64, 1 << (4 + (sizeId << 1)));
+                    if (sizeId > 1) {
+                        gb.readSEG();  // scaling_list_dc_coef_minus8
+                    }
+                    for (let i = 0; i < coef_num; i++) {
+                        gb.readSEG();  // scaling_list_delta_coef
+                    }
+                }
+            }
+        }
+    }
+
+    // Returns NumDeltaPocs of this st_ref_pic_set, which is required by the following sets
+    static _skipShortTermRefPicSet(gb, idx, num_delta_pocs) {
+        let inter_ref_pic_set_prediction_flag = false;
+        if (idx !== 0) {
+            inter_ref_pic_set_prediction_flag = gb.readBool();
+        }
+
+        if (inter_ref_pic_set_prediction_flag) {
+            gb.readBool();  // delta_rps_sign
+            gb.readUEG();  // abs_delta_rps_minus1
+
+            // delta_idx_minus1 only exists in slice headers, so RefRpsIdx is always idx - 1 here
+            let ref_num_delta_pocs = num_delta_pocs[idx - 1];
+            let count = 0;
+            for (let j = 0; j <= ref_num_delta_pocs; j++) {
+                let used_by_curr_pic_flag = gb.readBool();
+                let use_delta_flag = true;
+                if (!used_by_curr_pic_flag) {
+                    use_delta_flag = gb.readBool();
+                }
+                if (used_by_curr_pic_flag || use_delta_flag) {
+                    count++;
+                }
+            }
+            return count;
+        }
+
+        let num_negative_pics = gb.readUEG();
+        let num_positive_pics = gb.readUEG();
+        for (let j = 0; j < num_negative_pics; j++) {
+            gb.readUEG();  // delta_poc_s0_minus1
+            gb.readBool();  // used_by_curr_pic_s0_flag
+        }
+        for (let j = 0; j < num_positive_pics; j++) {
+            gb.readUEG();  // delta_poc_s1_minus1
+            gb.readBool();  // used_by_curr_pic_s1_flag
+        }
+        return num_negative_pics + num_positive_pics;
+    }
+
+    // Returns whether the picture rate is fixed for the highest sub-layer
+    static _skipHRDParameters(gb, common_inf_present_flag, max_sub_layers_minus1) {
+        let nal_hrd_parameters_present_flag = false;
+        let vcl_hrd_parameters_present_flag = false;
+        let sub_pic_hrd_params_present_flag = false;
+        let fixed_pic_rate = true;
+
+        if (common_inf_present_flag) {
+            nal_hrd_parameters_present_flag = gb.readBool();
+            vcl_hrd_parameters_present_flag = gb.readBool();
+            if (nal_hrd_parameters_present_flag || vcl_hrd_parameters_present_flag) {
+                sub_pic_hrd_params_present_flag = gb.readBool();
+                if (sub_pic_hrd_params_present_flag) {
+                    gb.readByte();  // tick_divisor_minus2
+                    gb.readBits(5);  // du_cpb_removal_delay_increment_length_minus1
+                    gb.readBool();  // sub_pic_cpb_params_in_pic_timing_sei_flag
+                    gb.readBits(5);  // dpb_output_delay_du_length_minus1
+                }
+                gb.readBits(4);  // bit_rate_scale
+                gb.readBits(4);  // cpb_size_scale
+                if (sub_pic_hrd_params_present_flag) {
+                    gb.readBits(4);  // cpb_size_du_scale
+                }
+                gb.readBits(5);  // initial_cpb_removal_delay_length_minus1
+                gb.readBits(5);  // au_cpb_removal_delay_length_minus1
+                gb.readBits(5);  // dpb_output_delay_length_minus1
+            }
+        }
+
+        for (let i = 0; i <= max_sub_layers_minus1; i++) {
+            let fixed_pic_rate_general_flag = gb.readBool();
+            let fixed_pic_rate_within_cvs_flag = true;
+            let low_delay_hrd_flag = false;
+            let cpb_cnt_minus1 = 0;
+
+            if (!fixed_pic_rate_general_flag) {
+                fixed_pic_rate_within_cvs_flag = gb.readBool();
+            }
+            if (fixed_pic_rate_within_cvs_flag) {
+                gb.readUEG();  // elemental_duration_in_tc_minus1
+            } else {
+                low_delay_hrd_flag = gb.readBool();
+            }
+            if (!low_delay_hrd_flag) {
+                cpb_cnt_minus1 = gb.readUEG();
+            }
+
+            let sub_layer_count = (nal_hrd_parameters_present_flag ? 1 : 0) +
+                                  (vcl_hrd_parameters_present_flag ? 1 : 0);
+            for (let k = 0; k < sub_layer_count; k++) {
+                for (let j = 0; j <= cpb_cnt_minus1; j++) {
+                    gb.readUEG();  // bit_rate_value_minus1
+                    gb.readUEG();  // cpb_size_value_minus1
+                    if (sub_pic_hrd_params_present_flag) {
+                        gb.readUEG();  // cpb_size_du_value_minus1
+                        gb.readUEG();  // bit_rate_du_value_minus1
+                    }
+                    gb.readBool();  // cbr_flag
+                }
+            }
+
+            fixed_pic_rate = fixed_pic_rate_within_cvs_flag;
+        }
+
+        return fixed_pic_rate;
+    }
+
+    static getProfileString(profile_idc) {
+        switch (profile_idc) {
+            case 1:
+                return 'Main';
+            case 2:
+                return 'Main10';
+            case 3:
+                return 'MainStillPicture';
+            case 4:
+                return 'RExt';
+            case 5:
+                return 'HighThroughput';
+            case 9:
+                return 'SCC';
+            default:
+                return 'Unknown';
+        }
+    }
+
+    static getLevelString(level_idc) {
+        return (level_idc / 30).toFixed(1);
+    }
+
+    static getChromaFormatString(chroma_format_idc) {
+        switch (chroma_format_idc) {
+            case 0:
+                return '4:0:0';
+            case 1:
+                return '4:2:0';
+            case 2:
+                return '4:2:2';
+            case 3:
+                return '4:4:4';
+            default:
+                return 'Unknown';
+        }
+    }
+
+}
+
+export default H265Parser;
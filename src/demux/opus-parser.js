@@ -0,0 +1,97 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Parser for Opus identification header (OpusHead, RFC 7845) and packet TOC (RFC 6716)
+class OpusParser {
+
+    static parseOpusHead(uint8array) {
+        if (uint8array.byteLength < 19) {
+            return null;
+        }
+
+        let magic = String.fromCharCode.apply(null, uint8array.subarray(0, 8));
+        if (magic !== 'OpusHead') {
+            return null;
+        }
+
+        let v = new DataView(uint8array.buffer, uint8array.byteOffset, uint8array.byteLength);
+        let channel_count = v.getUint8(9);
+        let channel_mapping_family = v.getUint8(18);
+
+        let result = {
+            version: v.getUint8(8),
+            channel_count: channel_count,
+            pre_skip: v.getUint16(10, true),  // fields in OpusHead are little-endian
+            input_sample_rate: v.getUint32(12, true),
+            output_gain: v.getInt16(16, true),
+            channel_mapping_family: channel_mapping_family
+        };
+
+        if (channel_mapping_family !== 0) {
+            if (uint8array.byteLength < 21 + channel_count) {
+                return null;
+            }
+            result.stream_count = v.getUint8(19);
+            result.coupled_count = v.getUint8(20);
+            result.channel_mapping = uint8array.slice(21, 21 + channel_count);
+        }
+
+        return result;
+    }
+
+    // Returns packet duration in milliseconds, or 0 if malformed
+    static getPacketDuration(uint8array) {
+        if (uint8array.byteLength < 1) {
+            return 0;
+        }
+
+        let toc = uint8array[0];
+        let config = toc >>> 3;
+        let frameDuration = 0;
+
+        if (config < 12) {  // SILK-only
+            frameDuration = [10, 20, 40, 60][config & 0x03];
+        } else if (config < 16) {  // Hybrid
+            frameDuration = (config & 0x01) ? 20 : 10;
+        } else {  // CELT-only
+            frameDuration = [2.5, 5, 10, 20][config & 0x03];
+        }
+
+        let frameCount = 0;
+        switch (toc & 0x03) {
+            case 0:
+                frameCount = 1;
+                break;
+            case 1:
+            case 2:
+                frameCount = 2;
+                break;
+            case 3:
+                if (uint8array.byteLength < 2) {
+                    return 0;
+                }
+                frameCount = uint8array[1] & 0x3F;
+                break;
+        }
+
+        return frameDuration * frameCount;
+    }
+
+}
+
+export default OpusParser;
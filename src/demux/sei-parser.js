@@ -0,0 +1,126 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import SPSParser from './sps-parser.js';
+
+// Parser for Supplemental Enhancement Information messages, ITU-T H.264 section 7.3.2.3
+class SEIParser {
+
+    // Input: SEI NAL unit without length prefix, including the 1-byte NAL header
+    // Returns array of {type, uuid, data}, uuid is only present for user_data_unregistered
+    static parseSEI(uint8array) {
+        let rbsp = SPSParser._ebsp2rbsp(uint8array.subarray(1));
+        let size = rbsp.byteLength;
+        let offset = 0;
+        let messages = [];
+
+        // more_rbsp_data(): stop at rbsp_trailing_bits
+        while (offset < size && !(offset === size - 1 && rbsp[offset] === 0x80)) {
+            let payloadType = 0;
+            while (offset < size && rbsp[offset] === 0xFF) {
+                payloadType += 255;
+                offset++;
+            }
+            if (offset >= size) {
+                break;
+            }
+            payloadType += rbsp[offset++];
+
+            let payloadSize = 0;
+            while (offset < size && rbsp[offset] === 0xFF) {
+                payloadSize += 255;
+                offset++;
+            }
+            if (offset >= size) {
+                break;
+            }
+            payloadSize += rbsp[offset++];
+
+            if (offset + payloadSize > size) {
+                break;  // truncated sei_message
+            }
+
+            let payload = rbsp.subarray(offset, offset + payloadSize);
+            offset += payloadSize;
+
+            let message = {
+                type: payloadType,
+                uuid: null,
+                data: null
+            };
+
+            if (payloadType === 5) {  // user_data_unregistered
+                if (payloadSize < 16) {
+                    continue;
+                }
+                message.uuid = SEIParser._formatUUID(payload.subarray(0, 16));
+                message.data = payload.slice(16);
+            } else {
+                message.data = payload.slice(0);
+            }
+            messages.push(message);
+        }
+
+        return messages;
+    }
+
+    // Extract cc_data() of ATSC A/53 from user_data_registered_itu_t_t35 payload,
+    // returns valid cc_data_pkt triplets (cc_type, cc_data_1, cc_data_2), or null
+    static parseCCData(payload) {
+        if (payload.byteLength < 10 ||
+                payload[0] !== 0xB5 ||  // itu_t_t35_country_code: United States
+                payload[1] !== 0x00 || payload[2] !== 0x31 ||  // itu_t_t35_provider_code: ATSC
+                payload[3] !== 0x47 || payload[4] !== 0x41 ||  // user_identifier: 'GA94'
+                payload[5] !== 0x39 || payload[6] !== 0x34 ||
+                payload[7] !== 0x03) {  // user_data_type_code: cc_data
+            return null;
+        }
+
+        let flags = payload[8];
+        if ((flags & 0x40) === 0) {  // process_cc_data_flag
+            return null;
+        }
+
+        let ccCount = flags & 0x1F;
+        let offset = 10;  // skip em_data
+        let triplets = [];
+
+        for (let i = 0; i < ccCount && offset + 3 <= payload.byteLength; i++, offset += 3) {
+            if (payload[offset] & 0x04) {  // cc_valid
+                triplets.push(payload[offset] & 0x03, payload[offset + 1], payload[offset + 2]);
+            }
+        }
+
+        return triplets.length > 0 ? new Uint8Array(triplets) : null;
+    }
+
+    // uuid_iso_iec_11578 in 8-4-4-4-12 form
+    static _formatUUID(uint8array) {
+        let hex = '';
+        for (let i = 0; i < 16; i++) {
+            hex += (uint8array[i] < 16 ? '0' : '') + uint8array[i].toString(16);
+            if (i === 3 || i === 5 || i === 7 || i === 9) {
+                hex += '-';
+            }
+        }
+        return hex;
+    }
+
+}
+
+export default SEIParser;
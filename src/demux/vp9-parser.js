@@ -0,0 +1,200 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import ExpGolomb from './exp-golomb.js';
+
+// Parser for VPCodecConfigurationRecord and VP9 uncompressed frame header
+class VP9Parser {
+
+    static parseVPCodecConfigurationRecord(uint8array) {
+        let data = uint8array;
+
+        // Some muxers keep the FullBox header (version 1 + flags) of vpcC box,
+        // which could be recognized by an impossible zero bitDepth
+        if (data.byteLength >= 12 && data[0] === 1 && (data[2] >>> 4) === 0) {
+            data = data.subarray(4);
+        }
+
+        if (data.byteLength < 8) {
+            return null;
+        }
+
+        let bit_depth = data[2] >>> 4;
+        if (bit_depth !== 8 && bit_depth !== 10 && bit_depth !== 12) {
+            return null;
+        }
+
+        return {
+            profile: data[0],
+            level: data[1],
+            bit_depth: bit_depth,
+            chroma_subsampling: (data[2] >>> 1) & 0x07,
+            video_full_range_flag: data[2] & 0x01,
+            colour_primaries: data[3],
+            transfer_characteristics: data[4],
+            matrix_coefficients: data[5]
+        };
+    }
+
+    // Returns sizes of frames inside a superframe (Annex B), or null for a single frame
+    static parseSuperframeIndex(uint8array) {
+        let size = uint8array.byteLength;
+        let marker = uint8array[size - 1];
+
+        if ((marker & 0xE0) !== 0xC0) {
+            return null;
+        }
+
+        let frames = (marker & 0x07) + 1;
+        let bytesPerFrameSize = ((marker >>> 3) & 0x03) + 1;
+        let indexSize = 2 + bytesPerFrameSize * frames;
+
+        if (size < indexSize || uint8array[size - indexSize] !== marker) {
+            return null;
+        }
+
+        let sizes = [];
+        let offset = size - indexSize + 1;
+        for (let i = 0; i < frames; i++) {
+            let frameSize = 0;
+            for (let j = 0; j < bytesPerFrameSize; j++) {
+                frameSize |= uint8array[offset + j] << (j * 8);  // little-endian
+            }
+            sizes.push(frameSize);
+            offset += bytesPerFrameSize;
+        }
+
+        return sizes;
+    }
+
+    // Parse the beginning of uncompressed_header(), section 6.2
+    static parseUncompressedHeader(uint8array) {
+        let gb = new ExpGolomb(uint8array);
+
+        let frame_marker = gb.readBits(2);
+        if (frame_marker !== 2) {
+            gb.destroy();
+            return null;
+        }
+
+        let profile_low_bit = gb.readBits(1);
+        let profile_high_bit = gb.readBits(1);
+        let profile = (profile_high_bit << 1) + profile_low_bit;
+        if (profile === 3) {
+            gb.readBits(1);  // reserved_zero
+        }
+
+        let result = {
+            profile: profile,
+            show_existing_frame: gb.readBool(),
+            is_keyframe: false
+        };
+
+        if (result.show_existing_frame) {
+            gb.destroy();
+            return result;
+        }
+
+        let frame_type = gb.readBits(1);
+        result.show_frame = gb.readBool();
+        gb.readBits(1);  // error_resilient_mode
+
+        if (frame_type !== 0) {  // non KEY_FRAME
+            gb.destroy();
+            return result;
+        }
+
+        if (gb.readBits(24) !== 0x498342) {  // frame_sync_code
+            gb.destroy();
+            return null;
+        }
+
+        // color_config()
+        let bit_depth = 8;
+        if (profile >= 2) {
+            bit_depth = gb.readBool() ? 12 : 10;  // ten_or_twelve_bit
+        }
+        let color_space = gb.readBits(3);
+        let color_range = 1;
+        let subsampling_x = 1, subsampling_y = 1;
+        if (color_space !== 7) {  // CS_RGB
+            color_range = gb.readBits(1);
+            if (profile === 1 || profile === 3) {
+                subsampling_x = gb.readBits(1);
+                subsampling_y = gb.readBits(1);
+                gb.readBits(1);  // reserved_zero
+            }
+        } else {
+            if (profile === 1 || profile === 3) {
+                subsampling_x = subsampling_y = 0;
+                gb.readBits(1);  // reserved_zero
+            }
+        }
+
+        // frame_size()
+        let width = gb.readBits(16) + 1;  // frame_width_minus_1
+        let height = gb.readBits(16) + 1;  // frame_height_minus_1
+
+        // render_size()
+        let render_width = width, render_height = height;
+        if (gb.readBool()) {  // render_and_frame_size_different
+            render_width = gb.readBits(16) + 1;
+            render_height = gb.readBits(16) + 1;
+        }
+
+        gb.destroy();
+        gb = null;
+
+        result.is_keyframe = true;
+        result.bit_depth = bit_depth;
+        result.color_space = color_space;
+        result.color_range = color_range;
+        result.subsampling_x = subsampling_x;
+        result.subsampling_y = subsampling_y;
+        result.codec_size = {width: width, height: height};
+        result.present_size = {width: render_width, height: render_height};
+        return result;
+    }
+
+    // Codec string defined in VP Codec ISO Media File Format Binding, e.g. 'vp09.00.10.08'
+    static getCodecString(profile, level, bit_depth) {
+        let pad = (value) => (value < 10 ? '0' + value : String(value));
+        return `vp09.${pad(profile)}.${pad(level)}.${pad(bit_depth)}`;
+    }
+
+    static getLevelString(level) {
+        return (level / 10).toFixed(1);
+    }
+
+    static getChromaFormatString(chroma_subsampling) {
+        switch (chroma_subsampling) {
+            case 0:
+            case 1:
+                return '4:2:0';
+            case 2:
+                return '4:2:2';
+            case 3:
+                return '4:4:4';
+            default:
+                return 'Unknown';
+        }
+    }
+
+}
+
+export default VP9Parser;
@@ -64,6 +64,7 @@ class FetchStreamLoader extends BaseLoader {
         this._requestAbort = false;//请求终止标志位，初始化为 false
         this._contentLength = null;//内容长度，初始化为 null
         this._receivedLength = 0;//已接收长度，初始化为 0
+        this._abortController = null;//用于真正取消 fetch 请求，不支持 AbortController 时为 null
     }
     /**
      * 销毁实例 如果实例处于工作中，终止加载 执行基类的 destroy 方法
@@ -112,10 +113,11 @@ class FetchStreamLoader extends BaseLoader {
             referrerPolicy: 'no-referrer-when-downgrade'
         };
 
-        // add additional headers
-        if (typeof this._config.headers === 'object') {
-            for (let key in this._config.headers) {
-                headers.append(key, this._config.headers[key]);
+        // add additional headers, dataSource.headers (from requestInterceptor) takes place of config.headers
+        let extraHeaders = dataSource.headers || this._config.headers;
+        if (typeof extraHeaders === 'object') {
+            for (let key in extraHeaders) {
+                headers.append(key, extraHeaders[key]);
             }
         }
 
@@ -134,14 +136,26 @@ class FetchStreamLoader extends BaseLoader {
         if (dataSource.referrerPolicy) {
             params.referrerPolicy = dataSource.referrerPolicy;
         }
+        // AbortController cancels the request actually, instead of only ignoring its result
+        if (self.AbortController) {
+            this._abortController = new self.AbortController();
+            params.signal = this._abortController.signal;
+        }
         //  设置实例的状态为连接中
         this._status = LoaderStatus.kConnecting;
+        this._startConnectTimer();
         // fetch请求
         self.fetch(seekConfig.url, params).then((res) => {
             // 如果实例的请求终止标志位为 true,恢复初始重置，退出
             if (this._requestAbort) {
                 this._requestAbort = false;
-                this._status = LoaderStatus.kIdle;
+                if (this._status !== LoaderStatus.kError) {  // not aborted by stall timeout
+                    this._status = LoaderStatus.kIdle;
+                }
+                // Aborted while connecting, cancel the response body to close connection
+                if (res.body) {
+                    res.body.cancel().catch(() => {});
+                }
                 return;
             }
             // 如果响应数据接收成功且状态码为 2xx
@@ -164,9 +178,11 @@ class FetchStreamLoader extends BaseLoader {
                     }
                 }
                 // 关键操作 抽取数据
+                this._startFirstByteTimer();
                 return this._pump.call(this, res.body.getReader());
             } else {
                 // 改为错误状态
+                this._clearStallTimer();
                 this._status = LoaderStatus.kError;
                 if (this._onError) {
                     // 如果实例存在出错事件处理函数，执行之，传入 HTTP 状态码错误和错误数据
@@ -176,7 +192,13 @@ class FetchStreamLoader extends BaseLoader {
                 }
             }
         }).catch((e) => {
+            // 请求已被终止（如 AbortController 取消或超时），不再报错
+            if (this._requestAbort) {
+                this._requestAbort = false;
+                return;
+            }
             // 若捕捉到错误
+            this._clearStallTimer();
             this._status = LoaderStatus.kError;
             if (this._onError) {
                 this._onError(LoaderErrors.EXCEPTION, {code: -1, msg: e.message});
@@ -186,10 +208,15 @@ class FetchStreamLoader extends BaseLoader {
         });
     }
     /**
-     * 终止加载器：设置当前实例的请求终止标志位为 true
+     * 终止加载器：设置当前实例的请求终止标志位为 true，并通过 AbortController 取消请求
      */
     abort() {
         this._requestAbort = true;
+        this._clearStallTimer();
+        if (this._abortController) {
+            this._abortController.abort();
+            this._abortController = null;
+        }
     }
     /**
      * 抽取数据 传入 reader 参数，返回一个 Promise，为 reader 调用 read() 后的 result
@@ -197,8 +224,17 @@ class FetchStreamLoader extends BaseLoader {
      */
     _pump(reader) {  // ReadableStreamReader
         return reader.read().then((result) => {
+            // 如果实例的请求终止标志位为 true，包括超时后迟到的结果
+            if (this._requestAbort === true) {
+                this._requestAbort = false;
+                // 设置实例的状态为完成
+                this._status = LoaderStatus.kComplete;
+                // 返回 reader.cancel()
+                return result.done ? undefined : reader.cancel();
+            }
             //result.done reader带有的属性，为true则数据传输完毕
             if (result.done) {
+                this._clearStallTimer();
                 // First check received length
                 // 如果头里面的content大小存在，并且已接收的长度小于content大小，说明数据没传完就结束了
                 if (this._contentLength !== null && this._receivedLength < this._contentLength) {
@@ -222,16 +258,9 @@ class FetchStreamLoader extends BaseLoader {
                 }
             // 否则没有传输结束 递归调用该函数 直到result.done==true
             } else {
-                // 如果实例的请求终止标志位为 true
-                if (this._requestAbort === true) {
-                    this._requestAbort = false;
-                    // 设置实例的状态为完成
-                    this._status = LoaderStatus.kComplete;
-                    // 返回 reader.cancel()
-                    return reader.cancel();
-                }
                 // 没有终止就设置状态为 正在缓冲中
                 this._status = LoaderStatus.kBuffering;
+                this._startIdleTimer();
 
                 // 给实例的接收长度加上 result.value.buffer 的字节长度
                 let chunk = result.value.buffer;
@@ -247,6 +276,14 @@ class FetchStreamLoader extends BaseLoader {
                 this._pump(reader);
             }
         }).catch((e) => {
+            // 请求已被终止，pending 的 read() 被 AbortController 取消，不再报错
+            if (this._requestAbort) {
+                this._requestAbort = false;
+                if (this._status !== LoaderStatus.kError) {  // not aborted by stall timeout
+                    this._status = LoaderStatus.kComplete;
+                }
+                return;
+            }
             // 捕获错误
             if (e.code === 11 && Browser.msedge) {  // InvalidStateError on Microsoft Edge
                 // Workaround: Edge may throw InvalidStateError after ReadableStreamReader.cancel() call
@@ -255,6 +292,7 @@ class FetchStreamLoader extends BaseLoader {
                 return;
             }
 
+            this._clearStallTimer();
             this._status = LoaderStatus.kError;
             let type = 0;
             let info = null;
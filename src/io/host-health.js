@@ -0,0 +1,57 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * 主机健康记录，在所有 IOController 实例间共享，用于选择镜像
+ */
+// Per-host failure record shared by all IOControllers, for choosing mirror of alternate URLs
+class HostHealth {
+
+    static getHost(url) {
+        let match = /^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/i.exec(url);
+        if (match) {
+            return match[1].toLowerCase();
+        }
+        return self.location ? self.location.host : '';  // relative url
+    }
+
+    static reportFailure(url) {
+        let host = HostHealth.getHost(url);
+        let record = HostHealth.records[host];
+        if (record == undefined) {
+            record = HostHealth.records[host] = {failures: 0, lastFailureTime: 0};
+        }
+        record.failures++;
+        record.lastFailureTime = Date.now();
+    }
+
+    static reportSuccess(url) {
+        delete HostHealth.records[HostHealth.getHost(url)];
+    }
+
+    // A failed host is considered healthy again after expireTime (in milliseconds)
+    static isHealthy(url, expireTime) {
+        let record = HostHealth.records[HostHealth.getHost(url)];
+        return record == undefined || Date.now() - record.lastFailureTime >= expireTime;
+    }
+
+}
+
+HostHealth.records = {};
+
+export default HostHealth;
@@ -19,18 +19,21 @@
 import Log from '../utils/logger.js';
 import SpeedSampler from './speed-sampler.js';
 import {LoaderStatus, LoaderErrors} from './loader.js';
+import {defaultConfig} from '../config.js';
 import FetchStreamLoader from './fetch-stream-loader.js';
 import MozChunkedLoader from './xhr-moz-chunked-loader.js';
 import MSStreamLoader from './xhr-msstream-loader.js';
 import RangeLoader from './xhr-range-loader.js';
 import WebSocketLoader from './websocket-loader.js';
 import RangeSeekHandler from './range-seek-handler.js';
+import HostHealth from './host-health.js';
 import ParamSeekHandler from './param-seek-handler.js';
 import {RuntimeException, IllegalStateException, InvalidArgumentException} from '../utils/exception.js';
 
 /**
  * DataSource: {
  *     url: string,
+ *     alternateURLs: string[],
  *     filesize: number,
  *     cors: boolean,
  *     withCredentials: boolean
@@ -84,6 +87,7 @@ class IOController {
          * _totalLength 数据总长度、
          * _fullRequestFlag 请求全部标志位、
          * _currentRange 当前的数据范围
+         * _mirrors 镜像列表（url 与 alternateURLs）、_mirrorIndex 当前镜像、_failedMirrors 本轮重试中已失败的镜像
          * 1.4.1 _dataSource.currentUrl 关联实例只读属性 currentUrl
          */
         this._dataSource = dataSource;
@@ -94,6 +98,29 @@ class IOController {
         this._currentRange = null;
         this._redirectedURL = null;
 
+        // Mirrors for failover: url followed by alternateURLs, starts from the first healthy one
+        this._mirrors = [dataSource.url];
+        if (Array.isArray(dataSource.alternateURLs)) {
+            dataSource.alternateURLs.forEach((url) => {
+                if (url && this._mirrors.indexOf(url) === -1) {
+                    this._mirrors.push(url);
+                }
+            });
+        }
+        this._mirrorIndex = 0;
+        this._mirrorConfirmed = false;  // received data from current mirror
+        this._failedMirrors = [];
+        this._reportHostHealth = true;  // whether failures / successes are recorded into shared HostHealth
+        for (let i = 0; i < this._mirrors.length; i++) {
+            if (HostHealth.isHealthy(this._mirrors[i], config.hostFailureExpireTime)) {
+                this._mirrorIndex = i;
+                break;
+            }
+        }
+        if (this._mirrorIndex !== 0) {
+            Log.w(this.TAG, `Skipped unhealthy host, loading from ${this.currentHost}`);
+        }
+
         /**
          * 速率信息有 
          * _speed 速率、
@@ -107,11 +134,20 @@ class IOController {
 
         /**
          * 1.6 IO 状态信息有 
-         * _isEarlyEofReconnecting 是否过早结束、
+         * _retryPolicy 重试策略、_retryAttempts 已重试次数、_retryErrorType 正在重试的错误类型、
          * _paused 是否暂停、
          * _resumeFrom 恢复点
          */
-        this._isEarlyEofReconnecting = false;
+        // Retry policy, see config.retryPolicy / config.liveRetryPolicy
+        let defaultPolicy = config.isLive ? defaultConfig.liveRetryPolicy : defaultConfig.retryPolicy;
+        this._retryPolicy = Object.assign({}, defaultPolicy, config.isLive ? config.liveRetryPolicy : config.retryPolicy);
+        this._retryAttempts = 0;
+        this._retryErrorType = null;  // error type being recovered by retrying
+        this._retryTimer = null;
+        this._retryError = null;  // {type, code, msg} of the error being retried, for requestInterceptor
+
+        // Request waiting for config.requestInterceptor, dropped if replaced by seek or abort
+        this._pendingRequest = null;
 
         this._paused = false;
         this._resumeFrom = 0;
@@ -131,6 +167,8 @@ class IOController {
         this._onComplete = null;
         this._onRedirect = null;
         this._onRecoveredEarlyEof = null;
+        this._onRetrying = null;
+        this._onRecovered = null;
 
         // 构造函数里执行了选择搜索处理函数、选择加载器、创建加载器的操作
         this._selectSeekHandler();
@@ -145,6 +183,8 @@ class IOController {
      */
     // 销毁当前实例
     destroy() {
+        this._cancelRetry();
+        this._pendingRequest = null;
         // 如果当前加载器正在加载，就先终止加载
         if (this._loader.isWorking()) {
             this._loader.abort();
@@ -159,21 +199,21 @@ class IOController {
         this._currentRange = null;
         this._speedSampler = null;
 
-        this._isEarlyEofReconnecting = false;
-
         this._onDataArrival = null;
         this._onSeeked = null;
         this._onError = null;
         this._onComplete = null;
         this._onRedirect = null;
         this._onRecoveredEarlyEof = null;
+        this._onRetrying = null;
+        this._onRecovered = null;
 
         this._extraData = null;
     }
 
     // 当前实例存在加载器、当前实例加载器正常运行、当前实例没有暂停
     isWorking() {
-        return this._loader && this._loader.isWorking() && !this._paused;
+        return this._loader && (this._loader.isWorking() || this._pendingRequest != null) && !this._paused;
     }
 
     // 返回 this._paused 的值
@@ -193,6 +233,15 @@ class IOController {
         this._extraData = data;
     }
 
+    // Disable for auxiliary IO (e.g. background scanning), so that it won't affect mirror choosing of main stream
+    get reportHostHealth() {
+        return this._reportHostHealth;
+    }
+
+    set reportHostHealth(enable) {
+        this._reportHostHealth = enable;
+    }
+
     // prototype: function onDataArrival(chunks: ArrayBuffer, byteStart: number): number
     get onDataArrival() {
         return this._onDataArrival;
@@ -243,16 +292,43 @@ class IOController {
         this._onRecoveredEarlyEof = callback;
     }
 
+    // prototype: function onRetrying(info: {type: string, code: number, msg: string, attempt: number, maxAttempts: number, delay: number, url: string}): void
+    get onRetrying() {
+        return this._onRetrying;
+    }
+
+    set onRetrying(callback) {
+        this._onRetrying = callback;
+    }
+
+    // prototype: function onRecovered(info: {type: string, attempts: number}): void
+    get onRecovered() {
+        return this._onRecovered;
+    }
+
+    set onRecovered(callback) {
+        this._onRecovered = callback;
+    }
+
     get currentURL() {
-        return this._dataSource.url;
+        return this._mirrors[this._mirrorIndex];
+    }
+
+    // host of the mirror currently serving data
+    get currentHost() {
+        return HostHealth.getHost(this.currentURL);
     }
 
     get hasRedirect() {
-        return (this._redirectedURL != null || this._dataSource.redirectedURL != undefined);
+        return this.currentRedirectedURL != undefined;
     }
 
     get currentRedirectedURL() {
-        return this._redirectedURL || this._dataSource.redirectedURL;
+        if (this._redirectedURL != null) {
+            return this._redirectedURL;
+        }
+        // redirectedURL in dataSource belongs to the primary url
+        return this._mirrorIndex === 0 ? this._dataSource.redirectedURL : undefined;
     }
 
     // in KB/s
@@ -347,11 +423,13 @@ class IOController {
             this._fullRequestFlag = true;
         }
         // 打开当前实例的加载器 开始请求
-        this._loader.open(this._dataSource, Object.assign({}, this._currentRange));
+        this._openLoader(Object.assign({}, this._currentRange));
     }
 
     // 终止加载
     abort() {
+        this._cancelRetry();
+        this._pendingRequest = null;
         // 终止当前实例的加载器
         this._loader.abort();
         // 如果实例是暂停的，将暂停属性设为 false，并将恢复点设置为 0
@@ -363,9 +441,25 @@ class IOController {
 
     // 用来暂停加载数据
     pause() {
+        // 如果正在等待重试，取消重试，恢复时从重试的位置开始
+        if (this._retryTimer != null && !this._paused) {
+            this._cancelRetry();
+            if (this._stashUsed !== 0) {
+                this._resumeFrom = this._stashByteStart;
+            } else if (this._config.isLive) {
+                this._resumeFrom = 0;
+            } else {
+                this._resumeFrom = Math.max(this._currentRange.from, this._currentRange.to + 1);
+            }
+            this._stashUsed = 0;
+            this._stashByteStart = 0;
+            this._paused = true;
+            return;
+        }
         // 如果当前实例处于工作中
         if (this.isWorking()) {
             // 强行终止当前实例的加载器
+            this._pendingRequest = null;
             this._loader.abort();
             // 如果当前实例的已使用暂存区不为空
             if (this._stashUsed !== 0) {
@@ -405,6 +499,12 @@ class IOController {
      */
     // 搜索特定的一段数据
     seek(bytes) {
+        // Seeking starts a new request, drop pending retry
+        this._cancelRetry();
+        this._retryAttempts = 0;
+        this._retryErrorType = null;
+        this._retryError = null;
+        this._failedMirrors = [];
         // 设置实例的暂停属性为 false
         this._paused = false;
         // 设置实例的已用暂存区为 0
@@ -431,6 +531,7 @@ class IOController {
 
     // 从特定时间点加载数据
     _internalSeek(bytes, dropUnconsumed) {
+        this._pendingRequest = null;
         // 如果实例的加载器还在工作，终止加载器
         if (this._loader.isWorking()) {
             this._loader.abort();
@@ -453,7 +554,7 @@ class IOController {
         // 创建一个新的加载器
         this._createLoader();
         // 调用新加载器的 open 方法，传入数据源和请求范围
-        this._loader.open(this._dataSource, requestRange);
+        this._openLoader(requestRange);
         // 如果实例对搜索事件有处理函数，调用之
         if (this._onSeeked) {
             this._onSeeked();
@@ -466,9 +567,118 @@ class IOController {
         }
 
         this._dataSource.url = url;
+        this._mirrors[0] = url;
 
         // TODO: replace with new url
     }
+
+    // DataSource passed to loader, with url replaced by current mirror
+    _currentDataSource() {
+        if (this._mirrorIndex === 0) {
+            return this._dataSource;
+        }
+        return Object.assign({}, this._dataSource, {
+            url: this._mirrors[this._mirrorIndex],
+            redirectedURL: undefined
+        });
+    }
+
+    // 打开加载器，如果配置了 requestInterceptor，等待其改写 url 和 headers 后再打开
+    _openLoader(range) {
+        let dataSource = this._currentDataSource();
+        let interceptor = this._config.requestInterceptor;
+        if (typeof interceptor !== 'function') {
+            this._loader.open(dataSource, range);
+            return;
+        }
+
+        let request = {
+            url: dataSource.url,
+            range: Object.assign({}, range),
+            attempt: this._retryAttempts,
+            error: this._retryError ? Object.assign({}, this._retryError) : undefined
+        };
+
+        let result = null;
+        try {
+            result = interceptor(request);
+        } catch (error) {
+            this._onInterceptorError(error);
+            return;
+        }
+        if (result == null || typeof result.then !== 'function') {
+            this._openInterceptedLoader(dataSource, range, result);
+            return;
+        }
+
+        this._pendingRequest = request;
+        result.then((value) => {
+            if (this._pendingRequest !== request) {
+                return;  // superseded by seek / abort / destroy
+            }
+            this._pendingRequest = null;
+            try {
+                this._openInterceptedLoader(dataSource, range, value);
+            } catch (error) {
+                this._onLoaderError(LoaderErrors.EXCEPTION, {code: -1, msg: error.message});
+            }
+        }, (error) => {
+            if (this._pendingRequest !== request) {
+                return;
+            }
+            this._pendingRequest = null;
+            this._onInterceptorError(error);
+        }).catch((error) => {
+            // Thrown by error callbacks, nobody else could catch it in promise chain
+            Log.e(this.TAG, `Uncaught error after requestInterceptor: ${error && error.message}`);
+        });
+    }
+
+    _openInterceptedLoader(dataSource, range, result) {
+        if (result && typeof result === 'object') {
+            let rewritten = {};
+            if (typeof result.url === 'string' && result.url.length > 0 && result.url !== dataSource.url) {
+                rewritten.url = result.url;
+                rewritten.redirectedURL = undefined;  // redirection of original url doesn't apply
+            }
+            if (typeof result.headers === 'object') {
+                rewritten.headers = Object.assign({}, this._config.headers, result.headers);
+            }
+            dataSource = Object.assign({}, dataSource, rewritten);
+        }
+        this._loader.open(dataSource, range);
+    }
+
+    _onInterceptorError(error) {
+        // Not a failure of the host, report directly without retrying
+        let data = {code: -1, msg: 'requestInterceptor failed: ' + (error && error.message ? error.message : error)};
+        Log.e(this.TAG, data.msg);
+        this._retryErrorType = null;
+        this._retryError = null;
+        this._retryAttempts = 0;
+        this._failedMirrors = [];
+        if (this._onError) {
+            this._onError(LoaderErrors.EXCEPTION, data);
+        }
+    }
+
+    // Switch to next mirror, prefer which hasn't failed in current retry sequence, then healthy ones
+    _switchMirror() {
+        let count = this._mirrors.length;
+        let candidates = [];
+        for (let i = 1; i < count; i++) {
+            candidates.push((this._mirrorIndex + i) % count);
+        }
+        let expireTime = this._config.hostFailureExpireTime;
+        let untried = candidates.filter((index) => this._failedMirrors.indexOf(index) === -1);
+        let pool = untried.length > 0 ? untried : candidates;
+        let healthy = pool.filter((index) => HostHealth.isHealthy(this._mirrors[index], expireTime));
+
+        this._mirrorIndex = healthy.length > 0 ? healthy[0] : pool[0];
+        this._mirrorConfirmed = false;
+        this._redirectedURL = null;
+        Log.w(this.TAG, `Switched to mirror ${this.currentHost}`);
+    }
     // 用来扩展缓存，借鉴了滑动窗口思想
     _expandBuffer(expectedBytes) {
         // 创建新缓存大小，初始值为暂存区大小
@@ -570,7 +780,7 @@ class IOController {
 
     _onURLRedirect(redirectedURL) {
         this._redirectedURL = redirectedURL;
-        if (this._onRedirect) {
+        if (this._mirrorIndex === 0 && this._onRedirect) {
             this._onRedirect(redirectedURL);
         }
     }
@@ -600,13 +810,27 @@ class IOController {
         if (this._paused) {
             return;
         }
-        // 如果实例的过早结束属性为 true，将之设置为 false。如果实例存在接收过早结束函数，调用之。
-        if (this._isEarlyEofReconnecting) {
-            // Auto-reconnect for EarlyEof succeed, notify to upper-layer by callback
-            this._isEarlyEofReconnecting = false;
-            if (this._onRecoveredEarlyEof) {
+        if (!this._mirrorConfirmed) {
+            this._mirrorConfirmed = true;
+            this._failedMirrors = [];
+            if (this._reportHostHealth) {
+                HostHealth.reportSuccess(this.currentURL);
+            }
+        }
+        // 如果实例正在重试，重置重试状态并通知上层已恢复
+        if (this._retryErrorType != null) {
+            // Auto-reconnect succeed, notify to upper-layer by callback
+            let info = {type: this._retryErrorType, attempts: this._retryAttempts};
+            Log.v(this.TAG, `Recovered from ${info.type} after ${info.attempts} attempt(s)`);
+            this._retryErrorType = null;
+            this._retryError = null;
+            this._retryAttempts = 0;
+            if (info.type === LoaderErrors.EARLY_EOF && this._onRecoveredEarlyEof) {
                 this._onRecoveredEarlyEof();
             }
+            if (this._onRecovered) {
+                this._onRecovered(info);
+            }
         }
 
         // 实例的速率计算器增加 chunk 字节长度那么多的字节
@@ -798,6 +1022,12 @@ class IOController {
 
     // 处理数据加载完成事件
     _onLoaderComplete(from, to) {
+        if (this._config.isLive && this._isRetryable(LoaderErrors.EARLY_EOF, {}) &&
+                this._retryAttempts < this._retryPolicy.maxAttempts) {
+            // Live stream is not expected to end, treat as connection lost and reconnect
+            this._onLoaderError(LoaderErrors.EARLY_EOF, {code: -1, msg: 'Live stream closed by remote'}, true);
+            return;
+        }
         // Force-flush stash buffer, and drop unconsumed data
         // 以丢弃未消费数据模式刷新暂存区和缓存
         this._flushStashBuffer(true);
@@ -807,50 +1037,89 @@ class IOController {
         }
     }
     // 处理数据加载错误事件
-    _onLoaderError(type, data) {
+    // remoteClosed: live stream ended normally by remote, which is not a failure of the host
+    _onLoaderError(type, data, remoteClosed) {
         Log.e(this.TAG, `Loader error, code = ${data.code}, msg = ${data.msg}`);
         // 以保留未消费数据模式刷新暂存区和缓存
         this._flushStashBuffer(false);
-        // 如果实例的过早结束属性为 true
-        if (this._isEarlyEofReconnecting) {
-            // Auto-reconnect for EarlyEof failed, throw UnrecoverableEarlyEof error to upper-layer
-            this._isEarlyEofReconnecting = false;
-            // 如果实例的过早结束属性为 true
-            type = LoaderErrors.UNRECOVERABLE_EARLY_EOF;
+
+        let nextFrom = Math.max(this._currentRange.from, this._currentRange.to + 1);
+        if (type === LoaderErrors.EARLY_EOF && !this._config.isLive &&
+                this._totalLength && nextFrom >= this._totalLength) {
+            // All data have been received actually
+            return;
         }
-        // 判断type
-        switch (type) {
-            // type 是过早结束
-            case LoaderErrors.EARLY_EOF: {
-                // 如果实例配置的实时流属性为 false
-                if (!this._config.isLive) {
-                    // Do internal http reconnect if not live stream
-                    if (this._totalLength) {
-                        // 如果实例的数据总长度存在
-                        // 创建下一个起点，初始化为实例的当前范围的终点 + 1
-                        let nextFrom = this._currentRange.to + 1;
-                        // 如果下一个起点小于实例的数据总长度，设置实例的过早结束属性为 true，调用不丢弃未消费数据的内部搜索方法，传入下一个起点
-                        if (nextFrom < this._totalLength) {
-                            Log.w(this.TAG, 'Connection lost, trying reconnect...');
-                            this._isEarlyEofReconnecting = true;
-                            this._internalSeek(nextFrom, false);
-                        }
-                        return;
-                    }
-                    // else: We don't know totalLength, throw UnrecoverableEarlyEof
-                }
-                // live stream: throw UnrecoverableEarlyEof error to upper-layer
-                // 设置 type 为加载器错误的接收过早结束
-                type = LoaderErrors.UNRECOVERABLE_EARLY_EOF;
-                break;
+
+        if (!remoteClosed) {
+            if (this._reportHostHealth) {
+                HostHealth.reportFailure(this.currentURL);
+            }
+            if (this._failedMirrors.indexOf(this._mirrorIndex) === -1) {
+                this._failedMirrors.push(this._mirrorIndex);
             }
-            // type 是接收过早结束、连接超时、HTTP 状态码无效、其他：跳过
-            case LoaderErrors.UNRECOVERABLE_EARLY_EOF:
-            case LoaderErrors.CONNECTING_TIMEOUT:
-            case LoaderErrors.HTTP_STATUS_CODE_INVALID:
-            case LoaderErrors.EXCEPTION:
-                break;
         }
+        // Any loader error fails over to a mirror which hasn't been tried yet, without delay,
+        // while remote closed live stream is reconnected to the same mirror
+        let hasUntriedMirror = !remoteClosed && this._failedMirrors.length < this._mirrors.length;
+
+        let policy = this._retryPolicy;
+        let maxAttempts = Math.max(policy.maxAttempts, this._mirrors.length - 1);  // try each mirror at least once
+        if (((hasUntriedMirror || this._isRetryable(type, data)) && this._retryAttempts < maxAttempts) ||
+                this._isAuthRetryable(type, data)) {
+            this._retryAttempts++;
+            maxAttempts = Math.max(maxAttempts, this._retryAttempts);
+            if (this._retryErrorType == null) {
+                this._retryErrorType = type;  // the error which started retrying
+            }
+            this._retryError = {type: type, code: data.code, msg: data.msg};
+
+            let delay = 0;
+            if (!hasUntriedMirror) {
+                delay = Math.min(policy.initialDelay * Math.pow(policy.backoffFactor, this._retryAttempts - 1), policy.maxDelay);
+                delay = Math.max(Math.round(delay * (1 + policy.jitter * (Math.random() * 2 - 1))), 0);
+            }
+            if (this._mirrors.length > 1 && !remoteClosed) {
+                this._switchMirror();
+            }
+
+            Log.w(this.TAG, `Retrying (${this._retryAttempts}/${maxAttempts}) in ${delay}ms...`);
+            if (this._onRetrying) {
+                this._onRetrying({
+                    type: type,
+                    code: data.code,
+                    msg: data.msg,
+                    attempt: this._retryAttempts,
+                    maxAttempts: maxAttempts,
+                    delay: delay,
+                    url: this.currentURL
+                });
+            }
+
+            this._retryTimer = self.setTimeout(() => {
+                this._retryTimer = null;
+                if (this._config.isLive) {
+                    // Live stream cannot be resumed by range, reopen it with unconsumed data dropped
+                    this._internalSeek(0, true);
+                } else {
+                    // Resume from the next byte, keep unconsumed data in stash buffer
+                    this._internalSeek(nextFrom, false);
+                }
+            }, delay);
+            return;
+        }
+
+        if (this._retryErrorType != null) {
+            Log.e(this.TAG, `Retrying failed after ${this._retryAttempts} attempt(s)`);
+            this._retryErrorType = null;
+            this._retryError = null;
+            this._retryAttempts = 0;
+        }
+        this._failedMirrors = [];
+        if (type === LoaderErrors.EARLY_EOF) {
+            // Not recoverable by retrying, throw UnrecoverableEarlyEof error to upper-layer
+            type = LoaderErrors.UNRECOVERABLE_EARLY_EOF;
+        }
+
         // 如果实例的错误事件有监听函数，调用之，传入 type 和 data
         if (this._onError) {
             this._onError(type, data);
@@ -860,6 +1129,32 @@ class IOController {
         }
     }
 
+    _isRetryable(type, data) {
+        let policy = this._retryPolicy;
+        if (type === LoaderErrors.HTTP_STATUS_CODE_INVALID) {
+            return policy.retryableHttpCodes.indexOf(data.code) !== -1;
+        }
+        return policy.retryableErrors.indexOf(type) !== -1;
+    }
+
+    // 401 / 403 is retried once more with requestInterceptor, which could refresh the expired credential
+    // by the error passed in, unless the previous attempt has failed with it already
+    _isAuthRetryable(type, data) {
+        if (typeof this._config.requestInterceptor !== 'function' || type !== LoaderErrors.HTTP_STATUS_CODE_INVALID ||
+                (data.code !== 401 && data.code !== 403)) {
+            return false;
+        }
+        let last = this._retryError;
+        return !(last && last.type === type && (last.code === 401 || last.code === 403));
+    }
+
+    _cancelRetry() {
+        if (this._retryTimer != null) {
+            self.clearTimeout(this._retryTimer);
+            this._retryTimer = null;
+        }
+    }
+
 }
 
 export default IOController;
\ No newline at end of file
@@ -16,7 +16,7 @@
  * limitations under the License.
  */
 
-import {NotImplementedException} from '../utils/exception.js';
+import {NotImplementedException, RuntimeException} from '../utils/exception.js';
 /**
  * 常量-加载器状态
  * kIdle 闲置  kConnecting 连接中  kBuffering 缓冲中  kError 出错  kComplete 完成
@@ -72,17 +72,16 @@ export class BaseLoader {
         this._onDataArrival = null;
         this._onError = null;
         this._onComplete = null;
+
+        this._stallTimer = null;
     }
     /**
      * 销毁加载器实例，就是将实例状态设为重置，四个事件处理函数设置为 null
      */
     destroy() {
+        this._clearStallTimer();
         this._status = LoaderStatus.kIdle;
-        this._onContentLengthKnown = null;
-        this._onURLRedirect = null;
-        this._onDataArrival = null;
-        this._onError = null;
-        this._onComplete = null;
+        this._dropCallbacks();
     }
     /**
      * 获取加载器运行状态，根据加载器状态是连接中或者缓存中来判断
@@ -152,5 +151,65 @@ export class BaseLoader {
         throw new NotImplementedException('Unimplemented abstract function!');
     }
 
+    // Stall detection, subclasses restart the timer as the request progresses:
+    //     request sent -> connectTimeout, response headers received -> firstByteTimeout,
+    //     each chunk received -> idleTimeout. Timer should be cleared in abort() and on complete / error
+    // Expired timer aborts the request and reports CONNECTING_TIMEOUT
+    _startConnectTimer() {
+        this._setStallTimer('connectTimeout', 'Connect');
+    }
+
+    _startFirstByteTimer() {
+        this._setStallTimer('firstByteTimeout', 'First byte');
+    }
+
+    _startIdleTimer() {
+        this._setStallTimer('idleTimeout', 'Idle');
+    }
+
+    _clearStallTimer() {
+        if (this._stallTimer != null) {
+            self.clearTimeout(this._stallTimer);
+            this._stallTimer = null;
+        }
+    }
+
+    _setStallTimer(configName, stage) {
+        this._clearStallTimer();
+
+        let timeout = this._config ? this._config[configName] : 0;
+        if (!(timeout > 0)) {  // disabled
+            return;
+        }
+        this._stallTimer = self.setTimeout(() => {
+            this._stallTimer = null;
+            this._onStallTimeout(`${stage} timeout after ${timeout}ms`);
+        }, timeout);
+    }
+
+    _onStallTimeout(msg) {
+        this.abort();
+        this._status = LoaderStatus.kError;
+
+        let info = {code: -1, msg: msg};
+        let onError = this._onError;
+        // Late results of the aborted request must not be reported after the timeout error,
+        // which would cause duplicated error handling (e.g. retrying twice) in upper-layer
+        this._dropCallbacks();
+        if (onError) {
+            onError(LoaderErrors.CONNECTING_TIMEOUT, info);
+        } else {
+            throw new RuntimeException(info.msg);
+        }
+    }
+
+    _dropCallbacks() {
+        this._onContentLengthKnown = null;
+        this._onURLRedirect = null;
+        this._onDataArrival = null;
+        this._onError = null;
+        this._onComplete = null;
+    }
+
 
 }
\ No newline at end of file
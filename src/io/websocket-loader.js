@@ -40,10 +40,12 @@ class WebSocketLoader extends BaseLoader {
             return false;
         }
     }
-    constructor() {
+    constructor(seekHandler, config) {
         super('websocket-loader');
         this.TAG = 'WebSocketLoader';
 
+        this._config = config;
+
         this._needStash = true;
 
         this._ws = null;
@@ -76,6 +78,7 @@ class WebSocketLoader extends BaseLoader {
             ws.onerror = this._onWebSocketError.bind(this);
 
             this._status = LoaderStatus.kConnecting;
+            this._startConnectTimer();
         } catch (e) {
             this._status = LoaderStatus.kError;
 
@@ -98,6 +101,7 @@ class WebSocketLoader extends BaseLoader {
             this._requestAbort = true;
             ws.close();
         }
+        this._clearStallTimer();
 
         this._ws = null;//清除ws实例
         this._status = LoaderStatus.kComplete;//状态改为以完成
@@ -108,6 +112,7 @@ class WebSocketLoader extends BaseLoader {
      */
     _onWebSocketOpen(e) {
         this._status = LoaderStatus.kBuffering;//设置状态为缓冲中
+        this._startFirstByteTimer();
     }
     /**
      * WS 关闭事件处理函数
@@ -119,6 +124,7 @@ class WebSocketLoader extends BaseLoader {
             return;
         }
 
+        this._clearStallTimer();
         this._status = LoaderStatus.kComplete;
         //  如果实例存在完成事件处理函数，执行之，传入 0 和 实例接收长度 - 1
         if (this._onComplete) {
@@ -142,6 +148,7 @@ class WebSocketLoader extends BaseLoader {
             reader.readAsArrayBuffer(e.data);
         } else {
             // 如果不是以上两种就报错
+            this._clearStallTimer();
             this._status = LoaderStatus.kError;
             let info = {code: -1, msg: 'Unsupported WebSocket message type: ' + e.data.constructor.name};
 
@@ -160,6 +167,7 @@ class WebSocketLoader extends BaseLoader {
         let chunk = arraybuffer;
         let byteStart = this._receivedLength;
         this._receivedLength += chunk.byteLength;
+        this._startIdleTimer();
 
         if (this._onDataArrival) {
             this._onDataArrival(chunk, byteStart, this._receivedLength);
@@ -170,6 +178,7 @@ class WebSocketLoader extends BaseLoader {
      * @param {*} e 
      */
     _onWebSocketError(e) {
+        this._clearStallTimer();
         this._status = LoaderStatus.kError;
 
         let info = {
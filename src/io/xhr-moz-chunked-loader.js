@@ -122,10 +122,10 @@ class MozChunkedLoader extends BaseLoader {
             }
         }
 
-        // add additional headers
+        // add additional headers, dataSource.headers (from requestInterceptor) takes place of config.headers
         // 设置请求头 从传入的配置中设置
-        if (typeof this._config.headers === 'object') {
-            let headers = this._config.headers;
+        if (typeof (dataSource.headers || this._config.headers) === 'object') {
+            let headers = dataSource.headers || this._config.headers;
 
             for (let key in headers) {
                 if (headers.hasOwnProperty(key)) {
@@ -135,6 +135,7 @@ class MozChunkedLoader extends BaseLoader {
         }
 
         this._status = LoaderStatus.kConnecting;
+        this._startConnectTimer();
         xhr.send();
     }
     /**
@@ -142,6 +143,7 @@ class MozChunkedLoader extends BaseLoader {
      */
     abort() {
         this._requestAbort = true;
+        this._clearStallTimer();
         if (this._xhr) {
             this._xhr.abort();//终止xhr请求
         }
@@ -163,6 +165,7 @@ class MozChunkedLoader extends BaseLoader {
             }
             // 如果请求报错
             if (xhr.status !== 0 && (xhr.status < 200 || xhr.status > 299)) {
+                this._clearStallTimer();
                 this._status = LoaderStatus.kError;
                 if (this._onError) {
                     this._onError(LoaderErrors.HTTP_STATUS_CODE_INVALID, {code: xhr.status, msg: xhr.statusText});
@@ -172,6 +175,7 @@ class MozChunkedLoader extends BaseLoader {
             } else {
                 // 否则 改变状态为缓冲中
                 this._status = LoaderStatus.kBuffering;
+                this._startFirstByteTimer();
             }
         }
     }
@@ -199,6 +203,7 @@ class MozChunkedLoader extends BaseLoader {
         let chunk = e.target.response;
         let byteStart = this._range.from + this._receivedLength;
         this._receivedLength += chunk.byteLength;
+        this._startIdleTimer();
 
         if (this._onDataArrival) {
             this._onDataArrival(chunk, byteStart, this._receivedLength);
@@ -216,6 +221,7 @@ class MozChunkedLoader extends BaseLoader {
             return;
         }
         // 状态改为完成
+        this._clearStallTimer();
         this._status = LoaderStatus.kComplete;
         if (this._onComplete) {
             this._onComplete(this._range.from, this._range.from + this._receivedLength - 1);
@@ -226,6 +232,7 @@ class MozChunkedLoader extends BaseLoader {
      * @param {*} e 
      */
     _onXhrError(e) {
+        this._clearStallTimer();
         this._status = LoaderStatus.kError;
         let type = 0;
         let info = null;
@@ -157,9 +157,9 @@ class MSStreamLoader extends BaseLoader {
             }
         }
 
-        // add additional headers
-        if (typeof this._config.headers === 'object') {
-            let headers = this._config.headers;
+        // add additional headers, dataSource.headers (from requestInterceptor) takes place of config.headers
+        if (typeof (dataSource.headers || this._config.headers) === 'object') {
+            let headers = dataSource.headers || this._config.headers;
 
             for (let key in headers) {
                 if (headers.hasOwnProperty(key)) {
@@ -173,10 +173,12 @@ class MSStreamLoader extends BaseLoader {
         } else {
             this._status = LoaderStatus.kConnecting;
         }
+        this._startConnectTimer();
         xhr.send();
     }
 
     abort() {
+        this._clearStallTimer();
         this._internalAbort();
         this._status = LoaderStatus.kComplete;
     }
@@ -204,6 +206,7 @@ class MSStreamLoader extends BaseLoader {
         if (xhr.readyState === 2) {  // HEADERS_RECEIVED
             if (xhr.status >= 200 && xhr.status <= 299) {
                 this._status = LoaderStatus.kBuffering;
+                this._startFirstByteTimer();
 
                 if (xhr.responseURL != undefined) {
                     let redirectedURL = this._seekHandler.removeURLParameters(xhr.responseURL);
@@ -226,6 +229,7 @@ class MSStreamLoader extends BaseLoader {
                     }
                 }
             } else {
+                this._clearStallTimer();
                 this._status = LoaderStatus.kError;
                 if (this._onError) {
                     this._onError(LoaderErrors.HTTP_STATUS_CODE_INVALID, {code: xhr.status, msg: xhr.statusText});
@@ -244,6 +248,7 @@ class MSStreamLoader extends BaseLoader {
     }
 
     _xhrOnError(e) {
+        this._clearStallTimer();
         this._status = LoaderStatus.kError;
         let type = LoaderErrors.EXCEPTION;
         let info = {code: -1, msg: e.constructor.name + ' ' + e.type};
@@ -267,6 +272,7 @@ class MSStreamLoader extends BaseLoader {
         this._lastTimeBufferSize = bigbuffer.byteLength;
         let byteStart = this._totalRange.from + this._receivedLength;
         this._receivedLength += slice.byteLength;
+        this._startIdleTimer();
 
         if (this._onDataArrival) {
             this._onDataArrival(slice, byteStart, this._receivedLength);
@@ -293,6 +299,7 @@ class MSStreamLoader extends BaseLoader {
     }
 
     _msrOnLoad(e) {  // actually it is onComplete event
+        this._clearStallTimer();
         this._status = LoaderStatus.kComplete;
         if (this._onComplete) {
             this._onComplete(this._totalRange.from, this._totalRange.from + this._receivedLength - 1);
@@ -300,6 +307,7 @@ class MSStreamLoader extends BaseLoader {
     }
 
     _msrOnError(e) {
+        this._clearStallTimer();
         this._status = LoaderStatus.kError;
         let type = 0;
         let info = null;
@@ -166,9 +166,9 @@ class RangeLoader extends BaseLoader {
             }
         }
 
-        // add additional headers
-        if (typeof this._config.headers === 'object') {
-            let headers = this._config.headers;
+        // add additional headers, dataSource.headers (from requestInterceptor) takes place of config.headers
+        if (typeof (dataSource.headers || this._config.headers) === 'object') {
+            let headers = dataSource.headers || this._config.headers;
 
             for (let key in headers) {
                 if (headers.hasOwnProperty(key)) {
@@ -177,11 +177,13 @@ class RangeLoader extends BaseLoader {
             }
         }
 
+        this._startConnectTimer();
         xhr.send();
     }
 
     abort() {
         this._requestAbort = true;
+        this._clearStallTimer();
         this._internalAbort();
         this._status = LoaderStatus.kComplete;
     }
@@ -213,11 +215,13 @@ class RangeLoader extends BaseLoader {
 
             if ((xhr.status >= 200 && xhr.status <= 299)) {
                 //  如果实例的是否待加载为 true，结束
+                this._startFirstByteTimer();
                 if (this._waitForTotalLength) {
                     return;
                 }
                 this._status = LoaderStatus.kBuffering;
             } else {
+                this._clearStallTimer();
                 this._status = LoaderStatus.kError;
                 if (this._onError) {
                     this._onError(LoaderErrors.HTTP_STATUS_CODE_INVALID, {code: xhr.status, msg: xhr.statusText});
@@ -265,6 +269,8 @@ class RangeLoader extends BaseLoader {
             }
         }
 
+        this._startIdleTimer();
+
         //  创建 delta 为 e.loaded 实例当前接收请求子范围
         let delta = e.loaded - this._lastTimeLoaded;
         // 设置实例当前接收请求子范围的长度为 e.loaded
@@ -353,6 +359,7 @@ class RangeLoader extends BaseLoader {
         }
 
         if (reportComplete) {
+            this._clearStallTimer();
             this._status = LoaderStatus.kComplete;
             if (this._onComplete) {
                 this._onComplete(this._range.from, this._range.from + this._receivedLength - 1);
@@ -361,6 +368,7 @@ class RangeLoader extends BaseLoader {
     }
 
     _onXhrError(e) {
+        this._clearStallTimer();
         this._status = LoaderStatus.kError;
         let type = 0;
         let info = null;
@@ -24,6 +24,7 @@ import Transmuxer from '../core/transmuxer.js';
 import TransmuxingEvents from '../core/transmuxing-events.js';
 import MSEController from '../core/mse-controller.js';
 import MSEEvents from '../core/mse-events.js';
+import PCMAudioRenderer from '../core/pcm-audio-renderer.js';
 import {ErrorTypes, ErrorDetails} from './player-errors.js';
 import {createDefaultConfig} from '../config.js';
 import {InvalidArgumentException, IllegalStateException} from '../utils/exception.js';
@@ -54,12 +55,20 @@ class FlvPlayer {
             this._config.isLive = true;
         }
 
+        if (this._config.pcmAudioOutput === 'auto') {
+            // Prefer 'ipcm' track in MSE, fallback to WebAudio if unsupported
+            let mseSupported = self.MediaSource && self.MediaSource.isTypeSupported('audio/mp4; codecs="ipcm"');
+            let webAudioSupported = self.AudioContext || self.webkitAudioContext;
+            this._config.pcmAudioOutput = (!mseSupported && webAudioSupported) ? 'webaudio' : 'mse';
+        }
+
         this.e = {
             onvLoadedMetadata: this._onvLoadedMetadata.bind(this),
             onvSeeking: this._onvSeeking.bind(this),
             onvCanPlay: this._onvCanPlay.bind(this),
             onvStalled: this._onvStalled.bind(this),
-            onvProgress: this._onvProgress.bind(this)
+            onvProgress: this._onvProgress.bind(this),
+            onvTimeUpdate: this._onvTimeUpdate.bind(this)
         };
 
         if (self.performance && self.performance.now) {
@@ -76,6 +85,11 @@ class FlvPlayer {
         this._mediaDataSource = mediaDataSource;
         this._mediaElement = null;
         this._msectl = null;
+        this._pcmRenderer = null;
+        this._pcmAudioRendering = null;  // audio output path, decided by the first audio InitSegment
+        this._textTracks = {};  // kind:label -> TextTrack
+        this._timedMetadataQueue = [];  // {name, data, pts}, in ascending order of pts
+        this._timedMetadataLastTime = -1;  // in milliseconds, metadata before it has been fired
         this._transmuxer = null;
 
         this._mseSourceOpened = false;
@@ -141,6 +155,7 @@ class FlvPlayer {
         mediaElement.addEventListener('canplay', this.e.onvCanPlay);
         mediaElement.addEventListener('stalled', this.e.onvStalled);
         mediaElement.addEventListener('progress', this.e.onvProgress);
+        mediaElement.addEventListener('timeupdate', this.e.onvTimeUpdate);
         // 创建 MSEController实例 为了创建 medioSource实例 和 为其绑定上监听
         this._msectl = new MSEController(this._config);
 
@@ -184,12 +199,19 @@ class FlvPlayer {
             this._mediaElement.removeEventListener('canplay', this.e.onvCanPlay);
             this._mediaElement.removeEventListener('stalled', this.e.onvStalled);
             this._mediaElement.removeEventListener('progress', this.e.onvProgress);
+            this._mediaElement.removeEventListener('timeupdate', this.e.onvTimeUpdate);
             this._mediaElement = null;
         }
         if (this._msectl) {
             this._msectl.destroy();
             this._msectl = null;
         }
+        if (this._pcmRenderer) {
+            this._pcmRenderer.destroy();
+            this._pcmRenderer = null;
+        }
+        this._pcmAudioRendering = null;
+        this._clearTextTracks(true);
     }
 
     load() {
@@ -219,15 +241,48 @@ class FlvPlayer {
         this._transmuxer = new Transmuxer(this._mediaDataSource, this._config);
         // 监听 MediaSource 接收 媒体数据初始化数据的到来
         this._transmuxer.on(TransmuxingEvents.INIT_SEGMENT, (type, is) => {
-            this._msectl.appendInitSegment(is);
+            if (type === 'audio') {
+                let pcmAudioRendering = (is.container === 'audio/pcm');
+                if (this._pcmAudioRendering != null && this._pcmAudioRendering !== pcmAudioRendering) {
+                    // MSE audio SourceBuffer cannot be added or fed after the other path took over,
+                    // a known limitation documented with config pcmAudioOutput
+                    let msg = `Switching audio between MSE and WebAudio output is unsupported, codec: ${is.codec || is.container}`;
+                    Log.e(this.TAG, msg);
+                    this._emitter.emit(PlayerEvents.ERROR, ErrorTypes.MEDIA_ERROR, ErrorDetails.MEDIA_CODEC_UNSUPPORTED, {
+                        code: -1,
+                        msg: msg
+                    });
+                    return;
+                }
+                this._pcmAudioRendering = pcmAudioRendering;
+            }
+            if (type === 'audio' && this._pcmAudioRendering) {
+                if (this._pcmRenderer == null) {
+                    let mi = this._mediaInfo;
+                    this._pcmRenderer = new PCMAudioRenderer(this._config);
+                    this._pcmRenderer.attachMediaElement(this._mediaElement);
+                    // Without video track, the element's clock never advances, playback is driven by AudioContext
+                    this._pcmRenderer.audioOnly = (mi != null) ? !mi.hasVideo : this._mediaDataSource.hasVideo === false;
+                }
+                this._pcmRenderer.appendInitSegment(is);
+            } else {
+                if (type === 'video' && this._pcmRenderer) {
+                    this._pcmRenderer.audioOnly = false;
+                }
+                this._msectl.appendInitSegment(is);
+            }
         });
         // 监听来自transmuxing-conmtroller.js触发的数据来源，数据的源头在mp4-remuxer.js的一个_onMediaSegment上 也就是编码后的数据
         this._transmuxer.on(TransmuxingEvents.MEDIA_SEGMENT, (type, ms) => {
-            this._msectl.appendMediaSegment(ms);
+            if (type === 'audio' && this._pcmAudioRendering) {
+                this._pcmRenderer.appendMediaSegment(ms);
+            } else {
+                this._msectl.appendMediaSegment(ms);
+            }
 
             // lazyLoad check
             if (this._config.lazyLoad && !this._config.isLive) {
-                let currentTime = this._mediaElement.currentTime;
+                let currentTime = this.currentTime;
                 if (ms.info.endDts >= (currentTime + this._config.lazyLoadMaxDuration) * 1000) {
                     if (this._progressChecker == null) {
                         Log.v(this.TAG, 'Maximum buffering duration exceeded, suspend transmuxing task');
@@ -244,22 +299,47 @@ class FlvPlayer {
         this._transmuxer.on(TransmuxingEvents.RECOVERED_EARLY_EOF, () => {
             this._emitter.emit(PlayerEvents.RECOVERED_EARLY_EOF);
         });
+        this._transmuxer.on(TransmuxingEvents.RETRYING, (info) => {
+            this._emitter.emit(PlayerEvents.RETRYING, info);
+        });
+        this._transmuxer.on(TransmuxingEvents.RECOVERED, (info) => {
+            this._emitter.emit(PlayerEvents.RECOVERED, info);
+        });
         this._transmuxer.on(TransmuxingEvents.IO_ERROR, (detail, info) => {
             this._emitter.emit(PlayerEvents.ERROR, ErrorTypes.NETWORK_ERROR, detail, info);
         });
         this._transmuxer.on(TransmuxingEvents.DEMUX_ERROR, (detail, info) => {
             this._emitter.emit(PlayerEvents.ERROR, ErrorTypes.MEDIA_ERROR, detail, {code: -1, msg: info});
         });
+        this._transmuxer.on(TransmuxingEvents.DEMUX_WARNING, (detail, info) => {
+            this._emitter.emit(PlayerEvents.WARNING, ErrorTypes.MEDIA_ERROR, detail, info);
+        });
         this._transmuxer.on(TransmuxingEvents.MEDIA_INFO, (mediaInfo) => {
             this._mediaInfo = mediaInfo;
+            if (this._pcmRenderer) {
+                this._pcmRenderer.audioOnly = !mediaInfo.hasVideo;
+            }
             this._emitter.emit(PlayerEvents.MEDIA_INFO, Object.assign({}, mediaInfo));
         });
+        this._transmuxer.on(TransmuxingEvents.MEDIA_INFO_CHANGED, (change) => {
+            this._emitter.emit(PlayerEvents.MEDIA_INFO_CHANGED, change);
+        });
         this._transmuxer.on(TransmuxingEvents.METADATA_ARRIVED, (metadata) => {
             this._emitter.emit(PlayerEvents.METADATA_ARRIVED, metadata);
         });
         this._transmuxer.on(TransmuxingEvents.SCRIPTDATA_ARRIVED, (data) => {
             this._emitter.emit(PlayerEvents.SCRIPTDATA_ARRIVED, data);
         });
+        this._transmuxer.on(TransmuxingEvents.SEIDATA_ARRIVED, (data) => {
+            this._emitter.emit(PlayerEvents.SEIDATA_ARRIVED, data);
+        });
+        this._transmuxer.on(TransmuxingEvents.CAPTION_CUE_ARRIVED, (cue) => {
+            this._appendCaptionCue(cue);
+            this._emitter.emit(PlayerEvents.CAPTION_CUE_ARRIVED, cue);
+        });
+        this._transmuxer.on(TransmuxingEvents.TIMED_METADATA_ARRIVED, (metadata) => {
+            this._onTimedMetadataArrived(metadata);
+        });
         this._transmuxer.on(TransmuxingEvents.STATISTICS_INFO, (statInfo) => {
             this._statisticsInfo = this._fillStatisticsInfo(statInfo);
             this._emitter.emit(PlayerEvents.STATISTICS_INFO, Object.assign({}, this._statisticsInfo));
@@ -282,6 +362,12 @@ class FlvPlayer {
         if (this._msectl) {
             this._msectl.seek(0);
         }
+        if (this._pcmRenderer) {
+            this._pcmRenderer.seek(0);
+        }
+        this._clearTextTracks(false);
+        this._timedMetadataQueue = [];
+        this._timedMetadataLastTime = -1;
         if (this._transmuxer) {
             this._transmuxer.close();
             this._transmuxer.destroy();
@@ -357,6 +443,9 @@ class FlvPlayer {
     }
 
     get currentTime() {
+        if (this._pcmRenderer && this._pcmRenderer.audioOnly) {
+            return this._pcmRenderer.currentTime;
+        }
         if (this._mediaElement) {
             return this._mediaElement.currentTime;
         }
@@ -457,11 +546,16 @@ class FlvPlayer {
     }
 
     _checkProgressAndResume() {
-        let currentTime = this._mediaElement.currentTime;
+        let currentTime = this.currentTime;
         let buffered = this._mediaElement.buffered;
 
         let needResume = false;
 
+        if (this._pcmRenderer && this._pcmRenderer.audioOnly) {
+            // Nothing is buffered in MediaSource without video track, check appended PCM instead
+            needResume = currentTime >= this._pcmRenderer.bufferedEnd - this._config.lazyLoadRecoverDuration;
+        }
+
         for (let i = 0; i < buffered.length; i++) {
             let from = buffered.start(i);
             let to = buffered.end(i);
@@ -536,6 +630,9 @@ class FlvPlayer {
                 this._progressChecker = null;
             }
             this._msectl.seek(seconds);
+            if (this._pcmRenderer) {
+                this._pcmRenderer.seek(seconds);
+            }
             this._transmuxer.seek(Math.floor(seconds * 1000));  // in milliseconds
             // no need to set mediaElement.currentTime if non-accurateSeek,
             // just wait for the recommend_seekpoint callback
@@ -559,6 +656,9 @@ class FlvPlayer {
                     // .currentTime is consists with .buffered timestamp
                     // Chrome/Edge use DTS, while FireFox/Safari use PTS
                     this._msectl.seek(target);
+                    if (this._pcmRenderer) {
+                        this._pcmRenderer.seek(target);
+                    }
                     this._transmuxer.seek(Math.floor(target * 1000));
                     // set currentTime if accurateSeek, or wait for recommend_seekpoint callback
                     if (this._config.accurateSeek) {
@@ -588,6 +688,157 @@ class FlvPlayer {
         }
     }
 
+    _getTextTrack(kind, label) {
+        let track = this._textTracks[kind + ':' + label];
+        if (track) {
+            return track;
+        }
+
+        let media = this._mediaElement;
+        let textTracks = media.textTracks;
+        // Reuse track created before, TextTrack added by addTextTrack() could not be removed
+        for (let i = 0; i < textTracks.length; i++) {
+            if (textTracks[i].kind === kind && textTracks[i].label === label) {
+                track = textTracks[i];
+                break;
+            }
+        }
+        if (!track) {
+            track = media.addTextTrack(kind, label);
+        }
+        if (track.mode === 'disabled') {
+            track.mode = 'hidden';  // cues are only accessible when not disabled
+        }
+
+        this._textTracks[kind + ':' + label] = track;
+        return track;
+    }
+
+    _appendCaptionCue(cue) {
+        let CueClass = self.VTTCue || self.TextTrackCue;
+        if (!this._mediaElement || !this._mediaElement.addTextTrack || !CueClass) {
+            return;
+        }
+
+        let track = this._getTextTrack('captions', cue.channel);
+        let cues = track.cues;
+        let backwardLimit = this._mediaElement.currentTime - this._config.autoCleanupMaxBackwardDuration;
+
+        if (cues) {
+            for (let i = cues.length - 1; i >= 0; i--) {
+                let c = cues[i];
+                if (Math.abs(c.startTime - cue.startTime) < 0.001 && c.text === cue.text) {
+                    // Provisional endTime extended or finalized, or decoded again after seeking backward
+                    c.endTime = cue.endTime;
+                    return;
+                }
+                if (c.endTime < backwardLimit) {
+                    track.removeCue(c);
+                }
+            }
+        }
+
+        let textTrackCue = new CueClass(cue.startTime, cue.endTime, cue.text);
+        if (cue.line != null && 'snapToLines' in textTrackCue) {
+            // Place cue at its 608 row, rows are distributed within 10% ~ 90% of video height
+            textTrackCue.snapToLines = false;
+            textTrackCue.line = Math.round(10 + cue.line * 80 / 15);
+        }
+        track.addCue(textTrackCue);
+    }
+
+    _clearTextTracks(disable) {
+        for (let key in this._textTracks) {
+            if (this._textTracks.hasOwnProperty(key)) {
+                let track = this._textTracks[key];
+                let cues = track.cues;
+                while (cues && cues.length > 0) {
+                    track.removeCue(cues[0]);
+                }
+                if (disable) {
+                    track.mode = 'disabled';
+                }
+            }
+        }
+        if (disable) {
+            this._textTracks = {};
+        }
+    }
+
+    _onTimedMetadataArrived(metadata) {
+        let queue = this._timedMetadataQueue;
+        let index = queue.length;
+
+        // Keep ascending order of pts, script data may arrive again after seeking backward
+        while (index > 0 && queue[index - 1].pts > metadata.pts) {
+            index--;
+        }
+        for (let i = index - 1; i >= 0 && metadata.pts - queue[i].pts < 1; i--) {
+            if (queue[i].name === metadata.name) {
+                return;
+            }
+        }
+        queue.splice(index, 0, metadata);
+
+        if (this._config.enableMetadataTextTrack) {
+            this._appendMetadataCue(metadata);
+        }
+        if (this._mediaElement) {
+            this._checkTimedMetadata(this._mediaElement.currentTime * 1000);
+        }
+    }
+
+    _appendMetadataCue(metadata) {
+        let CueClass = self.VTTCue || self.TextTrackCue;
+        if (!this._mediaElement || !this._mediaElement.addTextTrack || !CueClass) {
+            return;
+        }
+
+        let track = this._getTextTrack('metadata', 'scriptdata');
+        let time = metadata.pts / 1000;
+        let cue = new CueClass(time, time, metadata.name);
+        cue.value = {name: metadata.name, data: metadata.data};
+        track.addCue(cue);
+    }
+
+    // Fire script data whose time has been reached since last check
+    _checkTimedMetadata(currentTime) {
+        let queue = this._timedMetadataQueue;
+        let backwardLimit = currentTime - this._config.autoCleanupMaxBackwardDuration * 1000;
+
+        while (queue.length > 0 && queue[0].pts < backwardLimit) {
+            queue.shift();
+        }
+
+        // Cues of metadata TextTrack are cleaned up along with the queue, like caption cues
+        let track = this._textTracks['metadata:scriptdata'];
+        let cues = track ? track.cues : null;
+        if (cues) {
+            for (let i = cues.length - 1; i >= 0; i--) {
+                if (cues[i].endTime * 1000 < backwardLimit) {
+                    track.removeCue(cues[i]);
+                }
+            }
+        }
+
+        for (let i = 0; i < queue.length && queue[i].pts <= currentTime; i++) {
+            let metadata = queue[i];
+            if (metadata.pts <= this._timedMetadataLastTime) {
+                continue;
+            }
+
+            let event = PlayerEvents.TIMED_SCRIPTDATA;
+            if (metadata.name === 'onCuePoint') {
+                event = PlayerEvents.CUE_POINT;
+            } else if (metadata.name === 'onTextData') {
+                event = PlayerEvents.TEXT_DATA;
+            }
+            this._emitter.emit(event, Object.assign({}, metadata));
+        }
+
+        this._timedMetadataLastTime = currentTime;
+    }
+
     _onvLoadedMetadata(e) {
         if (this._pendingSeekTime != null) {
             this._mediaElement.currentTime = this._pendingSeekTime;
@@ -599,6 +850,9 @@ class FlvPlayer {
         let target = this._mediaElement.currentTime;
         let buffered = this._mediaElement.buffered;
 
+        // Script data from seek target should be fired again, but not those skipped over
+        this._timedMetadataLastTime = target * 1000 - 1;
+
         if (this._requestSetTime) {
             this._requestSetTime = false;
             return;
@@ -649,6 +903,10 @@ class FlvPlayer {
         this._checkAndResumeStuckPlayback();
     }
 
+    _onvTimeUpdate(e) {
+        this._checkTimedMetadata(this._mediaElement.currentTime * 1000);
+    }
+
 }
 
 export default FlvPlayer;
\ No newline at end of file
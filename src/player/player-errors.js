@@ -35,5 +35,7 @@ export const ErrorDetails = {
 
     MEDIA_FORMAT_ERROR: DemuxErrors.FORMAT_ERROR,
     MEDIA_FORMAT_UNSUPPORTED: DemuxErrors.FORMAT_UNSUPPORTED,
-    MEDIA_CODEC_UNSUPPORTED: DemuxErrors.CODEC_UNSUPPORTED
+    MEDIA_CODEC_UNSUPPORTED: DemuxErrors.CODEC_UNSUPPORTED,
+    MEDIA_DATA_CORRUPTED: DemuxErrors.DATA_CORRUPTED,
+    MEDIA_TRACK_MISSING: DemuxErrors.TRACK_MISSING
 };
\ No newline at end of file
@@ -18,11 +18,20 @@
 
 const PlayerEvents = {
     ERROR: 'error',
+    WARNING: 'warning',
     LOADING_COMPLETE: 'loading_complete',
     RECOVERED_EARLY_EOF: 'recovered_early_eof',
+    RETRYING: 'retrying',
+    RECOVERED: 'recovered',
     MEDIA_INFO: 'media_info',
+    MEDIA_INFO_CHANGED: 'media_info_changed',
     METADATA_ARRIVED: 'metadata_arrived',
     SCRIPTDATA_ARRIVED: 'scriptdata_arrived',
+    SEIDATA_ARRIVED: 'seidata_arrived',
+    CAPTION_CUE_ARRIVED: 'caption_cue_arrived',
+    CUE_POINT: 'cue_point',
+    TEXT_DATA: 'text_data',
+    TIMED_SCRIPTDATA: 'timed_scriptdata',
     STATISTICS_INFO: 'statistics_info'
 };
 
@@ -30,7 +30,11 @@ class MP4 {
             stco: [], stsc: [], stsd: [], stsz: [],
             stts: [], tfdt: [], tfhd: [], traf: [],
             trak: [], trun: [], trex: [], tkhd: [],
-            vmhd: [], smhd: [], '.mp3': []
+            vmhd: [], smhd: [], '.mp3': [],
+            hvc1: [], hev1: [], hvcC: [], av01: [],
+            av1C: [], vp09: [], vpcC: [], Opus: [],
+            dOps: [], ipcm: [], pcmC: [], 'ac-3': [],
+            dac3: [], 'ec-3': [], dec3: []
         };
 
         for (let name in MP4.types) {
@@ -320,19 +324,34 @@ class MP4 {
         if (meta.type === 'audio') {
             if (meta.codec === 'mp3') {
                 return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.mp3(meta));
+            } else if (meta.codec === 'opus') {
+                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.opus(meta));
+            } else if (meta.codec === 'ipcm') {
+                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.ipcm(meta));
+            } else if (meta.codec === 'ac-3') {
+                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.ac3(meta));
+            } else if (meta.codec === 'ec-3') {
+                return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.ec3(meta));
             }
             // else: aac -> mp4a
             return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.mp4a(meta));
+        } else if (meta.codec.indexOf('hvc1') === 0 || meta.codec.indexOf('hev1') === 0) {
+            return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.hvc1(meta));
+        } else if (meta.codec.indexOf('av01') === 0) {
+            return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.av01(meta));
+        } else if (meta.codec.indexOf('vp09') === 0) {
+            return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.vp09(meta));
         } else {
             return MP4.box(MP4.types.stsd, MP4.constants.STSD_PREFIX, MP4.avc1(meta));
         }
     }
 
-    static mp3(meta) {
+    // AudioSampleEntry fields, shared by all audio sample entries
+    static audioSampleEntry(meta) {
         let channelCount = meta.channelCount;
         let sampleRate = meta.audioSampleRate;
 
-        let data = new Uint8Array([
+        return new Uint8Array([
             0x00, 0x00, 0x00, 0x00,  // reserved(4)
             0x00, 0x00, 0x00, 0x01,  // reserved(2) + data_reference_index(2)
             0x00, 0x00, 0x00, 0x00,  // reserved: 2 * 4 bytes
@@ -344,28 +363,112 @@ class MP4 {
             (sampleRate) & 0xFF,
             0x00, 0x00
         ]);
+    }
 
+    static mp3(meta) {
+        let data = MP4.audioSampleEntry(meta);
         return MP4.box(MP4.types['.mp3'], data);
     }
 
     static mp4a(meta) {
+        let data = MP4.audioSampleEntry(meta);
+        return MP4.box(MP4.types.mp4a, data, MP4.esds(meta));
+    }
+
+    static opus(meta) {
+        let data = MP4.audioSampleEntry(meta);
+        return MP4.box(MP4.types.Opus, data, MP4.dOps(meta));
+    }
+
+    // Opus Specific Box, fields are taken from OpusHead but stored in big-endian
+    static dOps(meta) {
+        let config = meta.opusConfig;
         let channelCount = meta.channelCount;
-        let sampleRate = meta.audioSampleRate;
+        let preSkip = config.pre_skip;
+        let inputSampleRate = config.input_sample_rate;
+        let outputGain = config.output_gain;
+
+        let data = [
+            0x00,                    // version
+            channelCount,            // OutputChannelCount
+            (preSkip >>> 8) & 0xFF,  // PreSkip: 2 bytes
+            (preSkip) & 0xFF,
+            (inputSampleRate >>> 24) & 0xFF,  // InputSampleRate: 4 bytes
+            (inputSampleRate >>> 16) & 0xFF,
+            (inputSampleRate >>>  8) & 0xFF,
+            (inputSampleRate) & 0xFF,
+            (outputGain >>> 8) & 0xFF,  // OutputGain: 2 bytes
+            (outputGain) & 0xFF,
+            config.channel_mapping_family  // ChannelMappingFamily
+        ];
+
+        if (config.channel_mapping_family !== 0) {
+            data.push(config.stream_count, config.coupled_count);
+            for (let i = 0; i < config.channel_mapping.length; i++) {
+                data.push(config.channel_mapping[i]);
+            }
+        }
 
-        let data = new Uint8Array([
-            0x00, 0x00, 0x00, 0x00,  // reserved(4)
-            0x00, 0x00, 0x00, 0x01,  // reserved(2) + data_reference_index(2)
-            0x00, 0x00, 0x00, 0x00,  // reserved: 2 * 4 bytes
-            0x00, 0x00, 0x00, 0x00,
-            0x00, channelCount,      // channelCount(2)
-            0x00, 0x10,              // sampleSize(2)
-            0x00, 0x00, 0x00, 0x00,  // reserved(4)
-            (sampleRate >>> 8) & 0xFF,  // Audio sample rate
-            (sampleRate) & 0xFF,
-            0x00, 0x00
-        ]);
+        return MP4.box(MP4.types.dOps, new Uint8Array(data));
+    }
 
-        return MP4.box(MP4.types.mp4a, data, MP4.esds(meta));
+    // Integer PCM sample entry (ISO/IEC 23003-5), samples are signed 16-bit little-endian
+    static ipcm(meta) {
+        let data = MP4.audioSampleEntry(meta);
+        return MP4.box(MP4.types.ipcm, data, MP4.pcmC(meta));
+    }
+
+    static pcmC(meta) {
+        return MP4.box(MP4.types.pcmC, new Uint8Array([
+            0x00, 0x00, 0x00, 0x00,  // version(0) + flags
+            0x01,                    // format_flags: little-endian
+            0x10                     // PCM_sample_size: 16
+        ]));
+    }
+
+    // AC-3 and E-AC-3 sample entries, ETSI TS 102 366 Annex F
+    static ac3(meta) {
+        let data = MP4.audioSampleEntry(meta);
+        return MP4.box(MP4.types['ac-3'], data, MP4.dac3(meta));
+    }
+
+    static dac3(meta) {
+        let c = meta.ac3Config;
+        return MP4.box(MP4.types.dac3, new Uint8Array([
+            (c.fscod << 6) | (c.bsid << 1) | (c.bsmod >>> 2),  // fscod(2) + bsid(5) + bsmod(3)
+            ((c.bsmod & 0x03) << 6) | (c.acmod << 3) | (c.lfeon << 2) | (c.bit_rate_code >>> 3),  // acmod(3) + lfeon(1)
+            (c.bit_rate_code & 0x07) << 5  // bit_rate_code(5) + reserved(5)
+        ]));
+    }
+
+    static ec3(meta) {
+        let data = MP4.audioSampleEntry(meta);
+        return MP4.box(MP4.types['ec-3'], data, MP4.dec3(meta));
+    }
+
+    static dec3(meta) {
+        let c = meta.ec3Config;
+        let numIndSub = c.substreams.length - 1;
+        let data = [
+            (c.data_rate >>> 5) & 0xFF,  // data_rate(13) + num_ind_sub(3)
+            ((c.data_rate & 0x1F) << 3) | numIndSub
+        ];
+
+        for (let i = 0; i < c.substreams.length; i++) {
+            let s = c.substreams[i];
+            data.push(
+                (s.fscod << 6) | (s.bsid << 1),  // fscod(2) + bsid(5) + reserved(1)
+                (s.bsmod << 4) | (s.acmod << 1) | s.lfeon,  // asvc(1) + bsmod(3) + acmod(3) + lfeon(1)
+                s.num_dep_sub << 1  // reserved(3) + num_dep_sub(4) + reserved(1)
+            );
+            if (s.num_dep_sub > 0) {
+                // chan_loc(9) takes place of the last reserved bit
+                data[data.length - 1] |= s.chan_loc >>> 8;
+                data.push(s.chan_loc & 0xFF);
+            }
+        }
+
+        return MP4.box(MP4.types.dec3, new Uint8Array(data));
     }
 
     static esds(meta) {
@@ -398,11 +501,11 @@ class MP4 {
         return MP4.box(MP4.types.esds, data);
     }
 
-    static avc1(meta) {
-        let avcc = meta.avcc;
+    // VisualSampleEntry fields, shared by all video sample entries
+    static visualSampleEntry(meta) {
         let width = meta.codecWidth, height = meta.codecHeight;
 
-        let data = new Uint8Array([
+        return new Uint8Array([
             0x00, 0x00, 0x00, 0x00,  // reserved(4)
             0x00, 0x00, 0x00, 0x01,  // reserved(2) + data_reference_index(2)
             0x00, 0x00, 0x00, 0x00,  // pre_defined(2) + reserved(2)
@@ -429,7 +532,39 @@ class MP4 {
             0x00, 0x18,              // depth
             0xFF, 0xFF               // pre_defined = -1
         ]);
-        return MP4.box(MP4.types.avc1, data, MP4.box(MP4.types.avcC, avcc));
+    }
+
+    static avc1(meta) {
+        let data = MP4.visualSampleEntry(meta);
+        return MP4.box(MP4.types.avc1, data, MP4.box(MP4.types.avcC, meta.avcc));
+    }
+
+    static hvc1(meta) {
+        let data = MP4.visualSampleEntry(meta);
+        // hev1 allows parameter sets to be carried in-band, hvc1 does not
+        let type = meta.codec.indexOf('hev1') === 0 ? MP4.types.hev1 : MP4.types.hvc1;
+        return MP4.box(type, data, MP4.box(MP4.types.hvcC, meta.hvcc));
+    }
+
+    static av01(meta) {
+        let data = MP4.visualSampleEntry(meta);
+        return MP4.box(MP4.types.av01, data, MP4.box(MP4.types.av1C, meta.av1c));
+    }
+
+    static vp09(meta) {
+        let data = MP4.visualSampleEntry(meta);
+        return MP4.box(MP4.types.vp09, data, MP4.vpcC(meta));
+    }
+
+    static vpcC(meta) {
+        let record = meta.vpcc;
+        let data = new Uint8Array(4 + record.byteLength);
+        data.set([
+            0x01,                    // version: 1
+            0x00, 0x00, 0x00         // flags
+        ], 0);
+        data.set(record, 4);
+        return MP4.box(MP4.types.vpcC, data);
     }
 
     // Movie Extends box
@@ -483,15 +618,33 @@ class MP4 {
             (trackId) & 0xFF
         ]));
         // Track Fragment Decode Time
-        let tfdt = MP4.box(MP4.types.tfdt, new Uint8Array([
-            0x00, 0x00, 0x00, 0x00,  // version(0) & flags
-            (baseMediaDecodeTime >>> 24) & 0xFF,  // baseMediaDecodeTime: int32
-            (baseMediaDecodeTime >>> 16) & 0xFF,
-            (baseMediaDecodeTime >>>  8) & 0xFF,
-            (baseMediaDecodeTime) & 0xFF
-        ]));
+        let tfdt = null;
+        if (baseMediaDecodeTime > 0xFFFFFFFF) {
+            // Could be reached with high timescale (e.g. 48kHz audio) in long-running live stream
+            let upper = Math.floor(baseMediaDecodeTime / 0x100000000);
+            let lower = baseMediaDecodeTime % 0x100000000;
+            tfdt = MP4.box(MP4.types.tfdt, new Uint8Array([
+                0x01, 0x00, 0x00, 0x00,  // version(1) & flags
+                (upper >>> 24) & 0xFF,   // baseMediaDecodeTime: int64
+                (upper >>> 16) & 0xFF,
+                (upper >>>  8) & 0xFF,
+                (upper) & 0xFF,
+                (lower >>> 24) & 0xFF,
+                (lower >>> 16) & 0xFF,
+                (lower >>>  8) & 0xFF,
+                (lower) & 0xFF
+            ]));
+        } else {
+            tfdt = MP4.box(MP4.types.tfdt, new Uint8Array([
+                0x00, 0x00, 0x00, 0x00,  // version(0) & flags
+                (baseMediaDecodeTime >>> 24) & 0xFF,  // baseMediaDecodeTime: int32
+                (baseMediaDecodeTime >>> 16) & 0xFF,
+                (baseMediaDecodeTime >>>  8) & 0xFF,
+                (baseMediaDecodeTime) & 0xFF
+            ]));
+        }
         let sdtp = MP4.sdtp(track);
-        let trun = MP4.trun(track, sdtp.byteLength + 16 + 16 + 8 + 16 + 8 + 8);
+        let trun = MP4.trun(track, sdtp.byteLength + 16 + tfdt.byteLength + 8 + 16 + 8 + 8);
 
         return MP4.box(MP4.types.traf, tfhd, tfdt, trun, sdtp);
     }
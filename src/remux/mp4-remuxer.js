@@ -19,6 +19,7 @@
 import Log from '../utils/logger.js';
 import MP4 from './mp4-generator.js';
 import AAC from './aac-silent.js';
+import Opus from './opus-silent.js';
 import Browser from '../utils/browser.js';
 import {SampleInfo, MediaSegmentInfo, MediaSegmentInfoList} from '../core/media-segment-info.js';
 import {IllegalStateException} from '../utils/exception.js';
@@ -46,6 +47,8 @@ class MP4Remuxer {
         this._videoNextDts = undefined;
         this._audioStashedLastSample = null;
         this._videoStashedLastSample = null;
+        // dtsCorrection of latest remuxed segment, for mapping timed script data into media timeline
+        this._timelineCorrection = 0;
 
         // 视频元数据 _audioMeta、_videoMeta
         this._audioMeta = null;
@@ -58,6 +61,14 @@ class MP4Remuxer {
         // 事件回调 _onInitSegment、_onMediaSegment，有对应的实例暴露属性
         this._onInitSegment = null;
         this._onMediaSegment = null;
+        this._onSEIDataArrived = null;
+        this._onCaptionDataArrived = null;
+        this._onTimedMetadataArrived = null;
+
+        // Caption data waiting to be reported in presentation order, {pts, data}
+        this._captionQueue = [];
+        // Timed script data waiting for dtsBase, {name, data, dts}
+        this._timedMetadataQueue = [];
 
         // Workaround for chrome < 50: Always force first sample as a Random Access Point in media segment
         // see https://bugs.chromium.org/p/chromium/issues/detail?id=229412
@@ -74,6 +85,9 @@ class MP4Remuxer {
         // While only FireFox supports 'audio/mp4, codecs="mp3"', use 'audio/mpeg' for chrome, safari, ...
         // 虽然只有FireFox支持'audio/mp4, codecs="mp3"'，使用'audio/mpeg'为chrome, safari，…
         this._mp3UseMpegAudio = !Browser.firefox;
+        // Decoded PCM audio (e.g. G.711) could be output as raw samples for WebAudio playback,
+        // since 'ipcm' in fMP4 is not supported by most MSE implementations
+        this._pcmUseWebAudio = this._config.pcmAudioOutput === 'webaudio';
         // 是否当检测到较大的音频时间戳间隙时，请填充无声音频帧，以避免A / V不同步。
         this._fillAudioTimestampGap = this._config.fixAudioTimestampGap;
     }
@@ -92,6 +106,11 @@ class MP4Remuxer {
         this._videoSegmentInfoList = null;
         this._onInitSegment = null;
         this._onMediaSegment = null;
+        this._onSEIDataArrived = null;
+        this._onCaptionDataArrived = null;
+        this._onTimedMetadataArrived = null;
+        this._captionQueue = [];
+        this._timedMetadataQueue = [];
     }
 
     /**
@@ -101,6 +120,8 @@ class MP4Remuxer {
     bindDataSource(producer) {
         producer.onDataAvailable = this.remux.bind(this);
         producer.onTrackMetadata = this._onTrackMetadataReceived.bind(this);
+        producer.onTimedScriptData = this._onTimedScriptDataReceived.bind(this);
+        producer.onDiscontinuity = this._onDiscontinuityReceived.bind(this);
         return this;
     }
 
@@ -109,7 +130,9 @@ class MP4Remuxer {
            type: string,
            data: ArrayBuffer,
            codec: string,
-           container: string
+           container: string,
+           audioSampleRate?: number,  // for 'audio/pcm' container only
+           channelCount?: number      // for 'audio/pcm' container only
        }
     */
     get onInitSegment() {
@@ -135,6 +158,50 @@ class MP4Remuxer {
     set onMediaSegment(callback) {
         this._onMediaSegment = callback;
     }
+
+    /* prototype: function onSEIDataArrived(sei: SEIData): void
+       SEIData: {
+           type: number,         // payloadType of sei_message
+           uuid: string | null,  // for user_data_unregistered only
+           data: Uint8Array,     // payload bytes, excluding uuid
+           pts: number           // presentation time of the video sample in media timeline, in milliseconds
+       }
+    */
+    get onSEIDataArrived() {
+        return this._onSEIDataArrived;
+    }
+
+    set onSEIDataArrived(callback) {
+        this._onSEIDataArrived = callback;
+    }
+
+    /* prototype: function onCaptionDataArrived(pts: number, ccData: Uint8Array): void
+       pts: presentation time in media timeline, in milliseconds
+       ccData: valid cc_data_pkt triplets of CEA-608/708, (cc_type, cc_data_1, cc_data_2) * n
+       Invoked in ascending order of pts
+    */
+    get onCaptionDataArrived() {
+        return this._onCaptionDataArrived;
+    }
+
+    set onCaptionDataArrived(callback) {
+        this._onCaptionDataArrived = callback;
+    }
+
+    /* prototype: function onTimedMetadataArrived(metadata: TimedMetadata): void
+       TimedMetadata: {
+           name: string,  // name of script data, e.g. 'onCuePoint', 'onTextData'
+           data: any,     // decoded AMF value
+           pts: number    // time of the script tag in media timeline, in milliseconds
+       }
+    */
+    get onTimedMetadataArrived() {
+        return this._onTimedMetadataArrived;
+    }
+
+    set onTimedMetadataArrived(callback) {
+        this._onTimedMetadataArrived = callback;
+    }
     /**
      * 为了保证不连续，需要设置实例的 _audioNextDts 和 _videoNextDts 为 undefined
      */
@@ -150,21 +217,25 @@ class MP4Remuxer {
         this._videoStashedLastSample = null;
         this._videoSegmentInfoList.clear();
         this._audioSegmentInfoList.clear();
+        this._captionQueue = [];
+        this._timedMetadataQueue = [];
     }
     /**
      * 主要子程序：计算基准 dts -> 编音频->编视频
      * @param {*} audioTrack 
      * @param {*} videoTrack 
+     * @param {*} force 
      */
-    remux(audioTrack, videoTrack) {
+    remux(audioTrack, videoTrack, force) {
         if (!this._onMediaSegment) {
             throw new IllegalStateException('MP4Remuxer: onMediaSegment callback must be specificed!');
         }
         if (!this._dtsBaseInited) {
             this._calculateDtsBase(audioTrack, videoTrack);
         }
-        this._remuxVideo(videoTrack);
-        this._remuxAudio(audioTrack);
+        this._remuxVideo(videoTrack, force);
+        this._remuxAudio(audioTrack, force);
+        this._dispatchTimedMetadata();
     }
     /**
      * 编元数据的盒子，借助 MP4.generateInitSegment，最后调用实例的 _onInitSegment 回调
@@ -177,6 +248,12 @@ class MP4Remuxer {
         let container = 'mp4';
         let codec = metadata.codec;
 
+        // Codec parameters changed mid-stream, samples stashed with old config
+        // must be remuxed before the new Initialization Segment
+        if ((type === 'audio' && this._audioMeta) || (type === 'video' && this._videoMeta)) {
+            this.flushStashedSamples();
+        }
+
         if (type === 'audio') {
             this._audioMeta = metadata;
             if (metadata.codec === 'mp3' && this._mp3UseMpegAudio) {
@@ -184,6 +261,11 @@ class MP4Remuxer {
                 container = 'mpeg';
                 codec = '';
                 metabox = new Uint8Array();
+            } else if (metadata.codec === 'ipcm' && this._pcmUseWebAudio) {
+                // 'audio/pcm' for raw PCM samples, rendered by PCMAudioRenderer
+                container = 'pcm';
+                codec = '';
+                metabox = new Uint8Array();
             } else {
                 // 'audio/mp4, codecs="codec"'
                 metabox = MP4.generateInitSegment(metadata);
@@ -199,13 +281,19 @@ class MP4Remuxer {
         if (!this._onInitSegment) {
             throw new IllegalStateException('MP4Remuxer: onInitSegment callback must be specified!');
         }
-        this._onInitSegment(type, {
+        let initSegment = {
             type: type,
             data: metabox.buffer,
             codec: codec,
             container: `${type}/${container}`,
-            mediaDuration: metadata.duration  // in timescale 1000 (milliseconds)
-        });
+            mediaDuration: Math.floor(metadata.duration * 1000 / metadata.timescale)  // in timescale 1000 (milliseconds)
+        };
+        if (container === 'pcm') {
+            // Raw PCM has no header, describe sample format for renderer
+            initSegment.audioSampleRate = metadata.audioSampleRate;
+            initSegment.channelCount = metadata.channelCount;
+        }
+        this._onInitSegment(type, initSegment);
     }
     /**
      * 计算基准dts
@@ -265,6 +353,7 @@ class MP4Remuxer {
 
         this._remuxVideo(videoTrack, true);
         this._remuxAudio(audioTrack, true);
+        this._dispatchCaptionData(Infinity);
     }
     /**
      * 音频编码
@@ -283,6 +372,8 @@ class MP4Remuxer {
         let refSampleDuration = this._audioMeta.refSampleDuration;
 
         let mpegRawTrack = this._audioMeta.codec === 'mp3' && this._mp3UseMpegAudio;
+        let pcmRawTrack = this._audioMeta.codec === 'ipcm' && this._pcmUseWebAudio;
+        let rawTrack = mpegRawTrack || pcmRawTrack;
         let firstSegmentAfterSeek = this._dtsBaseInited && this._audioNextDts === undefined;
 
         let insertPrefixSilentFrame = false;
@@ -303,8 +394,8 @@ class MP4Remuxer {
         let mdatBytes = 0;
 
         // calculate initial mdat size
-        if (mpegRawTrack) {
-            // for raw mpeg buffer
+        if (rawTrack) {
+            // for raw mpeg / pcm buffer
             offset = 0;
             mdatBytes = track.length;
         } else {
@@ -374,7 +465,7 @@ class MP4Remuxer {
             let firstSampleDts = firstSampleOriginalDts - dtsCorrection;
             let videoSegment = this._videoSegmentInfoList.getLastSegmentBefore(firstSampleOriginalDts);
             if (videoSegment != null && videoSegment.beginDts < firstSampleDts) {
-                let silentUnit = AAC.getSilentFrame(this._audioMeta.originalCodec, this._audioMeta.channelCount);
+                let silentUnit = this._getSilentFrame();
                 if (silentUnit) {
                     let dts = videoSegment.beginDts;
                     let silentFrameDuration = firstSampleDts - videoSegment.beginDts;
@@ -387,6 +478,10 @@ class MP4Remuxer {
             }
         }
 
+        if (this._videoMeta == null) {
+            this._timelineCorrection = dtsCorrection;
+        }
+
         let mp4Samples = [];
 
         // Correct dts for each sample, and calculate sample duration. Then output to mp4Samples
@@ -438,7 +533,7 @@ class MP4Remuxer {
                                 `dts: ${dts + sampleDuration} ms, expected: ${dts + Math.round(refSampleDuration)} ms, ` +
                                 `delta: ${Math.round(delta)} ms, generate: ${frameCount} frames`);
 
-                let silentUnit = AAC.getSilentFrame(this._audioMeta.originalCodec, this._audioMeta.channelCount);
+                let silentUnit = this._getSilentFrame();
                 if (silentUnit == null) {
                     Log.w(this.TAG, 'Unable to generate silent frame for ' +
                                     `${this._audioMeta.originalCodec} with ${this._audioMeta.channelCount} channels, repeat last frame`);
@@ -512,8 +607,8 @@ class MP4Remuxer {
         }
 
         // 分配 mdatbox
-        if (mpegRawTrack) {
-            // allocate for raw mpeg buffer
+        if (rawTrack) {
+            // allocate for raw mpeg / pcm buffer
             // 分配原始mpeg缓冲区
             mdatbox = new Uint8Array(mdatBytes);
         } else {
@@ -569,14 +664,14 @@ class MP4Remuxer {
 
         let moofbox = null;
 
-        if (mpegRawTrack) {
-            // Generate empty buffer, because useless for raw mpeg
+        if (rawTrack) {
+            // Generate empty buffer, because useless for raw mpeg / pcm
             // 生成空缓冲区，因为对原始mpeg没用
             moofbox = new Uint8Array();
         } else {
             // Generate moof for fmp4 segment
             // 为fmp4段生成moof
-            moofbox = MP4.moof(track, firstDts);
+            moofbox = MP4.moof(track, this._toTrackTimescale(mp4Samples, firstDts, this._audioMeta.timescale));
         }
 
         track.samples = [];
@@ -599,6 +694,37 @@ class MP4Remuxer {
 
         this._onMediaSegment('audio', segment);  //推送到mediaSource 中间通过event监听在flv-player.js和transmuxing-controller.js ，最终在mse-controller.js塞到MediaSource里面播放
     }
+    _getSilentFrame() {
+        let meta = this._audioMeta;
+        if (meta.codec === 'opus') {
+            return Opus.getSilentFrame(meta.channelCount, meta.refSampleDuration);
+        } else if (meta.codec === 'ipcm') {
+            // signed 16-bit PCM silence lasting for a reference sample duration
+            let frames = Math.round(meta.refSampleDuration * meta.audioSampleRate / 1000);
+            return new Uint8Array(frames * meta.channelCount * 2);
+        }
+        return AAC.getSilentFrame(meta.originalCodec, meta.channelCount);
+    }
+
+    // Sample timestamps are calculated in milliseconds, convert them for tracks with other timescale
+    // Returns baseMediaDecodeTime in track timescale
+    _toTrackTimescale(mp4Samples, firstDts, timescale) {
+        if (timescale === 1000) {
+            return firstDts;
+        }
+
+        let scale = timescale / 1000;
+        for (let i = 0; i < mp4Samples.length; i++) {
+            let sample = mp4Samples[i];
+            // Round both ends of each sample to avoid accumulating rounding error
+            let begin = Math.round(sample.dts * scale);
+            let end = Math.round((sample.dts + sample.duration) * scale);
+            sample.dts = sample.pts = begin;
+            sample.duration = end - begin;
+        }
+        return Math.round(firstDts * scale);
+    }
+
     /**
      * 视频编码
      * @param {*} videoTrack 
@@ -674,8 +800,11 @@ class MP4Remuxer {
             }
         }
 
+        this._timelineCorrection = dtsCorrection;
+
         let info = new MediaSegmentInfo();
         let mp4Samples = [];
+        let seiList = [];
 
         // Correct dts for each sample, and calculate sample duration. Then output to mp4Samples
         for (let i = 0; i < samples.length; i++) {
@@ -686,6 +815,18 @@ class MP4Remuxer {
             let cts = sample.cts;
             let pts = dts + cts;
 
+            if (sample.sei) {
+                for (let j = 0; j < sample.sei.length; j++) {
+                    let sei = sample.sei[j];
+                    seiList.push({type: sei.type, uuid: sei.uuid, data: sei.data, pts: pts});
+                }
+            }
+            if (sample.captions) {
+                for (let j = 0; j < sample.captions.length; j++) {
+                    this._captionQueue.push({pts: pts, data: sample.captions[j]});
+                }
+            }
+
             if (firstDts === -1) {
                 firstDts = dts;
                 firstPts = pts;
@@ -798,6 +939,72 @@ class MP4Remuxer {
             sampleCount: mp4Samples.length,
             info: info
         });
+
+        if (this._onSEIDataArrived) {
+            for (let i = 0; i < seiList.length; i++) {
+                this._onSEIDataArrived(seiList[i]);
+            }
+        }
+
+        this._dispatchCaptionData(lastDts);
+    }
+
+    // Samples in following batches have dts >= lastDts, so caption data before it won't be reordered anymore
+    _dispatchCaptionData(untilPts) {
+        let queue = this._captionQueue;
+        if (queue.length === 0) {
+            return;
+        }
+
+        // stable sort by pts, caption data of the same frame must keep its order
+        queue.forEach((item, index) => { item.index = index; });
+        queue.sort((a, b) => (a.pts - b.pts) || (a.index - b.index));
+
+        let count = 0;
+        while (count < queue.length && queue[count].pts < untilPts) {
+            count++;
+        }
+
+        let ready = queue.splice(0, count);
+        if (this._onCaptionDataArrived) {
+            for (let i = 0; i < ready.length; i++) {
+                this._onCaptionDataArrived(ready[i].pts, ready[i].data);
+            }
+        }
+    }
+
+    // Timestamps of following samples have been rebased by producer, close current segments
+    _onDiscontinuityReceived() {
+        this.flushStashedSamples();
+        this.insertDiscontinuity();
+    }
+
+    _onTimedScriptDataReceived(scriptData) {
+        this._timedMetadataQueue.push(scriptData);
+        if (this._dtsBaseInited) {
+            this._dispatchTimedMetadata();
+        }
+    }
+
+    // Script tags carry no sample, map their dts with correction of the nearby media segment
+    _dispatchTimedMetadata() {
+        if (!this._dtsBaseInited || this._timedMetadataQueue.length === 0) {
+            return;
+        }
+
+        let queue = this._timedMetadataQueue;
+        this._timedMetadataQueue = [];
+
+        if (this._onTimedMetadataArrived) {
+            for (let i = 0; i < queue.length; i++) {
+                let pts = Math.max(queue[i].dts - this._dtsBase - this._timelineCorrection, 0);
+                this._onTimedMetadataArrived({
+                    name: queue[i].name,
+                    data: queue[i].data,
+                    pts: pts
+                });
+            }
+        }
     }
 
     _mergeBoxes(moof, mdat) {
@@ -0,0 +1,35 @@
+/*
+ * Copyright (C) 2016 Bilibili. All Rights Reserved.
+ *
+ * @author zheng qian <xqq@xqq.im>
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+class Opus {
+
+    // duration: in milliseconds, must be a valid CELT frame size (2.5, 5, 10 or 20)
+    static getSilentFrame(channelCount, duration) {
+        let index = [2.5, 5, 10, 20].indexOf(duration);
+        if (index === -1 || channelCount > 2) {
+            // Multistream packets (channel mapping family 1) are not supported
+            return null;
+        }
+        // TOC of CELT-only fullband mode with single frame, followed by silence flag
+        let toc = ((28 + index) << 3) | (channelCount === 2 ? 0x04 : 0x00);
+        return new Uint8Array([toc, 0xFF, 0xFE]);
+    }
+
+}
+
+export default Opus;